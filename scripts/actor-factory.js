@@ -4,6 +4,10 @@
  */
 
 import * as SystemDetection from './system-detection.js';
+import { getGridCellSize, getGridFootprint } from './geometry.js';
+import { TOKEN_BROWSER_HOOKS } from './token-data-types.js';
+import { CompendiumMatcher } from './compendium-matcher.js';
+import { parseTokenDisplayName } from './token-data-service.js';
 
 /**
  * Generate a clean actor name from filename
@@ -46,6 +50,42 @@ function generateActorName(filename) {
   return name || 'Unknown Actor';
 }
 
+/**
+ * Build a name from the actorNameTemplate setting
+ * Placeholders: {name} (as generateActorName), {displayName}, {variant}, {size}, {creatureType}, {scale}.
+ * Unknown placeholders are kept as typed, so mistakes show up in the name.
+ *
+ * @param {string} filename - Token filename
+ * @param {string} template - Name template
+ * @returns {string} Name, or the generateActorName result if the template yields nothing
+ *
+ * @example
+ * formatActorName("Goblin_A1_Small_Goblin_01.png", "{displayName} ({creatureType})") // -> "Goblin (Goblin)"
+ * formatActorName("Knight_B2_Medium_Humanoid.png", "{displayName} {variant}") // -> "Knight B2"
+ */
+function formatActorName(filename, template) {
+  const fallback = generateActorName(filename);
+  if (!template || !template.trim()) return fallback;
+
+  const values = { name: fallback, ...parseTokenDisplayName(filename || '') };
+  const name = template
+    .replace(/\{(\w+)\}/g, (placeholder, key) => (key in values ? values[key] : placeholder))
+    .replace(/\(\s*\)|\[\s*\]/g, '') // Brackets around empty fields, e.g. "()" without a variant
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return name || fallback;
+}
+
+/**
+ * Which actor a canvas drop uses (actorDropPolicy setting)
+ */
+export const ACTOR_DROP_POLICIES = {
+  new: 'Always create a new actor',
+  image: 'Reuse an actor with the same image',
+  name: 'Reuse an actor with the same name'
+};
+
 /**
  * Actor Factory - Main entry point for creating actors from dropped tokens
  */
@@ -68,17 +108,28 @@ export class ActorFactory {
       const systemInfo = SystemDetection.getSystemInfo();
       
       // Generate actor name from filename
-      const actorName = generateActorName(dragData.filename);
+      const actorName = this.getActorName(dragData.filename);
       
-      // Create actor with system-specific logic
-      const actor = await this._createActorWithFallback(actorName, dragData);
+      // With a reuse policy, actors are templates: every drop places an unlinked token
+      const policy = this._getDropPolicy();
+      const reusedActor = this._findReusableActor(policy, actorName, dragData);
+      let actor = reusedActor;
       
-      if (!actor) {
-        throw new Error('Failed to create actor with all fallback strategies');
+      if (actor) {
+        console.log(`fa-token-browser | ActorFactory: Reusing actor "${actor.name}" (${policy} match)`);
+      } else {
+        // Create actor with system-specific logic
+        actor = await this._createActorWithFallback(actorName, dragData);
+        
+        if (!actor) {
+          throw new Error('Failed to create actor with all fallback strategies');
+        }
+        Hooks.callAll(TOKEN_BROWSER_HOOKS.actorCreated, actor, dragData.tokenData || null);
       }
       
       // Create token on canvas
-      const token = await this._createTokenOnCanvas(actor, dragData, dropCoordinates);
+      const token = await this._createTokenOnCanvas(actor, dragData, dropCoordinates, { unlinked: policy !== 'new', reused: !!reusedActor });
+      Hooks.callAll(TOKEN_BROWSER_HOOKS.tokenDropped, token, actor, dragData.tokenData || null);
       
       return { actor, token };
       
@@ -89,6 +140,103 @@ export class ActorFactory {
     }
   }
   
+  /**
+   * Create an actor in the Actors directory without placing a token on the canvas
+   * @param {Object} dragData - Token data in drag data format (filename, url, tokenSize)
+   * @param {Object} [options]
+   * @param {string} [options.name] - Actor name (default: generated from the filename)
+   * @returns {Promise<Actor>} Created actor
+   */
+  static async createActorFromTokenData(dragData, { name } = {}) {
+    if (!SystemDetection.isSystemReady()) {
+      throw new Error('Game system not ready for actor creation');
+    }
+
+    const actor = await this._createActorWithFallback(name || this.getActorName(dragData.filename), dragData);
+    if (!actor) {
+      throw new Error('Failed to create actor with all fallback strategies');
+    }
+    Hooks.callAll(TOKEN_BROWSER_HOOKS.actorCreated, actor, dragData.tokenData || null);
+    return actor;
+  }
+
+  /**
+   * Get the name for an actor created from a token, following the actorNameTemplate setting
+   * @param {string} filename - Token filename
+   * @returns {string} Actor name
+   */
+  static getActorName(filename) {
+    return formatActorName(filename, game.settings.get('fa-token-browser', 'actorNameTemplate'));
+  }
+
+  /**
+   * Get the name for a token placed on a scene: the actor name template, with the
+   * random adjective and next free number of the token naming settings
+   * @param {string} filename - Token filename
+   * @param {Scene} scene - Scene the token is placed on
+   * @returns {string} Token name
+   */
+  static _getTokenName(filename, scene) {
+    let name = this.getActorName(filename);
+
+    if (game.settings.get('fa-token-browser', 'tokenNameAdjectives')) {
+      // Same adjective list as core's "Prepend Adjective" prototype token option
+      const prefix = CONFIG.Token.adjectivesPrefix;
+      const adjectives = Object.values(foundry.utils.getProperty(game.i18n.translations, prefix) ||
+        foundry.utils.getProperty(game.i18n._fallback, prefix) || {});
+      if (adjectives.length) {
+        name = `${adjectives[Math.floor(Math.random() * adjectives.length)]} ${name}`;
+      }
+    }
+
+    if (game.settings.get('fa-token-browser', 'tokenNameNumbering')) {
+      // Continue after the highest number of the same name, with or without an adjective
+      const base = this.getActorName(filename).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const pattern = new RegExp(`(?:^|\\s)${base} (\\d+)$`);
+      const highest = (scene?.tokens ?? []).reduce((max, token) => {
+        const match = token.name?.match(pattern);
+        return match ? Math.max(max, Number(match[1])) : max;
+      }, 0);
+      name = `${name} ${highest + 1}`;
+    }
+
+    return name;
+  }
+
+  /**
+   * Get the configured drop policy
+   * @returns {string} Key of ACTOR_DROP_POLICIES
+   */
+  static _getDropPolicy() {
+    const policy = game.settings.get('fa-token-browser', 'actorDropPolicy');
+    return policy in ACTOR_DROP_POLICIES ? policy : 'new';
+  }
+
+  /**
+   * Find a world actor to place instead of creating a new one
+   * @param {string} policy - Drop policy (key of ACTOR_DROP_POLICIES)
+   * @param {string} actorName - Name a new actor would get
+   * @param {Object} dragData - Drag data containing the token URL
+   * @returns {Actor|null} Actor to reuse, preferring the actor creation folder, or null
+   */
+  static _findReusableActor(policy, actorName, dragData) {
+    let matches;
+    switch (policy) {
+      case 'image':
+        matches = actor => actor.img === dragData.url || actor.prototypeToken?.texture?.src === dragData.url;
+        break;
+      case 'name':
+        matches = actor => actor.name === actorName;
+        break;
+      default:
+        return null;
+    }
+
+    const candidates = game.actors.filter(actor => actor.isOwner && matches(actor));
+    const folderName = (game.settings.get('fa-token-browser', 'actorFolder') || '').trim();
+    return candidates.find(actor => folderName && actor.folder?.name === folderName) || candidates[0] || null;
+  }
+
   /**
    * Create actor with multi-tier fallback strategy
    * @param {string} actorName - Name for the actor
@@ -101,6 +249,12 @@ export class ActorFactory {
     // Get the target folder for actor creation
     const targetFolder = await this._getOrCreateActorFolder();
     
+    // Import a matching compendium actor when the world is configured for it
+    const compendiumActor = await this._createActorFromCompendium(actorName, dragData, targetFolder);
+    if (compendiumActor) {
+      return compendiumActor;
+    }
+    
     // Try each fallback type in sequence
     for (const actorType of fallbackTypes) {
       try {
@@ -155,6 +309,45 @@ export class ActorFactory {
     return null;
   }
   
+  /**
+   * Import the compendium actor matching the token name, with the token art applied
+   * @param {string} actorName - Name for the actor
+   * @param {Object} dragData - Drag data containing token information
+   * @param {Folder|null} targetFolder - Folder for the imported actor
+   * @returns {Promise<Actor|null>} Imported actor, or null if there is no match or the import failed
+   */
+  static async _createActorFromCompendium(actorName, dragData, targetFolder) {
+    try {
+      const match = await CompendiumMatcher.findMatch(dragData);
+      if (!match) return null;
+
+      const updateData = {
+        name: actorName,
+        img: dragData.url,
+        prototypeToken: this._buildTokenData(dragData)
+      };
+      if (targetFolder) {
+        updateData.folder = targetFolder.id;
+      }
+
+      // Size-linked systems would resize the token to the compendium creature's size
+      const sizeLinkFlags = this._getSizeLinkFlags(dragData.tokenSize.scale);
+      if (sizeLinkFlags) {
+        updateData.prototypeToken.flags = sizeLinkFlags;
+      }
+
+      const actor = await game.actors.importFromCompendium(match.pack, match.entry._id, updateData, { renderSheet: false });
+      if (actor) {
+        console.log(`fa-token-browser | ActorFactory: Imported "${match.entry.name}" from ${match.pack.collection} as ${actor.name}`);
+      }
+      return actor || null;
+
+    } catch (error) {
+      console.warn('fa-token-browser | ActorFactory: Compendium import failed, creating a new actor instead:', error.message);
+      return null;
+    }
+  }
+  
   /**
    * Get or create the target folder for actor creation based on module settings
    * @returns {Promise<Folder|null>} The target folder or null if using root directory
@@ -257,6 +450,33 @@ export class ActorFactory {
     };
   }
 
+  /**
+   * Grid footprint and texture scale of a token placed on a scene
+   * Same sizing as a dropped token: optimized gargantuan dimensions and the hex footprint
+   * @param {Object} dragData - Drag data containing the filename and token size
+   * @param {number} gridType - Scene grid type
+   * @returns {{gridWidth: number, gridHeight: number, scale: number, fit: string}}
+   */
+  static _getPlacedTokenSize(dragData, gridType) {
+    const { gridWidth, gridHeight, scale } = dragData.tokenSize;
+    const optimized = this._optimizeGargantuanDimensions(dragData.filename, gridWidth, gridHeight, scale);
+    return { ...optimized, ...getGridFootprint(optimized, gridType) };
+  }
+
+  /**
+   * Token flags that keep size-linked systems from resizing a token with a custom scale
+   * @param {number} scale - Token scale
+   * @returns {Object|null} Token flags, or null if the system does not link token and actor size
+   */
+  static _getSizeLinkFlags(scale) {
+    const systemId = SystemDetection.getCurrentSystemId();
+    if (!['pf2e', 'pf1', 'dsa5'].includes(systemId)) return null;
+    return {
+      'fa-token-browser': { customScale: true, originalScale: scale },
+      [systemId]: { linkToActorSize: false }
+    };
+  }
+
   /**
    * Optimize gargantuan token dimensions for easier canvas handling
    * Reduces grid space while maintaining visual proportions using scale and fit modes
@@ -692,26 +912,40 @@ export class ActorFactory {
    * @param {Actor} actor - The created actor
    * @param {Object} dragData - Drag data containing token information
    * @param {Object} dropCoordinates - Drop coordinates (already snapped in handleCanvasDrop)
+   * @param {Object} [options]
+   * @param {boolean} [options.unlinked=false] - Place an unlinked token even if the prototype is linked
+   * @param {boolean} [options.reused=false] - The actor already existed, so its prototype may hold other art
    * @returns {Promise<Token>} Created token document
    */
-  static async _createTokenOnCanvas(actor, dragData, dropCoordinates) {
+  static async _createTokenOnCanvas(actor, dragData, dropCoordinates, { unlinked = false, reused = false } = {}) {
     const { world } = dropCoordinates;
     
     // Use the optimized dimensions from the actor's prototype token data
     // This ensures we use the optimized dimensions for gargantuan tokens
     const prototypeToken = actor.prototypeToken;
-    const gridWidth = prototypeToken.width;
-    const gridHeight = prototypeToken.height;
-    const textureScaleX = prototypeToken.texture.scaleX;
-    const textureScaleY = prototypeToken.texture.scaleY;
-    const textureFit = prototypeToken.texture.fit;
+    const gridType = canvas.scene.grid.type;
+    let gridWidth, gridHeight, textureScaleX, textureScaleY, textureFit;
+    
+    if (reused) {
+      // A reused actor's prototype was sized for its own art: size the token for the dropped file instead
+      const tokenSize = this._getPlacedTokenSize(dragData, gridType);
+      ({ gridWidth, gridHeight } = tokenSize);
+      textureScaleX = textureScaleY = tokenSize.scale;
+      textureFit = tokenSize.fit;
+    } else {
+      // Hex scenes need as many hexes across in both directions
+      ({ gridWidth, gridHeight } = getGridFootprint({ gridWidth: prototypeToken.width, gridHeight: prototypeToken.height }, gridType));
+      textureScaleX = prototypeToken.texture.scaleX;
+      textureScaleY = prototypeToken.texture.scaleY;
+      textureFit = prototypeToken.texture.fit;
+    }
     
-    // Get grid size for calculating token dimensions
-    const gridSize = canvas.grid.size;
+    // Get grid space size for calculating token dimensions (hexes are taller or wider than the grid size)
+    const { sizeX, sizeY } = getGridCellSize(canvas.grid.size, gridType);
     
     // Calculate actual token dimensions in pixels using optimized dimensions
-    const tokenWidth = gridWidth * gridSize;
-    const tokenHeight = gridHeight * gridSize;
+    const tokenWidth = gridWidth * sizeX;
+    const tokenHeight = gridHeight * sizeY;
     
     // Center the token on the cursor position
     // Since Foundry token coordinates are top-left corner, we need to offset by half dimensions
@@ -720,7 +954,7 @@ export class ActorFactory {
     
     // Create base token data with positioning and optimized texture settings
     const baseTokenData = {
-      name: actor.name,
+      name: this._getTokenName(dragData.filename, canvas.scene),
       actorId: actor.id,
       x: tokenX,
       y: tokenY,
@@ -733,8 +967,16 @@ export class ActorFactory {
         fit: textureFit         // Apply optimized fit mode
       }
     };
-
- 
+    
+    if (unlinked) {
+      baseTokenData.actorLink = false;
+    }
+    
+    // Keep size-linked systems from resizing the token to the reused actor's size
+    const sizeLinkFlags = reused && this._getSizeLinkFlags(textureScaleX);
+    if (sizeLinkFlags) {
+      baseTokenData.flags = sizeLinkFlags;
+    }
     
     // Apply prototype token overrides from the actor and global settings
     const tokenData = this._applyPrototypeTokenOverrides(actor, baseTokenData);
@@ -0,0 +1,387 @@
+/**
+ * Bulk Download for FA Token Browser
+ * Queues cloud token downloads to the local cache (folders, search results, selections) with a progress bar
+ */
+
+import { SearchIndex } from './search-engine.js';
+
+// Failed downloads listed in the progress bar, the rest are summarized
+const MAX_LISTED_FAILURES = 50;
+
+/**
+ * Manages queued downloads of cloud tokens into the token cache
+ */
+export class BulkDownloadManager {
+  constructor(app) {
+    this.app = app; // Reference to the main application
+
+    this._queue = []; // UI token objects waiting to download
+    this._pendingKeys = new Set(); // Keys of queued and running tokens, to skip duplicates
+    this._running = 0; // Downloads in progress
+    this._paused = false;
+
+    // Progress of the current run, reset when a run starts from idle
+    this._total = 0;
+    this._downloaded = 0;
+    this._cancelled = 0;
+    this._failed = []; // { image, error }
+  }
+
+  /**
+   * Check if downloads are queued or running
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this._running > 0 || this._queue.length > 0;
+  }
+
+  /**
+   * Get the number of downloads run at the same time
+   * @returns {number}
+   */
+  get concurrency() {
+    const value = Number(game.settings.get('fa-token-browser', 'bulkDownloadConcurrency'));
+    return Number.isFinite(value) ? Math.max(1, Math.round(value)) : 1;
+  }
+
+  /**
+   * Activate the progress bar actions
+   */
+  activateBulkDownload() {
+    const bar = this.app.element.querySelector('.bulk-download-bar');
+    if (!bar) return;
+
+    const handler = (event) => {
+      const actionElement = event.target.closest('[data-action]');
+      if (!actionElement || actionElement.disabled) return;
+
+      event.preventDefault();
+      switch (actionElement.dataset.action) {
+        case 'pause':
+          this.pause();
+          break;
+        case 'resume':
+          this.resume();
+          break;
+        case 'cancel':
+          this.cancel();
+          break;
+        case 'retry':
+          this.retryFailed();
+          break;
+        case 'dismiss':
+          this._resetRun();
+          this.refresh();
+          break;
+      }
+    };
+
+    this.app.eventManager.registerBulkDownloadHandler(bar, handler);
+    this.refresh();
+  }
+
+  /**
+   * Queue every uncached cloud token in a folder tree node, after confirmation
+   * @param {string} folderKey - Folder tree node key
+   */
+  async downloadFolder(folderKey) {
+    const images = this.app.folderTreeManager.getFolderImages(folderKey);
+    const name = folderKey.split(':').pop() || 'Cloud';
+    await this._confirmAndEnqueue(images, `the "${name}" folder`);
+  }
+
+  /**
+   * Queue every uncached cloud token matching the current search and filters, after confirmation
+   */
+  async downloadMatching() {
+    const images = this.app.searchManager.getMatchingImages();
+    const description = this.app.searchManager.isSearchActive ? 'the search results' : 'the token browser';
+    await this._confirmAndEnqueue(images, description);
+  }
+
+  /**
+   * Queue tokens for download, skipping local, cached, locked and already queued tokens
+   * @param {Array<Object>} images - UI token objects
+   * @returns {{queued: number, skipped: number, locked: number, offline?: boolean}} Counts of the given
+   *   tokens, offline when the cloud library is unreachable
+   */
+  enqueue(images) {
+    if (this._warnIfOffline()) {
+      return { queued: 0, skipped: images.length, locked: 0, offline: true };
+    }
+
+    const { pending, locked } = this._partition(images);
+    const toQueue = pending.filter(image => !this._pendingKeys.has(SearchIndex.getKey(image)));
+
+    if (toQueue.length) {
+      if (!this.isActive) this._resetRun();
+      toQueue.forEach(image => this._pendingKeys.add(SearchIndex.getKey(image)));
+      this._queue.push(...toQueue);
+      this._total += toQueue.length;
+      console.log(`fa-token-browser | Bulk download: Queued ${toQueue.length} tokens`);
+      this._pump();
+    }
+
+    this.refresh();
+    return { queued: toQueue.length, skipped: images.length - toQueue.length - locked.length, locked: locked.length };
+  }
+
+  /**
+   * Stop starting new downloads (running ones finish)
+   */
+  pause() {
+    if (!this.isActive || this._paused) return;
+    this._paused = true;
+    this.refresh();
+  }
+
+  /**
+   * Continue a paused queue
+   */
+  resume() {
+    if (!this._paused) return;
+    this._paused = false;
+    this._pump();
+    this.refresh();
+  }
+
+  /**
+   * Drop the queued downloads (running ones finish)
+   */
+  cancel() {
+    if (!this.isActive) return;
+    this._cancelled += this._queue.length;
+    this._queue.forEach(image => this._pendingKeys.delete(SearchIndex.getKey(image)));
+    this._queue = [];
+    this._paused = false;
+    this._finishIfDone();
+    this.refresh();
+  }
+
+  /**
+   * Queue the failed downloads of the last run again
+   */
+  retryFailed() {
+    if (this.isActive || !this._failed.length) return;
+    const images = this._failed.map(failure => failure.image);
+    this._resetRun();
+    this.enqueue(images);
+  }
+
+  /**
+   * Render the progress bar
+   */
+  refresh() {
+    const bar = this.app?.element?.querySelector('.bulk-download-bar');
+    if (!bar) return;
+
+    const finished = this._downloaded + this._failed.length + this._cancelled;
+    const visible = this.isActive || this._failed.length > 0;
+    bar.classList.toggle('hidden', !visible);
+    if (!visible) {
+      bar.innerHTML = '';
+      return;
+    }
+
+    const escape = foundry.utils.escapeHTML;
+    const percent = this._total ? Math.round((finished / this._total) * 100) : 0;
+    const button = (action, icon, label) => `
+      <button type="button" data-action="${action}">
+        <i class="fas ${icon}"></i> ${label}
+      </button>`;
+
+    if (this.isActive) {
+      const state = this._paused
+        ? (this._running ? `Pausing after ${this._running} running` : 'Paused')
+        : 'Downloading';
+      const failed = this._failed.length ? `, ${this._failed.length} failed` : '';
+      bar.innerHTML = `
+        <div class="bulk-download-row">
+          <i class="fas ${this._paused ? 'fa-pause' : 'fa-spinner fa-spin'}"></i>
+          <span class="bulk-download-label">${state}: ${finished} / ${this._total} tokens${failed}</span>
+          <div class="bulk-download-progress"><div style="width: ${percent}%"></div></div>
+          ${this._paused ? button('resume', 'fa-play', 'Resume') : button('pause', 'fa-pause', 'Pause')}
+          ${button('cancel', 'fa-stop', 'Cancel')}
+        </div>`;
+      return;
+    }
+
+    // Finished with failures: list them until retried or dismissed
+    const listed = this._failed.slice(0, MAX_LISTED_FAILURES).map(({ image, error }) =>
+      `<li><span>${escape(image.displayName || image.filename)}</span> <span class="bulk-download-error">${escape(error)}</span></li>`).join('');
+    const more = this._failed.length > MAX_LISTED_FAILURES ? `<li>… and ${this._failed.length - MAX_LISTED_FAILURES} more</li>` : '';
+    bar.innerHTML = `
+      <div class="bulk-download-row">
+        <i class="fas fa-triangle-exclamation"></i>
+        <span class="bulk-download-label">Downloaded ${this._downloaded} of ${this._total} tokens, ${this._failed.length} failed</span>
+        ${button('retry', 'fa-rotate-right', 'Retry Failed')}
+        <button type="button" class="bulk-download-dismiss" data-action="dismiss" title="Dismiss">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+      <ul class="bulk-download-failures">${listed}${more}</ul>`;
+  }
+
+  /**
+   * Confirm and queue a large download
+   * @param {Array<Object>} images - UI token objects
+   * @param {string} description - What is downloaded, e.g. 'the search results'
+   * @private
+   */
+  async _confirmAndEnqueue(images, description) {
+    if (this._warnIfOffline()) return;
+
+    const { pending, locked } = this._partition(images);
+    if (!pending.length) {
+      ui.notifications.info(locked.length
+        ? `Nothing to download from ${description} (${locked.length} premium tokens need Patreon access).`
+        : `All cloud tokens of ${description} are already cached.`);
+      return;
+    }
+
+    const service = this.app.tokenDataService;
+    const totalBytes = pending.reduce((sum, image) => sum + (image.fileSize || 0), 0);
+    const size = totalBytes ? ` (about ${service.formatFileSize(totalBytes)})` : '';
+    const { maxBytes, maxFiles } = service.cacheManager.getQuota();
+    const quotaNote = maxBytes || maxFiles
+      ? '<p>A token cache quota is set: when it is exceeded, the least recently used tokens are removed again.</p>'
+      : '';
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Download Cloud Tokens' },
+      content: `<p>Download ${pending.length} cloud token${pending.length === 1 ? '' : 's'}${size} from ${foundry.utils.escapeHTML(description)} to the token cache?</p>
+        ${locked.length ? `<p>${locked.length} premium tokens need Patreon access and are skipped.</p>` : ''}
+        ${quotaNote}`,
+      rejectClose: false
+    });
+    if (!confirmed || !this.app) return;
+
+    this.enqueue(pending);
+  }
+
+  /**
+   * Warn that nothing can be downloaded while the cloud tokens come from the offline catalogue
+   * @returns {boolean} True if offline
+   * @private
+   */
+  _warnIfOffline() {
+    if (!this.app.tokenDataService.cloudService.offlineSnapshot) return false;
+    ui.notifications.warn('The cloud library cannot be reached, so tokens cannot be downloaded. Reopen the Token Browser once you are back online.');
+    return true;
+  }
+
+  /**
+   * Split tokens into uncached cloud tokens the user may download and locked premium tokens
+   * @param {Array<Object>} images - UI token objects
+   * @returns {{pending: Array<Object>, locked: Array<Object>}}
+   * @private
+   */
+  _partition(images) {
+    const service = this.app.tokenDataService;
+    const pending = [];
+    const locked = [];
+
+    images.forEach(image => {
+      if (image.source !== 'cloud') return;
+      const tokenData = service.getTokenDataFromUIObject(image);
+      if (!this.app.dragDropManager._isTokenDraggable(tokenData)) {
+        locked.push(image);
+      } else if (!service.isTokenCached(tokenData)) {
+        pending.push(image);
+      }
+    });
+    return { pending, locked };
+  }
+
+  /**
+   * Start queued downloads up to the concurrency limit
+   * @private
+   */
+  _pump() {
+    while (!this._paused && this._queue.length && this._running < this.concurrency) {
+      this._download(this._queue.shift());
+    }
+  }
+
+  /**
+   * Download one token and update its grid item
+   * @param {Object} image - UI token object
+   * @private
+   */
+  async _download(image) {
+    this._running++;
+    const service = this.app.tokenDataService;
+
+    try {
+      const tokenData = service.getTokenDataFromUIObject(image);
+      const downloadURL = await service.getFullURL(tokenData);
+      await service.cacheManager.downloadAndCache(tokenData, downloadURL);
+
+      this._downloaded++;
+      if (this.app) {
+        image.isCached = true;
+        this.app.searchManager?.reindexToken(image);
+        this.app.updateTokenStatusIcon(image.filename, 'cached');
+      }
+    } catch (error) {
+      console.warn(`fa-token-browser | Bulk download: Failed to download ${image.filename}:`, error);
+      this._failed.push({ image, error: error.message });
+    } finally {
+      this._running--;
+      this._pendingKeys.delete(SearchIndex.getKey(image));
+    }
+
+    // The browser was closed while downloading
+    if (!this.app) return;
+
+    this._pump();
+    this._finishIfDone();
+    this.refresh();
+  }
+
+  /**
+   * Report a finished run
+   * @private
+   */
+  _finishIfDone() {
+    if (this.isActive) return;
+
+    const notes = [];
+    if (this._failed.length) notes.push(`${this._failed.length} failed`);
+    if (this._cancelled) notes.push(`${this._cancelled} cancelled`);
+    const message = `Downloaded ${this._downloaded} token${this._downloaded === 1 ? '' : 's'} to the cache${notes.length ? ` (${notes.join(', ')})` : ''}.`;
+    console.log(`fa-token-browser | Bulk download: ${message}`);
+
+    if (this._failed.length) {
+      ui.notifications.warn(message);
+    } else {
+      ui.notifications.info(message);
+      this._resetRun();
+    }
+  }
+
+  /**
+   * Clear the progress and failures of the last run
+   * @private
+   */
+  _resetRun() {
+    this._total = 0;
+    this._downloaded = 0;
+    this._cancelled = 0;
+    this._failed = [];
+    this._paused = false;
+  }
+
+  /**
+   * Destroy the bulk download manager, dropping queued downloads (running ones finish)
+   */
+  destroy() {
+    if (this._queue.length) {
+      console.log(`fa-token-browser | Bulk download: Dropped ${this._queue.length} queued tokens`);
+    }
+    this._queue = [];
+    this._pendingKeys.clear();
+    this._failed = [];
+    this.app = null;
+  }
+}
@@ -0,0 +1,327 @@
+/**
+ * CacheManagementDialog - Lists the cloud token cache with usage, and deletes, re-downloads or checks cached files
+ */
+
+import { forgeIntegration } from './forge-integration.js';
+import { TokenDataService } from './token-data-service.js';
+
+const { HandlebarsApplicationMixin } = foundry.applications.api;
+
+// Integrity check results shown in the status column
+const STATUS_LABELS = {
+  ok: 'OK',
+  missing: 'Missing',
+  empty: 'Empty file',
+  unknown: 'Not checked (request failed)'
+};
+
+export class CacheManagementDialog extends HandlebarsApplicationMixin(foundry.applications.api.ApplicationV2) {
+  /**
+   * @param {TokenDataService|null} [tokenDataService] - Service whose cache is managed. The settings menu passes
+   *   none: the open Token Browser's service is used, or a new one
+   * @param {Object} [options] - Application options
+   */
+  constructor(tokenDataService = null, options = {}) {
+    super(options);
+    this.tokenDataService = tokenDataService
+      || foundry.applications.instances.get('token-browser-app')?.tokenDataService
+      || new TokenDataService();
+    this._selected = new Set(); // Selected cache keys
+    this._status = new Map(); // Cache key -> integrity check result
+    this._busyAction = null; // Action currently running (one at a time)
+  }
+
+  static DEFAULT_OPTIONS = {
+    id: 'fa-token-browser-cache-dialog',
+    tag: 'div',
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: true,
+      title: 'Token Cache'
+    },
+    position: {
+      width: 860,
+      height: 600
+    },
+    actions: {
+      rescan: CacheManagementDialog._onRescan,
+      checkIntegrity: CacheManagementDialog._onCheckIntegrity,
+      redownload: CacheManagementDialog._onRedownload,
+      deleteSelected: CacheManagementDialog._onDeleteSelected,
+      trim: CacheManagementDialog._onTrim
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: 'modules/fa-token-browser/templates/cache-management-dialog.hbs'
+    }
+  };
+
+  /**
+   * Prepare context for template rendering
+   */
+  async _prepareContext(options) {
+    const service = this.tokenDataService;
+    const cacheManager = service.cacheManager;
+    await cacheManager.initialize();
+
+    const lookup = cacheManager.getReferenceLookup();
+    const formatDate = (time) => (time ? new Date(time).toLocaleString() : '—');
+
+    const files = [...cacheManager.cacheInventory.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([cacheKey, metadata]) => {
+        const { actors, scenes } = lookup(metadata.localPath);
+        const status = this._status.get(cacheKey);
+        return {
+          cacheKey,
+          localPath: metadata.localPath,
+          size: Number.isFinite(metadata.size) ? service.formatFileSize(metadata.size) : '—',
+          downloadedAt: formatDate(metadata.downloadedAt),
+          lastAccessed: formatDate(metadata.lastAccessed),
+          actors: actors.join(', '),
+          scenes: scenes.join(', '),
+          isUsed: actors.length > 0 || scenes.length > 0,
+          status,
+          statusLabel: status ? STATUS_LABELS[status] : '',
+          isProblem: status === 'missing' || status === 'empty',
+          selected: this._selected.has(cacheKey)
+        };
+      });
+
+    // Forget selections of files that are gone
+    const keys = new Set(files.map(file => file.cacheKey));
+    [...this._selected].forEach(cacheKey => {
+      if (!keys.has(cacheKey)) this._selected.delete(cacheKey);
+    });
+
+    const usage = cacheManager.getCacheUsage();
+    const { maxBytes, maxFiles } = cacheManager.getQuota();
+    const quota = [
+      maxBytes ? service.formatFileSize(maxBytes) : null,
+      maxFiles ? `${maxFiles} files` : null
+    ].filter(Boolean).join(' / ');
+
+    const canDelete = forgeIntegration.isRunningOnForge();
+    const selectionDisabled = !!this._busyAction || !this._selected.size;
+
+    return {
+      files,
+      hasFiles: files.length > 0,
+      fileCount: usage.fileCount,
+      totalSize: service.formatFileSize(usage.totalBytes),
+      unknownSizes: usage.unknownSizes,
+      quota,
+      cacheDirectory: cacheManager._getCacheDirectory(),
+      problemCount: files.filter(file => file.isProblem).length,
+      selectedCount: this._selected.size,
+      canDelete,
+      selectionDisabled,
+      deleteDisabled: selectionDisabled || !canDelete,
+      busyAction: this._busyAction
+    };
+  }
+
+  /**
+   * Listen for file selection once; the element is kept across renders
+   */
+  _onFirstRender(context, options) {
+    super._onFirstRender(context, options);
+
+    this.element.addEventListener('change', (event) => {
+      const checkbox = event.target.closest('input[type="checkbox"]');
+      if (!checkbox) return;
+
+      if (checkbox.dataset.selectAll !== undefined) {
+        this.element.querySelectorAll('input[data-cache-key]').forEach(input => {
+          input.checked = checkbox.checked;
+          this._toggleSelected(input.dataset.cacheKey, checkbox.checked);
+        });
+      } else if (checkbox.dataset.cacheKey) {
+        this._toggleSelected(checkbox.dataset.cacheKey, checkbox.checked);
+      }
+      this._refreshSelectionState();
+    });
+  }
+
+  /**
+   * Add or remove a file from the selection
+   * @private
+   */
+  _toggleSelected(cacheKey, selected) {
+    if (selected) {
+      this._selected.add(cacheKey);
+    } else {
+      this._selected.delete(cacheKey);
+    }
+  }
+
+  /**
+   * Update the selection count and the buttons acting on the selection, without a re-render
+   * @private
+   */
+  _refreshSelectionState() {
+    const count = this._selected.size;
+    const countElement = this.element.querySelector('.fa-token-browser-cache-selected-count');
+    if (countElement) countElement.textContent = `${count} selected`;
+
+    this.element.querySelectorAll('[data-requires-selection]').forEach(button => {
+      button.disabled = !!this._busyAction || !count || (button.dataset.action === 'deleteSelected' && !forgeIntegration.isRunningOnForge());
+    });
+  }
+
+  /**
+   * Run a dialog action, one at a time, and re-render afterwards
+   * @param {string} action - Action name, shown as busy
+   * @param {Function} callback - Async action
+   * @private
+   */
+  async _runAction(action, callback) {
+    if (this._busyAction) return;
+    this._busyAction = action;
+    await this.render();
+    try {
+      await callback();
+    } catch (error) {
+      console.error(`fa-token-browser | Cache dialog action "${action}" failed:`, error);
+      ui.notifications.error(`Token cache: ${error.message}`);
+    } finally {
+      this._busyAction = null;
+      if (this.rendered) await this.render();
+      this._refreshTokenBrowser();
+    }
+  }
+
+  /**
+   * Update cache indicators of an open Token Browser
+   * @private
+   */
+  _refreshTokenBrowser() {
+    const app = foundry.applications.instances.get('token-browser-app');
+    if (!app?._allImages) return;
+    app._allImages.forEach(image => {
+      if (image.source === 'cloud') image.isCached = app.tokenDataService.isTokenCached(image._tokenData);
+    });
+    app.searchManager?.regenerateGrid();
+  }
+
+  /**
+   * Scan the cache directory again
+   * @this {CacheManagementDialog}
+   */
+  static async _onRescan() {
+    await this._runAction('rescan', async () => {
+      this._status.clear();
+      await this.tokenDataService.cacheManager.rescan();
+    });
+  }
+
+  /**
+   * Check every cached file for missing or empty files
+   * @this {CacheManagementDialog}
+   */
+  static async _onCheckIntegrity() {
+    await this._runAction('checkIntegrity', async () => {
+      this._status = await this.tokenDataService.cacheManager.checkIntegrity();
+      const problems = [...this._status.values()].filter(status => status === 'missing' || status === 'empty').length;
+      if (problems) {
+        // Select the broken files, ready to re-download
+        this._selected = new Set([...this._status].filter(([, status]) => status === 'missing' || status === 'empty').map(([cacheKey]) => cacheKey));
+        ui.notifications.warn(`Found ${problems} missing or empty cached file${problems === 1 ? '' : 's'}. They are selected for re-download.`);
+      } else {
+        ui.notifications.info(`All ${this._status.size} cached files are OK.`);
+      }
+    });
+  }
+
+  /**
+   * Download the selected files again from the cloud
+   * @this {CacheManagementDialog}
+   */
+  static async _onRedownload() {
+    if (!this._selected.size) return;
+    await this._runAction('redownload', async () => {
+      const service = this.tokenDataService;
+      const cacheManager = service.cacheManager;
+      const cloudTokens = await game.modules.get('fa-token-browser').api.getTokens({ source: 'cloud' });
+      const tokensByKey = new Map(cloudTokens.map(tokenData => [cacheManager._generateCacheFilename(tokenData).toLowerCase(), tokenData]));
+
+      let downloaded = 0;
+      let notFound = 0;
+      let failed = 0;
+      for (const cacheKey of this._selected) {
+        const tokenData = tokensByKey.get(cacheKey.toLowerCase());
+        if (!tokenData) {
+          notFound++;
+          continue;
+        }
+        try {
+          await cacheManager.redownload(tokenData, await service.getFullURL(tokenData));
+          this._status.delete(cacheKey);
+          downloaded++;
+        } catch (error) {
+          console.warn(`fa-token-browser | Failed to re-download ${cacheKey}:`, error);
+          failed++;
+        }
+      }
+
+      const notes = [];
+      if (notFound) notes.push(`${notFound} not in the cloud library`);
+      if (failed) notes.push(`${failed} failed`);
+      const message = `Re-downloaded ${downloaded} token${downloaded === 1 ? '' : 's'}${notes.length ? ` (${notes.join(', ')})` : ''}.`;
+      ui.notifications[notes.length ? 'warn' : 'info'](message);
+      this._selected.clear();
+    });
+  }
+
+  /**
+   * Delete the selected files, after confirming when some are still used in the world
+   * @this {CacheManagementDialog}
+   */
+  static async _onDeleteSelected() {
+    if (!this._selected.size) return;
+
+    const cacheManager = this.tokenDataService.cacheManager;
+    const isReferenced = cacheManager._getReferencedPathMatcher();
+    const usedCount = [...this._selected].filter(cacheKey => {
+      const metadata = cacheManager.cacheInventory.get(cacheKey);
+      return metadata && isReferenced(metadata.localPath);
+    }).length;
+
+    const count = this._selected.size;
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Delete Cached Tokens' },
+      content: `<p>Delete ${count} cached token${count === 1 ? '' : 's'}?</p>
+        ${usedCount ? `<p><strong>${usedCount} of them ${usedCount === 1 ? 'is' : 'are'} used by actors or scenes in this world</strong> and will show as missing images until downloaded again.</p>` : ''}`,
+      rejectClose: false
+    });
+    if (!confirmed) return;
+
+    await this._runAction('deleteSelected', async () => {
+      const cacheKeys = [...this._selected];
+      await cacheManager.deleteCachedFiles(cacheKeys);
+      cacheKeys.forEach(cacheKey => this._status.delete(cacheKey));
+      this._selected.clear();
+      ui.notifications.info(`Deleted ${cacheKeys.length} cached token${cacheKeys.length === 1 ? '' : 's'}.`);
+    });
+  }
+
+  /**
+   * Evict least recently used files down to the cache quota
+   * @this {CacheManagementDialog}
+   */
+  static async _onTrim() {
+    await this._runAction('trim', async () => {
+      const { evicted, protectedCount, withinQuota } = await this.tokenDataService.cacheManager.trimCache();
+      if (evicted.length) {
+        ui.notifications.info(`Removed ${evicted.length} cached token${evicted.length === 1 ? '' : 's'}.`);
+      } else if (!withinQuota) {
+        ui.notifications.warn(`The token cache is over its quota, but all ${protectedCount} remaining files are used in this world.`);
+      } else {
+        ui.notifications.info('The token cache is within its quota.');
+      }
+    });
+  }
+}
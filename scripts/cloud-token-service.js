@@ -6,8 +6,32 @@
 import { createTokenData, TOKEN_SOURCES, TOKEN_TIERS } from './token-data-types.js';
 import { parseTokenSize } from './geometry.js';
 
+// Catalogue snapshot file in the token cache directory
+const SNAPSHOT_FILENAME = 'cloud-catalogue.json';
+
+// A snapshot with the same token count is saved again after this long, so its age stays meaningful
+const SNAPSHOT_REFRESH_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Shown when an uncached token from the catalogue snapshot is used
+export const OFFLINE_TOKEN_MESSAGE = 'This cloud token is unavailable offline: the cloud library cannot be reached and the token is not cached.';
+
+/**
+ * Describe how long ago a time was ("5 minutes", "3 days")
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string}
+ */
+function formatAge(timestamp) {
+  const minutes = Math.max(0, Math.round((Date.now() - timestamp) / 60000));
+  const [value, unit] = minutes < 60 ? [minutes, 'minute']
+    : minutes < 48 * 60 ? [Math.round(minutes / 60), 'hour']
+    : [Math.round(minutes / (24 * 60)), 'day'];
+  return `${value} ${unit}${value === 1 ? '' : 's'}`;
+}
+
 export class CloudTokenService {
-  constructor() {
+  constructor(cacheManager = null) {
+    this.cacheManager = cacheManager; // Token cache, where the catalogue snapshot is kept for offline use
+    
     // HTTP client configuration (moved from CloudTokenAPI)
     this.config = {
       baseUrl: 'https://n8n.forgotten-adventures.net/webhook',
@@ -27,6 +51,9 @@ export class CloudTokenService {
     // Parent app reference for auth disconnect (similar to drag-drop manager pattern)
     this.parentApp = null;
     
+    // Saved catalogue in use while the browse endpoint is unreachable: { savedAt, tokenCount }
+    this.offlineSnapshot = null;
+    
     console.log('fa-token-browser | CloudTokenService initialized');
   }
 
@@ -275,12 +302,14 @@ export class CloudTokenService {
 
   /**
    * Get available cloud tokens based on authentication status
-   * @returns {Promise<Object>} Token data with metadata
+   * @returns {Promise<Object>} Token data with metadata, with premiumFallback set when the
+   *   premium browse failed and only the free tokens were loaded
    * @private
    */
   async _getAvailableTokens() {
     // Try authenticated endpoint first if user is logged in
-    if (this.isAuthenticated()) {
+    const authenticated = this.isAuthenticated();
+    if (authenticated) {
       try {
         return await this._browseTokens();
       } catch (error) {
@@ -297,7 +326,10 @@ export class CloudTokenService {
     }
     
     // Use free endpoint as fallback or primary for unauthenticated users
-    return await this._browseFreeTokens();
+    const response = await this._browseFreeTokens();
+    return authenticated && response && typeof response === 'object'
+      ? { ...response, premiumFallback: true }
+      : response;
   }
 
   /**
@@ -440,24 +472,94 @@ export class CloudTokenService {
    * @returns {Promise<Array<TokenData>>} Array of TokenData objects
    */
   async fetchAvailableTokens() {
+    let response;
     try {
-      const response = await this._getAvailableTokens();
-      
-      if (!response.tokens || !Array.isArray(response.tokens)) {
-        console.warn('fa-token-browser | Invalid cloud token response:', response);
-        return [];
-      }
-      
-      // Convert to TokenData format
-      const tokenDataArray = response.tokens.map(token => this.convertCloudToken(token));
-      
-      return tokenDataArray;
-      
+      response = await this._getAvailableTokens();
     } catch (error) {
       console.error('fa-token-browser | Error fetching cloud tokens:', error);
-      // Return empty array instead of throwing - graceful degradation
+      // Fall back to the last catalogue that loaded, or no cloud tokens - graceful degradation
+      return await this._loadCatalogueSnapshot();
+    }
+
+    if (!response?.tokens || !Array.isArray(response.tokens)) {
+      console.warn('fa-token-browser | Invalid cloud token response:', response);
+      return await this._loadCatalogueSnapshot();
+    }
+
+    this.offlineSnapshot = null;
+    // The free tokens of a failed premium browse would replace the premium catalogue
+    if (!response.premiumFallback) {
+      this._saveCatalogueSnapshot(response.tokens);
+    }
+
+    // Convert to TokenData format
+    const tokenDataArray = response.tokens.map(token => this.convertCloudToken(token));
+
+    return tokenDataArray;
+  }
+
+  /**
+   * Get the saved catalogue in use while offline
+   * @returns {{savedAt: number, age: string, tokenCount: number}|null} Null while the cloud is reachable
+   */
+  getOfflineStatus() {
+    if (!this.offlineSnapshot) return null;
+    return { ...this.offlineSnapshot, age: formatAge(this.offlineSnapshot.savedAt) };
+  }
+
+  /**
+   * Save a browse response to the token cache directory for offline use (GM only, runs in the background)
+   * The world setting only records when it was saved and how many tokens it has
+   * @param {Array<Object>} tokens - Tokens of the browse response
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _saveCatalogueSnapshot(tokens) {
+    if (!game.user.isGM || !this.cacheManager) return;
+
+    try {
+      // Catalogue changes nearly always add or remove tokens, other changes are picked up by the hourly refresh.
+      // The file is saved again if it is gone, e.g. deleted or after the cache directory changed
+      const previous = game.settings.get('fa-token-browser', 'cloudCatalogueSnapshot');
+      const recent = previous?.tokenCount === tokens.length && Date.now() - previous.savedAt < SNAPSHOT_REFRESH_INTERVAL;
+      if (recent && await this.cacheManager.hasDataFile(SNAPSHOT_FILENAME)) return;
+
+      // Only the fields convertCloudToken reads
+      const savedAt = Date.now();
+      const snapshotTokens = tokens.map(token => ({
+        token_path: token.token_path || token.path,
+        tier: token.tier,
+        file_size: token.file_size || token.size || 0,
+        last_modified: token.last_modified || null
+      }));
+
+      await this.cacheManager.writeDataFile(SNAPSHOT_FILENAME, { savedAt, tokens: snapshotTokens });
+      await game.settings.set('fa-token-browser', 'cloudCatalogueSnapshot', { savedAt, tokenCount: tokens.length });
+    } catch (error) {
+      console.warn('fa-token-browser | Failed to save the cloud catalogue snapshot:', error);
+    }
+  }
+
+  /**
+   * Load the saved catalogue, marking its tokens as offline
+   * @returns {Promise<Array<TokenData>>} Tokens of the snapshot, or an empty array if none was saved
+   * @private
+   */
+  async _loadCatalogueSnapshot() {
+    const snapshot = await this.cacheManager?.readDataFile(SNAPSHOT_FILENAME);
+    if (!Array.isArray(snapshot?.tokens) || !snapshot.tokens.length) {
+      this.offlineSnapshot = null;
       return [];
     }
+
+    this.offlineSnapshot = { savedAt: snapshot.savedAt, tokenCount: snapshot.tokens.length };
+    console.warn(`fa-token-browser | Cloud library unreachable, using the catalogue saved ${formatAge(snapshot.savedAt)} ago (${snapshot.tokens.length} tokens)`);
+
+    return snapshot.tokens.map(token => {
+      const tokenData = this.convertCloudToken(token);
+      tokenData.offline = true;
+      return tokenData;
+    });
   }
 
 
@@ -0,0 +1,192 @@
+/**
+ * Compendium Matcher for FA Token Browser
+ * Finds compendium actors whose name matches a dropped token, to import instead of creating a blank actor
+ */
+
+import { editDistance, getFuzzyTolerance } from './search-engine.js';
+import { parseTokenDisplayName } from './token-data-service.js';
+
+/**
+ * How tokens are matched to compendium actors (compendiumMatchMode setting)
+ */
+export const COMPENDIUM_MATCH_MODES = {
+  off: 'Off - always create a new actor',
+  exact: 'Exact name',
+  fuzzy: 'Fuzzy name (tolerate typos)',
+  prompt: 'Ask - choose from similar names'
+};
+
+// Most candidates listed in the prompt
+const MAX_PROMPT_CANDIDATES = 8;
+
+// Words shorter than this don't make two names similar ("of", "the")
+const MIN_SHARED_WORD_LENGTH = 3;
+
+/**
+ * Normalize a creature name for comparison ("Goblin-Boss " -> "goblin boss")
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Score how well a compendium actor name matches a token name (lower is better)
+ * @param {string} tokenName - Normalized token name
+ * @param {string} entryName - Normalized compendium actor name
+ * @param {boolean} similar - Also score names that only share words
+ * @returns {number|null} 0 for an exact match, the edit distance for typos, or null if unrelated
+ */
+function scoreName(tokenName, entryName, similar) {
+  if (tokenName === entryName) return 0;
+
+  const tolerance = getFuzzyTolerance(tokenName);
+  if (tolerance) {
+    const distance = editDistance(tokenName, entryName, tolerance);
+    if (distance <= tolerance) return distance;
+  }
+  if (!similar) return null;
+
+  // "Goblin Warrior" is similar to "Goblin" and "Goblin Boss": rank by the words they don't share
+  const tokenWords = tokenName.split(' ').filter(word => word.length >= MIN_SHARED_WORD_LENGTH);
+  const entryWords = entryName.split(' ').filter(word => word.length >= MIN_SHARED_WORD_LENGTH);
+  const shared = tokenWords.filter(word => entryWords.includes(word)).length;
+  if (!shared) return null;
+  return 3 + (tokenWords.length - shared) + (entryWords.length - shared);
+}
+
+/**
+ * Matches dropped tokens to actors in the world's configured compendium packs
+ */
+export class CompendiumMatcher {
+
+  /**
+   * Get the configured match mode
+   * @returns {string} Key of COMPENDIUM_MATCH_MODES
+   */
+  static getMode() {
+    const mode = game.settings.get('fa-token-browser', 'compendiumMatchMode');
+    return mode in COMPENDIUM_MATCH_MODES ? mode : 'off';
+  }
+
+  /**
+   * Get the configured Actor compendium packs, in priority order
+   * @returns {Array<CompendiumCollection>}
+   */
+  static getPacks() {
+    const ids = String(game.settings.get('fa-token-browser', 'compendiumPacks') || '')
+      .split(/[\s,]+/)
+      .filter(Boolean);
+
+    return ids.map(id => {
+      const pack = game.packs.get(id);
+      if (!pack || pack.documentName !== 'Actor') {
+        console.warn(`fa-token-browser | Compendium Match: "${id}" is not an Actor compendium, skipping`);
+        return null;
+      }
+      return pack;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Find compendium actors matching a token name, best first
+   * @param {string} name - Token display name
+   * @param {Object} [options]
+   * @param {boolean} [options.similar=false] - Include names that only share words
+   * @returns {Promise<Array<{pack: CompendiumCollection, entry: Object, score: number}>>}
+   */
+  static async findCandidates(name, { similar = false } = {}) {
+    const tokenName = normalizeName(name);
+    if (!tokenName) return [];
+
+    const candidates = [];
+    for (const pack of this.getPacks()) {
+      let index;
+      try {
+        index = await pack.getIndex();
+      } catch (error) {
+        console.warn(`fa-token-browser | Compendium Match: Failed to load index of ${pack.collection}:`, error);
+        continue;
+      }
+
+      for (const entry of index) {
+        const score = scoreName(tokenName, normalizeName(entry.name), similar);
+        if (score !== null) candidates.push({ pack, entry, score });
+      }
+    }
+
+    // Stable sort keeps pack priority among equal scores
+    return candidates.sort((a, b) => a.score - b.score);
+  }
+
+  /**
+   * Find the compendium actor to import for a dropped token, asking the user in prompt mode.
+   * The answer is kept on the drag data, so copies of a formation drop are only asked once.
+   * @param {Object} dragData - Drag data containing the token filename
+   * @returns {Promise<{pack: CompendiumCollection, entry: Object}|null>} Match or null for a new actor
+   */
+  static async findMatch(dragData) {
+    if (dragData._compendiumMatch !== undefined) return dragData._compendiumMatch;
+
+    const mode = this.getMode();
+    if (mode === 'off') return null;
+
+    const { displayName } = parseTokenDisplayName(dragData.filename);
+    const candidates = await this.findCandidates(displayName, { similar: mode === 'prompt' });
+
+    let match = null;
+    if (mode === 'exact') {
+      match = candidates.find(candidate => candidate.score === 0) || null;
+    } else if (mode === 'fuzzy') {
+      match = candidates[0] || null;
+    } else if (candidates.length) {
+      match = await this._promptForMatch(displayName, candidates.slice(0, MAX_PROMPT_CANDIDATES));
+    }
+
+    dragData._compendiumMatch = match;
+    return match;
+  }
+
+  /**
+   * Ask which compendium actor to import
+   * @param {string} displayName - Token display name
+   * @param {Array<Object>} candidates - Candidates from findCandidates
+   * @returns {Promise<Object|null>} Chosen candidate, or null for a new actor
+   * @private
+   */
+  static async _promptForMatch(displayName, candidates) {
+    const escape = foundry.utils.escapeHTML;
+    const options = candidates.map((candidate, index) => `
+      <label class="fa-token-browser-compendium-option">
+        <input type="radio" name="candidate" value="${index}" ${index === 0 ? 'checked' : ''} />
+        ${candidate.entry.img ? `<img src="${escape(candidate.entry.img)}" alt="" />` : ''}
+        <span>${escape(candidate.entry.name)}</span>
+        <span class="hint">${escape(candidate.pack.title)}</span>
+      </label>`).join('');
+
+    const content = `
+      <div class="fa-token-browser-compendium-match">
+        <p>Import a compendium actor for <strong>${escape(displayName)}</strong>? The token art replaces the actor's image and prototype token.</p>
+        ${options}
+      </div>`;
+
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: 'Compendium Actor Match' },
+      content,
+      buttons: [
+        {
+          action: 'import',
+          icon: 'fas fa-file-import',
+          label: 'Import Actor',
+          default: true,
+          callback: (event, button) => Number(button.form.querySelector('input[name="candidate"]:checked')?.value)
+        },
+        { action: 'blank', icon: 'fas fa-user-plus', label: 'Create New Actor' }
+      ],
+      rejectClose: false
+    });
+
+    return Number.isInteger(choice) ? candidates[choice] || null : null;
+  }
+}
@@ -25,6 +25,9 @@ export class EventManager {
     this._searchInputHandler = null;
     this._searchClearHandler = null;
     this._searchKeydownHandler = null;
+    this._searchHelpHandler = null;
+    this._searchCommitHandler = null;
+    this._searchHistoryHandlers = null;
     
     // Size selector handlers
     this._sizeButtonHandlers = [];
@@ -35,9 +38,43 @@ export class EventManager {
     // Hide locked filter handler
     this._hideLockedFilterHandler = null;
     
+    // Fuzzy search toggle handler
+    this._fuzzySearchHandler = null;
+    
+    // Sort direction toggle handler
+    this._sortDirectionHandler = null;
+    
+    // Grouping handlers
+    this._groupBySelectHandler = null;
+    this._groupHeaderHandler = null;
+    
+    // Folder tree handlers (pane, breadcrumb and pane toggle share one delegated handler)
+    this._folderTreeHandlers = null;
+    
+    // Token detail panel handlers (grid clicks and panel actions)
+    this._tokenDetailHandlers = null;
+    
+    // Multi-select handlers (grid clicks and bulk action bar)
+    this._selectionHandlers = null;
+    
+    // Formation count and layout handlers
+    this._formationHandlers = null;
+    this._placeAsTileHandler = null;
+    
+    // Picker mode handlers (grid clicks and picker bar)
+    this._pickerHandlers = null;
+    
+    // Bulk download progress bar handler
+    this._bulkDownloadHandler = null;
+    
     // Context menu handler
     this._contextMenuHandler = null;
     
+    // Collection handlers
+    this._collectionSelectHandler = null;
+    this._manageCollectionsHandler = null;
+    this._quickActionHandler = null;
+    
     // Drag event handlers
     this._boundDragEndHandler = null;
   }
@@ -132,10 +169,27 @@ export class EventManager {
       this._searchInputHandler = null;
       this._searchKeydownHandler = null;
       this._searchClearHandler = null;
+      this._searchHelpHandler = null;
+      this._searchCommitHandler = null;
+      this._searchHistoryHandlers = null;
       this._sizeButtonHandlers = [];
       this._mainColorFilterHandler = null;
       this._hideLockedFilterHandler = null;
+      this._fuzzySearchHandler = null;
+      this._sortDirectionHandler = null;
+      this._groupBySelectHandler = null;
+      this._groupHeaderHandler = null;
+      this._folderTreeHandlers = null;
+      this._tokenDetailHandlers = null;
+      this._selectionHandlers = null;
+      this._formationHandlers = null;
+      this._placeAsTileHandler = null;
+      this._pickerHandlers = null;
+      this._bulkDownloadHandler = null;
       this._contextMenuHandler = null;
+      this._collectionSelectHandler = null;
+      this._manageCollectionsHandler = null;
+      this._quickActionHandler = null;
       this._scrollHandler = null;
       this._handleMouseEnter = null;
       this._handleMouseLeave = null;
@@ -197,6 +251,33 @@ export class EventManager {
       this._searchClearHandler = null;
     }
     
+    if (this._searchHelpHandler) {
+      const { button, handler } = this._searchHelpHandler;
+      if (button) {
+        button.removeEventListener('click', handler);
+      }
+      this._searchHelpHandler = null;
+    }
+    
+    if (this._searchCommitHandler) {
+      const { searchInput, handler } = this._searchCommitHandler;
+      if (searchInput) {
+        searchInput.removeEventListener('change', handler);
+      }
+      this._searchCommitHandler = null;
+    }
+    
+    if (this._searchHistoryHandlers) {
+      const { button, panel, toggleHandler, panelHandler } = this._searchHistoryHandlers;
+      if (button) {
+        button.removeEventListener('click', toggleHandler);
+      }
+      if (panel) {
+        panel.removeEventListener('click', panelHandler);
+      }
+      this._searchHistoryHandlers = null;
+    }
+    
     // Clean up size selector handlers
     this._sizeButtonHandlers.forEach(({ button, handler }) => {
       if (button) {
@@ -223,6 +304,15 @@ export class EventManager {
       this._hideLockedFilterHandler = null;
     }
     
+    // Clean up fuzzy search toggle handler
+    if (this._fuzzySearchHandler) {
+      const { checkbox, handler } = this._fuzzySearchHandler;
+      if (checkbox) {
+        checkbox.removeEventListener('change', handler);
+      }
+      this._fuzzySearchHandler = null;
+    }
+    
     // Clean up context menu handler
     if (this._contextMenuHandler) {
       const { grid, handler } = this._contextMenuHandler;
@@ -232,6 +322,31 @@ export class EventManager {
       this._contextMenuHandler = null;
     }
     
+    // Clean up collection handlers
+    if (this._collectionSelectHandler) {
+      const { collectionSelect, handler } = this._collectionSelectHandler;
+      if (collectionSelect) {
+        collectionSelect.removeEventListener('change', handler);
+      }
+      this._collectionSelectHandler = null;
+    }
+    
+    if (this._manageCollectionsHandler) {
+      const { button, handler } = this._manageCollectionsHandler;
+      if (button) {
+        button.removeEventListener('click', handler);
+      }
+      this._manageCollectionsHandler = null;
+    }
+    
+    if (this._quickActionHandler) {
+      const { grid, handler } = this._quickActionHandler;
+      if (grid) {
+        grid.removeEventListener('click', handler);
+      }
+      this._quickActionHandler = null;
+    }
+    
     // Clean up sort handler
     if (this._sortHandler) {
       const { sortSelect, handler } = this._sortHandler;
@@ -241,6 +356,79 @@ export class EventManager {
       this._sortHandler = null;
     }
     
+    if (this._sortDirectionHandler) {
+      const { button, handler } = this._sortDirectionHandler;
+      if (button) {
+        button.removeEventListener('click', handler);
+      }
+      this._sortDirectionHandler = null;
+    }
+    
+    if (this._groupBySelectHandler) {
+      const { groupSelect, handler } = this._groupBySelectHandler;
+      if (groupSelect) {
+        groupSelect.removeEventListener('change', handler);
+      }
+      this._groupBySelectHandler = null;
+    }
+    
+    if (this._groupHeaderHandler) {
+      const { grid, handler } = this._groupHeaderHandler;
+      if (grid) {
+        grid.removeEventListener('click', handler);
+      }
+      this._groupHeaderHandler = null;
+    }
+    
+    if (this._folderTreeHandlers) {
+      const { elements, handler } = this._folderTreeHandlers;
+      elements.forEach(element => element.removeEventListener('click', handler));
+      this._folderTreeHandlers = null;
+    }
+    
+    if (this._tokenDetailHandlers) {
+      const { grid, panel, gridHandlers, panelHandler } = this._tokenDetailHandlers;
+      grid.removeEventListener('mousedown', gridHandlers.mouseDown);
+      grid.removeEventListener('click', gridHandlers.click);
+      panel.removeEventListener('click', panelHandler);
+      this._tokenDetailHandlers = null;
+    }
+    
+    if (this._selectionHandlers) {
+      const { grid, bar, gridHandlers, barHandler } = this._selectionHandlers;
+      grid.removeEventListener('mousedown', gridHandlers.mouseDown);
+      grid.removeEventListener('click', gridHandlers.click);
+      bar.removeEventListener('click', barHandler);
+      this._selectionHandlers = null;
+    }
+    
+    if (this._formationHandlers) {
+      const { countInput, layoutSelect, handlers } = this._formationHandlers;
+      countInput.removeEventListener('change', handlers.count);
+      layoutSelect.removeEventListener('change', handlers.layout);
+      this._formationHandlers = null;
+    }
+    
+    if (this._placeAsTileHandler) {
+      const { checkbox, handler } = this._placeAsTileHandler;
+      checkbox.removeEventListener('change', handler);
+      this._placeAsTileHandler = null;
+    }
+    
+    if (this._pickerHandlers) {
+      const { grid, bar, gridHandlers, barHandler } = this._pickerHandlers;
+      grid.removeEventListener('mousedown', gridHandlers.mouseDown);
+      grid.removeEventListener('click', gridHandlers.click);
+      bar.removeEventListener('click', barHandler);
+      this._pickerHandlers = null;
+    }
+    
+    if (this._bulkDownloadHandler) {
+      const { bar, handler } = this._bulkDownloadHandler;
+      bar.removeEventListener('click', handler);
+      this._bulkDownloadHandler = null;
+    }
+    
     // Clean up drag event handlers
     if (this._boundDragEndHandler) {
       document.removeEventListener('dragend', this._boundDragEndHandler, { capture: true });
@@ -315,6 +503,16 @@ export class EventManager {
     this._hideLockedFilterHandler = { checkbox, handler };
   }
 
+  /**
+   * Register fuzzy search checkbox handler for cleanup tracking
+   * @param {HTMLElement} checkbox - The checkbox element
+   * @param {Function} handler - The event handler function
+   */
+  registerFuzzySearchHandler(checkbox, handler) {
+    checkbox.addEventListener('change', handler);
+    this._fuzzySearchHandler = { checkbox, handler };
+  }
+
   /**
    * Register context menu handler for cleanup tracking
    * @param {HTMLElement} grid - The grid element
@@ -347,6 +545,39 @@ export class EventManager {
     }
   }
 
+  /**
+   * Register search help button handler for cleanup tracking
+   * @param {HTMLElement} button - The help button element
+   * @param {Function} handler - The event handler function
+   */
+  registerSearchHelpHandler(button, handler) {
+    button.addEventListener('click', handler);
+    this._searchHelpHandler = { button, handler };
+  }
+
+  /**
+   * Register search commit handler (fires on Enter or when the search box loses focus)
+   * @param {HTMLElement} searchInput - The search input element
+   * @param {Function} handler - The change handler
+   */
+  registerSearchCommitHandler(searchInput, handler) {
+    searchInput.addEventListener('change', handler);
+    this._searchCommitHandler = { searchInput, handler };
+  }
+
+  /**
+   * Register search history dropdown handlers
+   * @param {HTMLElement} button - The history toggle button
+   * @param {HTMLElement} panel - The history dropdown panel
+   * @param {Function} toggleHandler - Toggle button click handler
+   * @param {Function} panelHandler - Delegated click handler for dropdown entries
+   */
+  registerSearchHistoryHandlers(button, panel, toggleHandler, panelHandler) {
+    button.addEventListener('click', toggleHandler);
+    panel.addEventListener('click', panelHandler);
+    this._searchHistoryHandlers = { button, panel, toggleHandler, panelHandler };
+  }
+
   /**
    * Register sort handler for cleanup tracking
    * @param {HTMLElement} sortSelect - The sort select element
@@ -357,6 +588,154 @@ export class EventManager {
     this._sortHandler = { sortSelect, handler };
   }
 
+  /**
+   * Register sort direction toggle handler for cleanup tracking
+   * @param {HTMLElement} button - The direction toggle button
+   * @param {Function} handler - The event handler function
+   */
+  registerSortDirectionHandler(button, handler) {
+    button.addEventListener('click', handler);
+    this._sortDirectionHandler = { button, handler };
+  }
+
+  /**
+   * Register group-by selector handler for cleanup tracking
+   * @param {HTMLElement} groupSelect - The group-by select element
+   * @param {Function} handler - The event handler function
+   */
+  registerGroupBySelectHandler(groupSelect, handler) {
+    groupSelect.addEventListener('change', handler);
+    this._groupBySelectHandler = { groupSelect, handler };
+  }
+
+  /**
+   * Register delegated click handler for group section headers
+   * @param {HTMLElement} grid - The grid element
+   * @param {Function} handler - The event handler function
+   */
+  registerGroupHeaderHandler(grid, handler) {
+    grid.addEventListener('click', handler);
+    this._groupHeaderHandler = { grid, handler };
+  }
+
+  /**
+   * Register the delegated folder tree click handler for cleanup tracking
+   * @param {Object} elements - Elements to listen on
+   * @param {HTMLElement} elements.pane - The folder tree pane
+   * @param {HTMLElement} [elements.breadcrumb] - The folder breadcrumb
+   * @param {HTMLElement} [elements.toggleButton] - The pane toggle button
+   * @param {Function} handler - The event handler function
+   */
+  registerFolderTreeHandlers({ pane, breadcrumb, toggleButton }, handler) {
+    const elements = [pane, breadcrumb, toggleButton].filter(Boolean);
+    elements.forEach(element => element.addEventListener('click', handler));
+    this._folderTreeHandlers = { elements, handler };
+  }
+
+  /**
+   * Register token detail panel handlers for cleanup tracking
+   * @param {HTMLElement} grid - The grid element (token clicks)
+   * @param {HTMLElement} panel - The detail panel element (panel actions)
+   * @param {Object} gridHandlers - Grid handlers {mouseDown, click}
+   * @param {Function} panelHandler - The panel action handler
+   */
+  registerTokenDetailHandlers(grid, panel, gridHandlers, panelHandler) {
+    grid.addEventListener('mousedown', gridHandlers.mouseDown);
+    grid.addEventListener('click', gridHandlers.click);
+    panel.addEventListener('click', panelHandler);
+    this._tokenDetailHandlers = { grid, panel, gridHandlers, panelHandler };
+  }
+
+  /**
+   * Register multi-select handlers for cleanup tracking
+   * @param {HTMLElement} grid - The grid element (Ctrl/Shift-clicks)
+   * @param {HTMLElement} bar - The bulk action bar element
+   * @param {Object} gridHandlers - Grid handlers {mouseDown, click}
+   * @param {Function} barHandler - The bulk action handler
+   */
+  registerSelectionHandlers(grid, bar, gridHandlers, barHandler) {
+    grid.addEventListener('mousedown', gridHandlers.mouseDown);
+    grid.addEventListener('click', gridHandlers.click);
+    bar.addEventListener('click', barHandler);
+    this._selectionHandlers = { grid, bar, gridHandlers, barHandler };
+  }
+
+  /**
+   * Register formation count and layout handlers for cleanup tracking
+   * @param {HTMLElement} countInput - The token count input
+   * @param {HTMLElement} layoutSelect - The formation layout select
+   * @param {Object} handlers - Object with count and layout change handlers
+   */
+  registerFormationHandlers(countInput, layoutSelect, handlers) {
+    countInput.addEventListener('change', handlers.count);
+    layoutSelect.addEventListener('change', handlers.layout);
+    this._formationHandlers = { countInput, layoutSelect, handlers };
+  }
+
+  /**
+   * Register Place as Tile checkbox handler for cleanup tracking
+   * @param {HTMLElement} checkbox - The checkbox element
+   * @param {Function} handler - The event handler function
+   */
+  registerPlaceAsTileHandler(checkbox, handler) {
+    checkbox.addEventListener('change', handler);
+    this._placeAsTileHandler = { checkbox, handler };
+  }
+
+  /**
+   * Register picker mode handlers for cleanup tracking
+   * @param {HTMLElement} grid - The grid element
+   * @param {HTMLElement} bar - The picker bar element
+   * @param {Object} gridHandlers - Object with mouseDown and click handlers for the grid
+   * @param {Function} barHandler - Delegated click handler for the picker bar
+   */
+  registerPickerHandlers(grid, bar, gridHandlers, barHandler) {
+    grid.addEventListener('mousedown', gridHandlers.mouseDown);
+    grid.addEventListener('click', gridHandlers.click);
+    bar.addEventListener('click', barHandler);
+    this._pickerHandlers = { grid, bar, gridHandlers, barHandler };
+  }
+
+  /**
+   * Register the bulk download progress bar handler for cleanup tracking
+   * @param {HTMLElement} bar - The progress bar element
+   * @param {Function} handler - Delegated click handler for the bar buttons
+   */
+  registerBulkDownloadHandler(bar, handler) {
+    bar.addEventListener('click', handler);
+    this._bulkDownloadHandler = { bar, handler };
+  }
+
+  /**
+   * Register collection selector handler for cleanup tracking
+   * @param {HTMLElement} collectionSelect - The collection select element
+   * @param {Function} handler - The event handler function
+   */
+  registerCollectionSelectHandler(collectionSelect, handler) {
+    collectionSelect.addEventListener('change', handler);
+    this._collectionSelectHandler = { collectionSelect, handler };
+  }
+
+  /**
+   * Register manage collections button handler for cleanup tracking
+   * @param {HTMLElement} button - The manage collections button
+   * @param {Function} handler - The event handler function
+   */
+  registerManageCollectionsHandler(button, handler) {
+    button.addEventListener('click', handler);
+    this._manageCollectionsHandler = { button, handler };
+  }
+
+  /**
+   * Register token quick action (favorite/collection) click handler for cleanup tracking
+   * @param {HTMLElement} grid - The grid element
+   * @param {Function} handler - The event handler function
+   */
+  registerQuickActionHandler(grid, handler) {
+    grid.addEventListener('click', handler);
+    this._quickActionHandler = { grid, handler };
+  }
+
   /**
    * Register hover preview handlers for cleanup tracking
    * @param {HTMLElement} grid - The grid element
@@ -0,0 +1,365 @@
+/**
+ * Folder Tree for FA Token Browser
+ * Builds the local and cloud folder hierarchy from token paths and filters the grid to a subtree
+ */
+
+// Labels of the two root nodes, local and cloud folders are never mixed
+const ROOT_LABELS = {
+  local: 'Local',
+  cloud: 'Cloud'
+};
+
+/**
+ * Get the folder a token lives in, relative to its storage
+ * @param {Object} imageData - UI token object or TokenData
+ * @returns {string} Folder path without leading/trailing slashes ('' for the storage root)
+ */
+export function getTokenFolderPath(imageData) {
+  let path = imageData?.path || '';
+
+  // Local tokens on The Forge can carry full asset URLs, keep only the path part
+  if (path.includes('://')) {
+    try {
+      path = decodeURIComponent(new URL(path).pathname);
+    } catch (error) {
+      // Not a valid URL, use the raw path
+    }
+  }
+
+  const parts = path.split('/').filter(Boolean);
+  parts.pop(); // filename
+  return parts.join('/');
+}
+
+/**
+ * Build the tree node key for a source and folder path
+ * @param {string} source - 'local' or 'cloud'
+ * @param {string} folderPath - Folder path ('' for the root)
+ * @returns {string}
+ */
+function getNodeKey(source, folderPath) {
+  return folderPath ? `${source}:${folderPath}` : `${source}:`;
+}
+
+/**
+ * Manages the folder tree pane and breadcrumb of the token browser
+ */
+export class FolderTreeManager {
+  constructor(app) {
+    this.app = app; // Reference to the main application
+
+    // Tree built from the full token list: node key -> { key, name, source, path, parent, children: Set }
+    this._nodes = new Map();
+    this._treeSource = null; // Token list the tree was built from
+    this._folderKeys = new WeakMap(); // image -> folder node key
+
+    // Per-node token counts for the current search, cached by the list they were counted from
+    this._counts = new Map();
+    this._countedImages = null;
+
+    this._selectedFolder = '';
+    this._expanded = new Set(['local:', 'cloud:']);
+  }
+
+  /**
+   * Get the selected folder node key ('' means all tokens)
+   * @returns {string}
+   */
+  get selectedFolder() {
+    return this._selectedFolder;
+  }
+
+  /**
+   * Check if the folder tree pane is shown
+   * @returns {boolean}
+   */
+  get isVisible() {
+    return !!game.settings.get('fa-token-browser', 'showFolderTree');
+  }
+
+  /**
+   * Restrict images to the selected folder subtree and count tokens per folder
+   * @param {Array} images - Search results, or all images when no search is active
+   * @returns {Array} Images inside the selected subtree
+   */
+  filterImages(images) {
+    this._ensureTree();
+
+    if (images !== this._countedImages) {
+      this._countImages(images);
+    }
+
+    if (!this._selectedFolder) return images;
+
+    // The selected folder may have disappeared after a folder configuration change
+    if (!this._nodes.has(this._selectedFolder)) {
+      this._selectedFolder = '';
+      return images;
+    }
+
+    return images.filter(image => this._isInSubtree(this._folderKeys.get(image), this._selectedFolder));
+  }
+
+  /**
+   * Select a folder node and re-render the grid
+   * @param {string} key - Node key, or '' for all tokens
+   */
+  selectFolder(key) {
+    this._selectedFolder = this._nodes.has(key) ? key : '';
+
+    // Make sure the selection is visible in the tree
+    let node = this._nodes.get(this._selectedFolder);
+    while (node?.parent) {
+      this._expanded.add(node.parent);
+      node = this._nodes.get(node.parent);
+    }
+
+    this.app.searchManager.regenerateGrid();
+  }
+
+  /**
+   * Get every loaded token inside a folder subtree, regardless of the search
+   * @param {string} key - Node key
+   * @returns {Array} UI token objects
+   */
+  getFolderImages(key) {
+    this._ensureTree();
+    if (!this._nodes.has(key)) return [];
+    return this.app._allImages.filter(image => this._isInSubtree(this._folderKeys.get(image), key));
+  }
+
+  /**
+   * Activate the folder tree pane, breadcrumb and pane toggle
+   */
+  activateFolderTree() {
+    const pane = this.app.element.querySelector('.folder-tree-pane');
+    const breadcrumb = this.app.element.querySelector('.folder-breadcrumb');
+    const toggleButton = this.app.element.querySelector('.folder-tree-toggle');
+    if (!pane) return;
+
+    const handler = async (event) => {
+      const actionElement = event.target.closest('[data-action]');
+      if (!actionElement) return;
+
+      event.preventDefault();
+      const key = actionElement.dataset.key ?? '';
+
+      switch (actionElement.dataset.action) {
+        case 'select-folder':
+          this.selectFolder(key);
+          break;
+        case 'toggle-folder':
+          if (this._expanded.has(key)) {
+            this._expanded.delete(key);
+          } else {
+            this._expanded.add(key);
+          }
+          this.refresh();
+          break;
+        case 'download-folder':
+          await this.app.bulkDownloadManager.downloadFolder(key);
+          break;
+        case 'toggle-pane': {
+          const visible = !this.isVisible;
+          await game.settings.set('fa-token-browser', 'showFolderTree', visible);
+          pane.classList.toggle('hidden', !visible);
+          toggleButton?.classList.toggle('active', visible);
+          this.refresh();
+          break;
+        }
+      }
+    };
+
+    this.app.eventManager.registerFolderTreeHandlers({ pane, breadcrumb, toggleButton }, handler);
+
+    pane.classList.toggle('hidden', !this.isVisible);
+    toggleButton?.classList.toggle('active', this.isVisible);
+    this.refresh();
+  }
+
+  /**
+   * Re-render the tree pane and breadcrumb (counts follow the current search)
+   */
+  refresh() {
+    const pane = this.app?.element?.querySelector('.folder-tree-pane');
+    const breadcrumb = this.app?.element?.querySelector('.folder-breadcrumb');
+
+    if (breadcrumb) {
+      this._renderBreadcrumb(breadcrumb);
+    }
+    if (pane && this.isVisible) {
+      this._renderTree(pane);
+    }
+  }
+
+  /**
+   * Rebuild the folder tree when the token list was reloaded
+   * @private
+   */
+  _ensureTree() {
+    const allImages = this.app._allImages;
+    if (allImages === this._treeSource) return;
+
+    this._treeSource = allImages;
+    this._nodes = new Map();
+    this._folderKeys = new WeakMap();
+    this._countedImages = null;
+
+    allImages.forEach(image => {
+      const source = image.source === 'cloud' ? 'cloud' : 'local';
+      const folderPath = getTokenFolderPath(image);
+      const key = getNodeKey(source, folderPath);
+      this._folderKeys.set(image, key);
+      this._addNode(source, folderPath);
+    });
+  }
+
+  /**
+   * Add a folder node and its missing ancestors
+   * @private
+   */
+  _addNode(source, folderPath) {
+    const key = getNodeKey(source, folderPath);
+    if (this._nodes.has(key)) return key;
+
+    const parts = folderPath ? folderPath.split('/') : [];
+    const parentKey = parts.length ? this._addNode(source, parts.slice(0, -1).join('/')) : null;
+
+    this._nodes.set(key, {
+      key,
+      name: parts.length ? parts[parts.length - 1] : ROOT_LABELS[source],
+      source,
+      path: folderPath,
+      parent: parentKey,
+      children: new Set()
+    });
+    if (parentKey) {
+      this._nodes.get(parentKey).children.add(key);
+    }
+    return key;
+  }
+
+  /**
+   * Count tokens per folder, including everything below it
+   * @private
+   */
+  _countImages(images) {
+    this._countedImages = images;
+    this._counts = new Map();
+
+    images.forEach(image => {
+      let key = this._folderKeys.get(image);
+      while (key) {
+        this._counts.set(key, (this._counts.get(key) || 0) + 1);
+        key = this._nodes.get(key)?.parent;
+      }
+    });
+  }
+
+  /**
+   * Check if a folder is the given node or one of its descendants
+   * @private
+   */
+  _isInSubtree(folderKey, nodeKey) {
+    let key = folderKey;
+    while (key) {
+      if (key === nodeKey) return true;
+      key = this._nodes.get(key)?.parent;
+    }
+    return false;
+  }
+
+  /**
+   * Render the expanded part of the tree
+   * @private
+   */
+  _renderTree(pane) {
+    const escape = foundry.utils.escapeHTML;
+
+    const renderNode = (key) => {
+      const node = this._nodes.get(key);
+      const count = this._counts.get(key) || 0;
+      const hasChildren = node.children.size > 0;
+      const isExpanded = this._expanded.has(key);
+      const classes = ['folder-tree-node'];
+      if (key === this._selectedFolder) classes.push('selected');
+      if (!count) classes.push('empty');
+
+      const children = hasChildren && isExpanded
+        ? `<ul>${[...node.children]
+            .sort((a, b) => this._nodes.get(a).name.localeCompare(this._nodes.get(b).name, undefined, { numeric: true }))
+            .map(renderNode)
+            .join('')}</ul>`
+        : '';
+
+      const toggle = hasChildren
+        ? `<a class="folder-tree-expand" data-action="toggle-folder" data-key="${escape(key)}"><i class="fas ${isExpanded ? 'fa-caret-down' : 'fa-caret-right'}"></i></a>`
+        : '<span class="folder-tree-expand"></span>';
+
+      const download = node.source === 'cloud'
+        ? `<a class="folder-tree-download" data-action="download-folder" data-key="${escape(key)}" title="Download the uncached tokens of this folder"><i class="fas fa-cloud-arrow-down"></i></a>`
+        : '';
+
+      return `
+        <li>
+          <div class="${classes.join(' ')}">
+            ${toggle}
+            <a class="folder-tree-label" data-action="select-folder" data-key="${escape(key)}" title="${escape(node.path || node.name)}">
+              <i class="fas ${node.parent ? 'fa-folder' : (node.source === 'cloud' ? 'fa-cloud' : 'fa-hard-drive')}"></i>
+              <span>${escape(node.name)}</span>
+            </a>
+            ${download}
+            <span class="folder-tree-count">${count}</span>
+          </div>
+          ${children}
+        </li>`;
+    };
+
+    const roots = ['local:', 'cloud:'].filter(key => this._nodes.has(key));
+    pane.innerHTML = `
+      <div class="folder-tree-header">
+        <a data-action="select-folder" data-key="" class="${this._selectedFolder ? '' : 'selected'}">
+          <i class="fas fa-layer-group"></i> All Tokens
+        </a>
+      </div>
+      <ul class="folder-tree">${roots.map(renderNode).join('')}</ul>`;
+  }
+
+  /**
+   * Render the path of the selected folder
+   * @private
+   */
+  _renderBreadcrumb(breadcrumb) {
+    if (!this._selectedFolder) {
+      breadcrumb.innerHTML = '';
+      breadcrumb.classList.remove('active');
+      return;
+    }
+
+    const trail = [];
+    let key = this._selectedFolder;
+    while (key) {
+      trail.unshift(this._nodes.get(key));
+      key = this._nodes.get(key)?.parent;
+    }
+
+    const escape = foundry.utils.escapeHTML;
+    const crumbs = [
+      '<a data-action="select-folder" data-key=""><i class="fas fa-layer-group"></i> All Tokens</a>',
+      ...trail.map(node => `<a data-action="select-folder" data-key="${escape(node.key)}">${escape(node.name)}</a>`)
+    ];
+    breadcrumb.innerHTML = crumbs.join('<i class="fas fa-chevron-right folder-breadcrumb-separator"></i>');
+    breadcrumb.classList.add('active');
+  }
+
+  /**
+   * Destroy the folder tree manager and clean up
+   */
+  destroy() {
+    this._nodes.clear();
+    this._counts.clear();
+    this._treeSource = null;
+    this._countedImages = null;
+    this.app = null;
+  }
+}
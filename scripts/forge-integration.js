@@ -209,6 +209,18 @@ export class ForgeIntegrationService {
     return `https://assets.forge-vtt.com/${this.forgeAccountId}/${cachePath}`;
   }
 
+  /**
+   * Delete files from the Forge assets library (Foundry itself has no file deletion API)
+   * @param {Array<string>} paths - File paths relative to the library root (e.g. "fa-token-browser-cache/file.webp")
+   * @returns {Promise<void>}
+   */
+  async deleteAssets(paths) {
+    if (!this.isRunningOnForge() || !window.ForgeAPI) {
+      throw new Error('Deleting files is only supported on The Forge');
+    }
+    await window.ForgeAPI.call('assets/delete', { paths }, this.getBucketCallOptions());
+  }
+
   /**
    * Get the Forge account ID if available
    * @returns {string|null} The Forge account ID or null
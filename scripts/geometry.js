@@ -57,17 +57,73 @@ export function parseTokenSize(filename) {
   return { gridWidth, gridHeight, scale };
 }
 
+/**
+ * Scene grid types, same values as Foundry's CONST.GRID_TYPES
+ */
+export const GRID_TYPES = {
+  GRIDLESS: 0,
+  SQUARE: 1,
+  HEXODDR: 2,
+  HEXEVENR: 3,
+  HEXODDQ: 4,
+  HEXEVENQ: 5
+};
+
+/**
+ * Check if a grid type is one of the hex row or hex column types
+ * @param {number} gridType - Scene grid type
+ * @returns {boolean}
+ */
+export function isHexGrid(gridType) {
+  return gridType >= GRID_TYPES.HEXODDR && gridType <= GRID_TYPES.HEXEVENQ;
+}
+
+/**
+ * Pixel size of one grid space.
+ * The hex grid size is measured between flat sides, so rows are taller and columns wider than it.
+ * @param {number} gridSize - Scene grid size in pixels
+ * @param {number} gridType - Scene grid type
+ * @returns {{sizeX:number, sizeY:number}}
+ */
+export function getGridCellSize(gridSize, gridType = GRID_TYPES.SQUARE) {
+  if (!isHexGrid(gridType)) {
+    return { sizeX: gridSize, sizeY: gridSize };
+  }
+  const pointToPoint = gridSize * 2 / Math.sqrt(3);
+  const isColumns = gridType === GRID_TYPES.HEXODDQ || gridType === GRID_TYPES.HEXEVENQ;
+  return isColumns ? { sizeX: pointToPoint, sizeY: gridSize } : { sizeX: gridSize, sizeY: pointToPoint };
+}
+
+/**
+ * Token footprint in grid spaces for a grid type.
+ * Hex tokens are as many hexes across in both directions, so non-square sizes use their larger side.
+ * @param {{gridWidth:number, gridHeight:number}} sizeInfo - Size parsed from the filename
+ * @param {number} gridType - Scene grid type
+ * @returns {{gridWidth:number, gridHeight:number}}
+ */
+export function getGridFootprint(sizeInfo, gridType = GRID_TYPES.SQUARE) {
+  const { gridWidth = 1, gridHeight = 1 } = sizeInfo || {};
+  if (!isHexGrid(gridType)) {
+    return { gridWidth, gridHeight };
+  }
+  const size = Math.max(gridWidth, gridHeight);
+  return { gridWidth: size, gridHeight: size };
+}
+
 /**
  * Calculate final pixel dimensions for a token drag preview.
  * @param {{gridWidth:number, gridHeight:number, scale:number}} sizeInfo
  * @param {number} gridSize - Scene grid size in pixels (default 100 if unknown)
  * @param {number} zoomLevel - Current canvas zoom (1 = 100%)
+ * @param {number} [gridType=GRID_TYPES.SQUARE] - Scene grid type
  * @returns {{width:number, height:number}}
  */
-export function calcDragPreviewPixelDims(sizeInfo, gridSize = 100, zoomLevel = 1) {
-  const { gridWidth = 1, gridHeight = 1, scale = 1 } = sizeInfo || {};
-  const width = gridWidth * gridSize * scale * zoomLevel;
-  const height = gridHeight * gridSize * scale * zoomLevel;
+export function calcDragPreviewPixelDims(sizeInfo, gridSize = 100, zoomLevel = 1, gridType = GRID_TYPES.SQUARE) {
+  const { scale = 1 } = sizeInfo || {};
+  const { gridWidth, gridHeight } = getGridFootprint(sizeInfo, gridType);
+  const { sizeX, sizeY } = getGridCellSize(gridSize, gridType);
+  const width = gridWidth * sizeX * scale * zoomLevel;
+  const height = gridHeight * sizeY * scale * zoomLevel;
   return {
     width: Math.round(width),
     height: Math.round(height)
@@ -110,4 +166,120 @@ export function buildGridCSS({gridWidth, gridHeight, scale}, imgWidth, imgHeight
       `inset 1px 0 0 rgba(255,255,255,0.15), inset 0 1px 0 rgba(255,255,255,0.15),` +
       `inset -1px 0 0 rgba(255,255,255,0.15), inset 0 -1px 0 rgba(255,255,255,0.15)`
   };
-} 
\ No newline at end of file
+}
+
+/**
+ * Formation layouts offered for multi-token drops
+ */
+export const FORMATION_LAYOUTS = {
+  line: 'Line',
+  block: 'Block',
+  circle: 'Circle',
+  scatter: 'Scatter'
+};
+
+// Check if two footprints {x, y, gridWidth, gridHeight} share a grid square
+function footprintsOverlap(a, b) {
+  return a.x < b.x + b.gridWidth && b.x < a.x + a.gridWidth &&
+    a.y < b.y + b.gridHeight && b.y < a.y + a.gridHeight;
+}
+
+/**
+ * Lay out several tokens around a drop point without overlapping footprints.
+ * Positions are whole grid squares relative to a grid intersection, so every token stays snapped.
+ * @param {Array<{gridWidth:number, gridHeight:number}>} footprints - Token footprints in grid squares
+ * @param {string} layout - One of FORMATION_LAYOUTS
+ * @param {Function} [random=Math.random] - Random source for the scatter layout
+ * @returns {Array<{x:number, y:number}>} Top-left grid offset of each token, in input order
+ */
+export function calculateFormationLayout(footprints, layout = 'block', random = Math.random) {
+  const count = footprints.length;
+  if (!count) return [];
+
+  const maxWidth = Math.max(...footprints.map(f => f.gridWidth));
+  const maxHeight = Math.max(...footprints.map(f => f.gridHeight));
+
+  switch (layout) {
+    case 'line': {
+      const totalWidth = footprints.reduce((sum, f) => sum + f.gridWidth, 0);
+      let x = -Math.floor(totalWidth / 2);
+      return footprints.map(f => {
+        const position = { x, y: -Math.floor(f.gridHeight / 2) };
+        x += f.gridWidth;
+        return position;
+      });
+    }
+
+    case 'circle': {
+      if (count === 1) {
+        return [{ x: -Math.floor(footprints[0].gridWidth / 2), y: -Math.floor(footprints[0].gridHeight / 2) }];
+      }
+      // Start with neighbours one footprint apart and widen until rounding leaves no overlap
+      const spacing = Math.max(maxWidth, maxHeight);
+      let radius = Math.max(spacing, spacing / (2 * Math.sin(Math.PI / count)));
+      for (let attempt = 0; attempt < 50; attempt++, radius += 0.5) {
+        const placed = footprints.map((f, index) => {
+          const angle = -Math.PI / 2 + (2 * Math.PI * index) / count;
+          return {
+            x: Math.round(radius * Math.cos(angle) - f.gridWidth / 2),
+            y: Math.round(radius * Math.sin(angle) - f.gridHeight / 2),
+            gridWidth: f.gridWidth,
+            gridHeight: f.gridHeight
+          };
+        });
+        const overlaps = placed.some((a, i) => placed.some((b, j) => j > i && footprintsOverlap(a, b)));
+        if (!overlaps) {
+          return placed.map(({ x, y }) => ({ x, y }));
+        }
+      }
+      // Extremely uneven footprints: fall back to a block
+      return calculateFormationLayout(footprints, 'block', random);
+    }
+
+    case 'scatter': {
+      // Area with roughly three times the room the tokens need
+      const area = footprints.reduce((sum, f) => sum + f.gridWidth * f.gridHeight, 0);
+      let side = Math.max(maxWidth, maxHeight, Math.ceil(Math.sqrt(area * 3)));
+      const placed = new Array(count);
+
+      // Place the largest tokens first while there is most room
+      const order = footprints.map((f, index) => index)
+        .sort((a, b) => footprints[b].gridWidth * footprints[b].gridHeight - footprints[a].gridWidth * footprints[a].gridHeight);
+
+      for (const index of order) {
+        const f = footprints[index];
+        let position = null;
+        while (!position) {
+          const origin = -Math.floor(side / 2);
+          for (let attempt = 0; attempt < 50 && !position; attempt++) {
+            const candidate = {
+              x: origin + Math.floor(random() * (side - f.gridWidth + 1)),
+              y: origin + Math.floor(random() * (side - f.gridHeight + 1)),
+              gridWidth: f.gridWidth,
+              gridHeight: f.gridHeight
+            };
+            if (!placed.some(other => other && footprintsOverlap(candidate, other))) {
+              position = candidate;
+            }
+          }
+          side++; // Crowded: widen the area and try again
+        }
+        placed[index] = position;
+      }
+      return placed.map(({ x, y }) => ({ x, y }));
+    }
+
+    case 'block':
+    default: {
+      // Near-square grid of equal cells sized for the largest footprint
+      const columns = Math.ceil(Math.sqrt(count));
+      const rows = Math.ceil(count / columns);
+      const originX = -Math.floor((columns * maxWidth) / 2);
+      const originY = -Math.floor((rows * maxHeight) / 2);
+      return footprints.map((f, index) => ({
+        x: originX + (index % columns) * maxWidth + Math.floor((maxWidth - f.gridWidth) / 2),
+        y: originY + Math.floor(index / columns) * maxHeight + Math.floor((maxHeight - f.gridHeight) / 2)
+      }));
+    }
+  }
+}
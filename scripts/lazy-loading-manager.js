@@ -3,6 +3,8 @@
  * Handles scroll-based loading, image batching, skeleton animations, and layout calculations
  */
 
+import { getTokenCollectionKey } from './token-collections.js';
+
 export class LazyLoadingManager {
   constructor(app) {
     this.app = app; // Reference to the main application
@@ -99,13 +101,7 @@ export class LazyLoadingManager {
       const newItems = this.createImageElements(nextBatch);
       
       // Add items directly to DOM and register with intersection observer
-      newItems.forEach(item => {
-        grid.appendChild(item);
-        // Register with intersection observer for off-screen cleanup
-        if (this.app.dragDropManager) {
-          this.app.dragDropManager.registerTokenWithObserver(item);
-        }
-      });
+      this.appendTokenItems(grid, nextBatch, newItems);
       
       // Remove spacer immediately - skeletons will handle the visual loading
       grid.removeChild(spacer);
@@ -132,6 +128,30 @@ export class LazyLoadingManager {
     }
   }
 
+  /**
+   * Append token items to the grid, adding group section headers when grouping is active
+   * @param {HTMLElement} grid - The token grid
+   * @param {Array} images - UI token objects, in the same order as items
+   * @param {Array<HTMLElement>} items - Token item elements from createImageElements
+   */
+  appendTokenItems(grid, images, items) {
+    const grouping = this.app.groupingManager?.isActive ? this.app.groupingManager : null;
+
+    items.forEach((item, index) => {
+      grouping?.appendHeadersBefore(grid, images[index]);
+      grid.appendChild(item);
+      // Register with intersection observer for off-screen cleanup
+      if (this.app.dragDropManager) {
+        this.app.dragDropManager.registerTokenWithObserver(item);
+      }
+    });
+
+    // Collapsed groups after the last loaded token still need their headers
+    if (grouping && !this.app.searchManager.canLoadMore()) {
+      grouping.appendRemainingHeaders(grid);
+    }
+  }
+
   /**
    * Calculate initial batch size to fill viewport
    */
@@ -192,6 +212,9 @@ export class LazyLoadingManager {
     const authData = game.settings.get('fa-token-browser', 'patreon_auth_data');
     const isAuthenticated = authData && authData.authenticated;
     
+    // Read favorites once for the whole batch
+    const favoriteKeys = new Set(this.app?.collectionsManager?.getData().favorites || []);
+    
     return images.map(imageData => {
       const tokenItem = document.createElement('div');
       
@@ -211,12 +234,27 @@ export class LazyLoadingManager {
           // Continue with isTokenCached = false
         }
       }
-      const isLockedToken = isPremiumToken && !isAuthenticated && !isTokenCached;
+      // Offline, uncached tokens of the saved catalogue can't be downloaded
+      const isUnavailableOffline = isCloudToken && imageData.isOffline && !imageData.isCached;
+      const isLockedToken = (isPremiumToken && !isAuthenticated && !isTokenCached) || isUnavailableOffline;
       
       let className = isCloudToken ? 'token-base token-item cloud-token' : 'token-base token-item';
       if (isLockedToken) {
         className += ' locked-token';
       }
+      if (isUnavailableOffline) {
+        className += ' offline-token';
+      }
+      const isFavorite = favoriteKeys.has(getTokenCollectionKey(imageData));
+      if (isFavorite) {
+        className += ' favorite-token';
+      }
+      if (this.app?.detailPanelManager?.isShowing(imageData)) {
+        className += ' detail-active';
+      }
+      if (this.app?.selectionManager?.isSelected(imageData)) {
+        className += ' selected';
+      }
       tokenItem.className = className;
       
       // Set data attributes
@@ -244,6 +282,10 @@ export class LazyLoadingManager {
           tokenStatusIconHTML = `<div class="token-status-icon cached-cloud" title="Cloud token (cached locally)">
             <i class="fas fa-cloud-check"></i>
           </div>`;
+        } else if (isUnavailableOffline) {
+          tokenStatusIconHTML = `<div class="token-status-icon offline-cloud" title="Unavailable offline (not cached)">
+            <i class="fas fa-cloud-slash"></i>
+          </div>`;
         } else if (imageData.tier === 'premium') {
           if (isAuthenticated) {
             tokenStatusIconHTML = `<div class="token-status-icon premium-cloud" title="Premium cloud token">
@@ -296,6 +338,14 @@ export class LazyLoadingManager {
           <img style="display: none;" alt="${imageData.filename}" />
           ${variantHTML}
         </div>
+        <div class="token-quick-actions">
+          <button type="button" class="token-quick-action token-favorite-toggle" title="Toggle favorite">
+            <i class="${isFavorite ? 'fas' : 'far'} fa-star"></i>
+          </button>
+          <button type="button" class="token-quick-action token-collection-toggle" title="Add to collection">
+            <i class="fas fa-folder-plus"></i>
+          </button>
+        </div>
         <div class="token-info">
           <span class="token-name">${imageData.displayName}</span>
           ${tokenDetailsHTML}
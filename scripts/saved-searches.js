@@ -0,0 +1,293 @@
+/**
+ * Saved Searches for FA Token Browser
+ * Handles the recent query history and user-pinned saved searches stored in client settings
+ */
+
+/**
+ * Number of recent queries kept in the history
+ */
+const MAX_HISTORY_ENTRIES = 15;
+
+/**
+ * Manages search history and saved searches for the token browser
+ */
+export class SavedSearchesManager {
+  constructor(app) {
+    this.app = app; // Reference to the main application
+  }
+
+  /**
+   * Read and normalize the stored history and saved searches
+   * @returns {{history: Array<string>, saved: Array<{id: string, name: string, query: string, sortBy: string, mainColorOnly: boolean, hideLocked: boolean}>}}
+   */
+  getData() {
+    const stored = game.settings.get('fa-token-browser', 'savedSearches') || {};
+    return {
+      history: Array.isArray(stored.history) ? stored.history.filter(query => typeof query === 'string' && query) : [],
+      saved: Array.isArray(stored.saved)
+        ? stored.saved
+            .filter(entry => entry && entry.id && entry.name)
+            .map(entry => ({
+              id: entry.id,
+              name: entry.name,
+              query: entry.query || '',
+              sortBy: entry.sortBy || 'default',
+              mainColorOnly: !!entry.mainColorOnly,
+              hideLocked: !!entry.hideLocked
+            }))
+        : []
+    };
+  }
+
+  /**
+   * Persist history and saved searches
+   * @param {Object} data - Data as returned by getData()
+   * @private
+   */
+  async _saveData(data) {
+    await game.settings.set('fa-token-browser', 'savedSearches', data);
+  }
+
+  /**
+   * Add a query to the front of the history (moving it up if already present)
+   * @param {string} query - Search query
+   */
+  async recordHistory(query) {
+    const cleanQuery = query?.trim();
+    if (!cleanQuery) return;
+
+    const data = this.getData();
+    if (data.history[0] === cleanQuery) return;
+
+    data.history = [cleanQuery, ...data.history.filter(entry => entry !== cleanQuery)].slice(0, MAX_HISTORY_ENTRIES);
+    await this._saveData(data);
+  }
+
+  /**
+   * Forget all recent queries (saved searches are kept)
+   */
+  async clearHistory() {
+    const data = this.getData();
+    data.history = [];
+    await this._saveData(data);
+  }
+
+  /**
+   * Save a query together with the current sort and filter checkboxes
+   * @param {string} name - Saved search name
+   * @param {string} query - Search query
+   * @returns {Promise<Object|null>} Saved search or null if the name is invalid
+   */
+  async saveSearch(name, query) {
+    const cleanName = name?.trim();
+    if (!cleanName) return null;
+
+    const data = this.getData();
+    const entry = {
+      id: foundry.utils.randomID(),
+      name: cleanName,
+      query: query?.trim() || '',
+      sortBy: game.settings.get('fa-token-browser', 'sortBy') || 'default',
+      mainColorOnly: game.settings.get('fa-token-browser', 'mainColorOnly'),
+      hideLocked: game.settings.get('fa-token-browser', 'hideLocked')
+    };
+
+    // Saving under an existing name replaces it
+    data.saved = data.saved.filter(saved => saved.name.toLowerCase() !== cleanName.toLowerCase());
+    data.saved.push(entry);
+    await this._saveData(data);
+    return entry;
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} id - Saved search ID
+   */
+  async deleteSavedSearch(id) {
+    const data = this.getData();
+    data.saved = data.saved.filter(entry => entry.id !== id);
+    await this._saveData(data);
+  }
+
+  /**
+   * Restore the query, sort order and filter checkboxes of a saved search
+   * @param {string} id - Saved search ID
+   */
+  async applySavedSearch(id) {
+    const entry = this.getData().saved.find(saved => saved.id === id);
+    if (!entry) return;
+
+    // Color variants can only be collapsed when the current token set has any
+    const mainColorCheckbox = this.app.element.querySelector('#main-color-only');
+    const mainColorOnly = entry.mainColorOnly && !!mainColorCheckbox && !mainColorCheckbox.disabled;
+    // The hide locked checkbox is only shown to users without premium access
+    const hideLockedCheckbox = this.app.element.querySelector('#hide-locked');
+    const hideLocked = entry.hideLocked && !!hideLockedCheckbox;
+
+    await game.settings.set('fa-token-browser', 'sortBy', entry.sortBy);
+    await game.settings.set('fa-token-browser', 'mainColorOnly', mainColorOnly);
+    await game.settings.set('fa-token-browser', 'hideLocked', hideLocked);
+
+    // Reflect the restored state in the controls
+    this.app.searchManager.syncSortControls();
+    if (mainColorCheckbox) mainColorCheckbox.checked = mainColorOnly;
+    if (hideLockedCheckbox) hideLockedCheckbox.checked = hideLocked;
+
+    this._runQuery(entry.query);
+    console.log(`fa-token-browser | Applied saved search "${entry.name}"`);
+  }
+
+  /**
+   * Put a query in the search box and run it
+   * @param {string} query - Search query
+   * @private
+   */
+  _runQuery(query) {
+    const searchInput = this.app.element.querySelector('#token-search');
+    const wrapper = this.app.element.querySelector('.search-input-wrapper');
+    if (searchInput) searchInput.value = query;
+    wrapper?.classList.toggle('has-text', !!query);
+
+    // performSearch regenerates the grid, which also picks up the restored sort and filters
+    this.app.searchManager.performSearch(query);
+  }
+
+  /**
+   * Activate the history dropdown on the search box
+   */
+  activateSavedSearches() {
+    const searchInput = this.app.element.querySelector('#token-search');
+    const wrapper = this.app.element.querySelector('.search-input-wrapper');
+    const toggleButton = this.app.element.querySelector('.search-history-btn');
+    const panel = this.app.element.querySelector('.search-history-panel');
+
+    if (!searchInput || !wrapper || !toggleButton || !panel) return;
+
+    // Record queries the user commits (Enter or leaving the search box)
+    const commitHandler = () => {
+      const query = searchInput.value.trim();
+      if (query && !this.app.searchManager.searchError) {
+        this.recordHistory(query);
+      }
+    };
+    this.app.eventManager.registerSearchCommitHandler(searchInput, commitHandler);
+
+    const toggleHandler = (event) => {
+      event.preventDefault();
+      const isOpen = wrapper.classList.toggle('show-history');
+      if (isOpen) {
+        wrapper.classList.remove('show-help');
+        this._renderPanel(panel);
+      }
+    };
+
+    const panelHandler = async (event) => {
+      const actionElement = event.target.closest('[data-action]');
+      if (!actionElement) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+
+      try {
+        switch (actionElement.dataset.action) {
+          case 'apply-saved':
+            wrapper.classList.remove('show-history');
+            await this.applySavedSearch(actionElement.dataset.id);
+            break;
+          case 'delete-saved':
+            await this.deleteSavedSearch(actionElement.dataset.id);
+            this._renderPanel(panel);
+            break;
+          case 'apply-history':
+            wrapper.classList.remove('show-history');
+            this._runQuery(actionElement.dataset.query);
+            break;
+          case 'save-current':
+            wrapper.classList.remove('show-history');
+            await this._promptSaveSearch(searchInput.value);
+            break;
+          case 'clear-history':
+            await this.clearHistory();
+            this._renderPanel(panel);
+            break;
+        }
+      } catch (error) {
+        console.error('fa-token-browser | Error handling saved search action:', error);
+        ui.notifications.error(`Saved search action failed: ${error.message}`);
+      }
+    };
+
+    this.app.eventManager.registerSearchHistoryHandlers(toggleButton, panel, toggleHandler, panelHandler);
+  }
+
+  /**
+   * Render the saved searches and recent queries into the dropdown
+   * @param {HTMLElement} panel - Dropdown element
+   * @private
+   */
+  _renderPanel(panel) {
+    const { history, saved } = this.getData();
+    const escape = foundry.utils.escapeHTML;
+
+    const savedItems = saved.map(entry => `
+      <li class="search-history-item">
+        <a data-action="apply-saved" data-id="${entry.id}" title="${escape(entry.query || 'All tokens')}">
+          <i class="fas fa-thumbtack"></i> ${escape(entry.name)}
+        </a>
+        <button type="button" class="search-history-delete" data-action="delete-saved" data-id="${entry.id}" title="Delete saved search">
+          <i class="fas fa-times"></i>
+        </button>
+      </li>`).join('');
+
+    const historyItems = history.map(query => `
+      <li class="search-history-item">
+        <a data-action="apply-history" data-query="${escape(query)}" title="${escape(query)}">
+          <i class="fas fa-clock-rotate-left"></i> ${escape(query)}
+        </a>
+      </li>`).join('');
+
+    panel.innerHTML = `
+      <button type="button" class="search-history-save" data-action="save-current">
+        <i class="fas fa-thumbtack"></i> Save current search
+      </button>
+      <div class="search-history-title">Saved searches</div>
+      ${savedItems ? `<ul>${savedItems}</ul>` : '<p class="search-history-empty">No saved searches yet.</p>'}
+      <div class="search-history-title">
+        Recent
+        ${historyItems ? '<a class="search-history-clear" data-action="clear-history">Clear</a>' : ''}
+      </div>
+      ${historyItems ? `<ul>${historyItems}</ul>` : '<p class="search-history-empty">No recent searches.</p>'}`;
+  }
+
+  /**
+   * Ask for a name and save the current search
+   * @param {string} query - Current search query
+   * @private
+   */
+  async _promptSaveSearch(query) {
+    const name = await foundry.applications.api.DialogV2.prompt({
+      window: { title: 'Save Search' },
+      content: `
+        <p>Saves the query together with the current sort order and filter checkboxes.</p>
+        <input type="text" name="searchName" value="${foundry.utils.escapeHTML(query?.trim() || '')}" placeholder="Saved search name" autofocus />`,
+      ok: {
+        label: 'Save',
+        icon: 'fas fa-check',
+        callback: (event, button) => button.form.elements.searchName.value
+      },
+      rejectClose: false
+    });
+
+    const entry = await this.saveSearch(name, query);
+    if (entry) {
+      ui.notifications.info(`Saved search "${entry.name}".`);
+    }
+  }
+
+  /**
+   * Destroy the saved searches manager and clean up
+   */
+  destroy() {
+    this.app = null;
+  }
+}
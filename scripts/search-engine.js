@@ -1,90 +1,479 @@
 // Search engine and management system for FA Token Browser
 // Contains both pure search functions and DOM-aware search management
 
+import { parseTokenSize } from './geometry.js';
+
+/**
+ * Field qualifiers supported in search queries (e.g. "size:huge", "type:undead", "scale:>1.5")
+ */
+const SEARCH_FIELDS = ['size', 'type', 'source', 'tier', 'cached', 'variant', 'scale'];
+
+/**
+ * Sort modes offered by the sort selector, with the direction each one starts in
+ */
+export const SORT_MODES = {
+  default: { label: 'Default Sorting', direction: 'asc' },
+  name: { label: 'Sort by Name', direction: 'asc' },
+  modified: { label: 'Sort by Latest', direction: 'desc' },
+  size: { label: 'Sort by Size', direction: 'asc' },
+  type: { label: 'Sort by Creature Type', direction: 'asc' },
+  fileSize: { label: 'Sort by File Size', direction: 'desc' },
+  source: { label: 'Sort by Source', direction: 'asc' },
+  variant: { label: 'Sort by Variant', direction: 'asc' }
+};
+
+/**
+ * Split a stored sort option ("name", "size:desc") into mode and direction
+ * A mode without a direction uses the mode's starting direction
+ * @param {string} sortBy - Value of the sortBy setting
+ * @returns {{mode: string, direction: 'asc'|'desc'}}
+ */
+export function parseSortOption(sortBy) {
+  const [mode, direction] = (sortBy || 'default').split(':');
+  const sortMode = SORT_MODES[mode] ? mode : 'default';
+  return {
+    mode: sortMode,
+    direction: direction === 'asc' || direction === 'desc' ? direction : SORT_MODES[sortMode].direction
+  };
+}
+
+/**
+ * Build the stored sort option for a mode and direction
+ * @param {string} mode - Sort mode key of SORT_MODES
+ * @param {'asc'|'desc'} direction
+ * @returns {string} Plain mode when the direction is the mode's starting direction
+ */
+export function formatSortOption(mode, direction) {
+  return direction === SORT_MODES[mode]?.direction ? mode : `${mode}:${direction}`;
+}
+
+// Source order for sorting: local files, cached cloud tokens, then cloud-only tokens
+const SOURCE_SORT_ORDER = { local: 0, cached: 1, cloud: 2 };
+
+/**
+ * Sort key extractors, returning null for tokens without a value (always sorted last)
+ */
+const SORT_KEYS = {
+  name: (image) => image.displayName || image.filename || null,
+  modified: (image) => {
+    const lastModified = image._tokenData?.metadata?.lastModified;
+    return lastModified ? new Date(lastModified).getTime() || null : null;
+  },
+  size: (image) => {
+    // Grid footprint, so a 2x2 token at 1.5x scale sorts after a plain 2x2
+    const { gridWidth, gridHeight, scale } = parseTokenSize(image.filename);
+    return gridWidth * gridHeight * scale;
+  },
+  type: (image) => image.creatureType || null,
+  fileSize: (image) => image.fileSize || image._tokenData?.metadata?.fileSize || null,
+  source: (image) => {
+    if (image.source !== 'cloud') return SOURCE_SORT_ORDER.local;
+    return image.isCached ? SOURCE_SORT_ORDER.cached : SOURCE_SORT_ORDER.cloud;
+  },
+  variant: (image) => image.variant || null
+};
+
+/**
+ * Parse a "field:value" search term into a FIELD token
+ * Unknown fields are left as plain terms so paths like "forge-bazaar:tokens" keep working
+ * @param {string} tok - Raw query term
+ * @returns {{type:'FIELD', field:string, op?:string, value:string|number}|null}
+ */
+function parseFieldTerm(tok) {
+  const match = tok.match(/^([a-z]+):(.+)$/i);
+  if (!match) return null;
+
+  const field = match[1].toLowerCase();
+  const value = match[2].toLowerCase();
+  if (!SEARCH_FIELDS.includes(field)) return null;
+
+  if (field === 'scale') {
+    // Accept "1.5", "1.5x", ">1.5", ">=2", "<1", "=1.25"
+    const scaleMatch = value.match(/^(>=|<=|>|<|=)?(\d+(?:\.\d+)?)x?$/);
+    if (!scaleMatch) return null;
+    return { type: 'FIELD', field, op: scaleMatch[1] || '=', value: parseFloat(scaleMatch[2]) };
+  }
+
+  return { type: 'FIELD', field, value };
+}
+
 /**
- * Tokenize a user search query into terms and operators (AND implicit, OR, NOT)
+ * Tokenize a user search query into terms, phrases, operators and parentheses
+ * Supports implicit AND, OR, NOT, "-term" as NOT shorthand, "quoted phrases" and (grouping)
+ * Queries from before the grouping syntax keep working: an unbalanced quote is a literal character,
+ * and "-" only negates at the start of a term after whitespace or "(" (not in "Orc-Goblin" or ")-x")
  * @param {string} query
- * @returns {Array<{type:'TERM'|'OR'|'NOT', value?:string}>}
+ * @returns {Array<{type:'TERM'|'FIELD'|'OR'|'NOT'|'LPAREN'|'RPAREN', value?:string|number, field?:string, op?:string}>}
  */
 export function tokenizeQuery(query='') {
-  return query
-    .trim()
-    .split(/\s+/)
-    .filter(Boolean)
-    .map((tok) => {
-      if (/^or$/i.test(tok)) return { type: 'OR' };
-      if (/^not$/i.test(tok)) return { type: 'NOT' };
-      return { type: 'TERM', value: tok.toLowerCase() };
-    });
+  const tokens = [];
+  const input = query.trim();
+  let i = 0;
+
+  // With an odd number of quotes the last one has no partner
+  const quoteCount = input.split('"').length - 1;
+  const literalQuote = quoteCount % 2 ? input.lastIndexOf('"') : -1;
+  const isQuote = (index) => input[index] === '"' && index !== literalQuote;
+
+  const readQuoted = () => {
+    // i points at the opening quote, which is balanced
+    const closing = input.indexOf('"', i + 1);
+    const phrase = input.slice(i + 1, closing);
+    i = closing + 1;
+    return phrase;
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (char === '(') {
+      tokens.push({ type: 'LPAREN' });
+      i++;
+      continue;
+    }
+
+    if (char === ')') {
+      tokens.push({ type: 'RPAREN' });
+      i++;
+      continue;
+    }
+
+    if (isQuote(i)) {
+      const phrase = readQuoted().trim().toLowerCase();
+      if (phrase) {
+        tokens.push({ type: 'TERM', value: phrase });
+      }
+      continue;
+    }
+
+    // "-term" is shorthand for NOT term (a lone "-" is kept as a plain term)
+    const termStart = i === 0 || /[\s(]/.test(input[i - 1]);
+    if (char === '-' && termStart && i + 1 < input.length && !/[\s)]/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+      continue;
+    }
+
+    // Read a bare word up to whitespace, parentheses or a quote
+    let word = '';
+    while (i < input.length && !/[\s()]/.test(input[i]) && !isQuote(i)) {
+      word += input[i];
+      i++;
+    }
+
+    // Field qualifier with a quoted value, e.g. type:"sea hag"
+    if (word.endsWith(':') && isQuote(i)) {
+      word += readQuoted();
+    }
+
+    if (/^or$/i.test(word)) {
+      tokens.push({ type: 'OR' });
+    } else if (/^not$/i.test(word)) {
+      tokens.push({ type: 'NOT' });
+    } else {
+      tokens.push(parseFieldTerm(word) || { type: 'TERM', value: word.toLowerCase() });
+    }
+  }
+
+  return tokens;
 }
 
 /**
- * Group tokens by OR operations so evaluation becomes easier.
- * Example: [dragon fire OR ice NOT small] -> [[dragon],[fire,OR,ice],[NOT,small]]
+ * Recursive descent parser for tokenized search queries.
+ * Precedence (loosest to tightest): implicit AND, OR, NOT, parentheses.
+ * OR binds tighter than implicit AND so "dragon fire OR ice" keeps meaning dragon AND (fire OR ice).
+ * NOT closes an OR group like it always has: "NOT red OR blue" is NOT red AND blue, and
+ * "red OR NOT blue" is red AND NOT blue. Use parentheses to OR a negation: "(NOT red) OR blue".
+ * Dangling operators ("bandit OR", "NOT") are ignored rather than treated as errors.
  * @param {ReturnType<typeof tokenizeQuery>} tokens
+ * @returns {Object|null} Expression tree, or null for an empty query
+ * @throws {Error} On unbalanced or empty parentheses
  */
-function groupTokens(tokens) {
-  const groups = [];
-  let current = [];
-
-  for (let i = 0; i < tokens.length; i++) {
-    const tok = tokens[i];
-
-    if (tok.type === 'NOT') {
-      // finish any group in progress
-      if (current.length) {
-        groups.push(current);
-        current = [];
-      }
+function parseTokens(tokens) {
+  let pos = 0;
 
-      // build NOT group: NOT + immediately following TERM
-      const notGroup = [tok];
-      if (i + 1 < tokens.length && tokens[i + 1].type === 'TERM') {
-        notGroup.push(tokens[i + 1]);
-        i += 1; // skip the term we just consumed
+  const parseAnd = () => {
+    const children = [];
+    while (pos < tokens.length && tokens[pos].type !== 'RPAREN') {
+      const node = parseOr();
+      if (node) children.push(node);
+    }
+    if (!children.length) return null;
+    return children.length === 1 ? children[0] : { type: 'AND', children };
+  };
+
+  const parseOr = () => {
+    // A negation stands on its own, any OR after it starts a new group
+    if (tokens[pos]?.type === 'NOT') return parseUnary();
+
+    const children = [];
+    const first = parseUnary();
+    if (first) children.push(first);
+    while (pos < tokens.length && tokens[pos].type === 'OR') {
+      pos++;
+      // NOT ends the group, leaving the OR dangling
+      if (tokens[pos]?.type === 'NOT') break;
+      const node = parseUnary();
+      if (node) children.push(node);
+    }
+    if (!children.length) return null;
+    return children.length === 1 ? children[0] : { type: 'OR', children };
+  };
+
+  const parseUnary = () => {
+    const tok = tokens[pos];
+    if (!tok) return null;
+
+    switch (tok.type) {
+      case 'NOT': {
+        pos++;
+        const operand = parseUnary();
+        return operand ? { type: 'NOT', child: operand } : null;
       }
-      groups.push(notGroup);
-      continue;
+      case 'LPAREN': {
+        pos++;
+        const inner = parseAnd();
+        if (tokens[pos]?.type !== 'RPAREN') {
+          throw new Error('Missing closing parenthesis');
+        }
+        pos++;
+        if (!inner) {
+          throw new Error('Empty parentheses');
+        }
+        return inner;
+      }
+      case 'OR':
+        // Stray operator (e.g. leading "OR"), skip it
+        pos++;
+        return null;
+      case 'RPAREN':
+        // Only reachable from parseOr at top level; parseAnd stops before RPAREN
+        return null;
+      default:
+        pos++;
+        return tok;
     }
+  };
+
+  const tree = parseAnd();
+  if (pos < tokens.length) {
+    throw new Error('Unexpected closing parenthesis');
+  }
+  return tree;
+}
 
-    current.push(tok);
+/**
+ * Parse a search query into an expression tree
+ * @param {string} query
+ * @returns {{tree: Object|null, error: string|null}} Parsed tree (null matches everything) and syntax error if any
+ */
+export function parseSearchQuery(query='') {
+  try {
+    return { tree: parseTokens(tokenizeQuery(query)), error: null };
+  } catch (error) {
+    return { tree: null, error: error.message };
+  }
+}
 
-    if (tok.type === 'TERM') {
-      const next = tokens[i + 1];
-      if (!next || (next.type !== 'OR' && next.type !== 'NOT')) {
-        groups.push(current);
-        current = [];
+/**
+ * Compare a token scale against a numeric qualifier
+ * @param {number} scale - Token scale
+ * @param {string} op - Comparison operator
+ * @param {number} value - Value to compare against
+ * @returns {boolean}
+ */
+function compareScale(scale, op, value) {
+  switch (op) {
+    case '>': return scale > value;
+    case '>=': return scale >= value;
+    case '<': return scale < value;
+    case '<=': return scale <= value;
+    default: return Math.abs(scale - value) < 0.001;
+  }
+}
+
+/**
+ * Match a field qualifier against the parsed token fields
+ * @param {{field:string, op?:string, value:string|number}} tok - FIELD token
+ * @param {Object} imageData - UI token object
+ * @returns {boolean}
+ */
+function matchesField(tok, imageData) {
+  const { field, value } = tok;
+
+  switch (field) {
+    case 'size': {
+      const size = (imageData.size || '').toLowerCase();
+      if (size) return size === value;
+
+      // Tokens without a parsed size: fall back to the size word or grid footprint in the filename
+      const parts = (imageData.filename || '').toLowerCase().replace(/\.[^/.]+$/, '').split(/[_\s-]+/);
+      if (parts.includes(value)) return true;
+      const { gridWidth, gridHeight } = parseTokenSize(imageData.filename);
+      return value === `${gridWidth}x${gridHeight}`;
+    }
+    case 'type':
+      return (imageData.creatureType || '').toLowerCase() === value;
+    case 'source':
+      return (imageData.source || 'local') === value;
+    case 'tier':
+      // Local tokens have no tier and are treated as free, like the plain "free" term
+      return value === 'free' ? (imageData.tier === 'free' || !imageData.tier) : imageData.tier === value;
+    case 'cached': {
+      const wantsCached = ['yes', 'true', '1', 'y'].includes(value);
+      return wantsCached === !!imageData.isCached;
+    }
+    case 'variant':
+      return (imageData.variant || '').toLowerCase() === value;
+    case 'scale':
+      return compareScale(parseTokenSize(imageData.filename).scale, tok.op, value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * Stops early once the distance is known to exceed maxDistance
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance - Largest distance worth computing exactly
+ * @returns {number} Edit distance, or maxDistance + 1 if it is larger
+ */
+export function editDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
       }
+      current[j] = value;
+      rowMin = Math.min(rowMin, value);
     }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = current;
   }
 
-  if (current.length) groups.push(current);
-  return groups;
+  return prev[b.length];
+}
+
+/**
+ * Maximum number of typos tolerated for a search term
+ * Short terms must match exactly, otherwise "elf" would match half the library
+ * @param {string} term
+ * @returns {number}
+ */
+export function getFuzzyTolerance(term) {
+  if (term.length < 4) return 0;
+  return term.length < 7 ? 1 : 2;
 }
 
-function evaluateGroup(group, haystack) {
-  if (!group.length) return true;
+// Per-token word lists for fuzzy matching, built lazily
+const fuzzyWordCache = new WeakMap();
 
-  if (group[0].type === 'NOT') {
-    const terms = group.slice(1).filter((t) => t.type === 'TERM');
-    return !terms.some((t) => haystack.includes(t.value));
+/**
+ * Split the name fields of a token (displayName, filename, path) into lowercase words
+ * @param {Object} imageData - UI token object
+ * @returns {string[]}
+ */
+function getFuzzyWords(imageData) {
+  let words = fuzzyWordCache.get(imageData);
+  if (!words) {
+    const text = [imageData.displayName, imageData.filename, imageData.path].filter(Boolean).join(' ');
+    words = [...new Set(text.toLowerCase().split(/[^a-z0-9]+/).filter((word) => word.length > 1))];
+    fuzzyWordCache.set(imageData, words);
   }
+  return words;
+}
 
-  if (group.some((t) => t.type === 'OR')) {
-    return group.filter((t) => t.type === 'TERM').some((t) => haystack.includes(t.value));
+/**
+ * Find the closest word to a term within its typo tolerance
+ * @param {string} term - Lowercase search term
+ * @param {string[]} words - Candidate words
+ * @returns {number} Smallest edit distance, or Infinity if nothing is close enough
+ */
+function closestWordDistance(term, words) {
+  const tolerance = getFuzzyTolerance(term);
+  if (!tolerance || /\s/.test(term)) return Infinity;
+
+  let best = Infinity;
+  for (const word of words) {
+    const distance = editDistance(term, word, tolerance);
+    if (distance <= tolerance && distance < best) {
+      best = distance;
+      if (best === 1) break;
+    }
   }
+  return best;
+}
+
+/**
+ * Evaluate an expression tree against a token
+ * @param {Object|null} node - Expression tree node
+ * @param {string} haystack - Combined searchable text
+ * @param {Object} imageData - UI token object
+ * @param {boolean} fuzzy - Whether plain terms may match with typos
+ * @returns {boolean}
+ */
+function evaluateNode(node, haystack, imageData, fuzzy) {
+  if (!node) return true;
 
-  return group.filter((t) => t.type === 'TERM').every((t) => haystack.includes(t.value));
+  switch (node.type) {
+    case 'AND':
+      return node.children.every((child) => evaluateNode(child, haystack, imageData, fuzzy));
+    case 'OR':
+      return node.children.some((child) => evaluateNode(child, haystack, imageData, fuzzy));
+    case 'NOT':
+      return !evaluateNode(node.child, haystack, imageData, fuzzy);
+    case 'FIELD':
+      return matchesField(node, imageData);
+    default:
+      if (haystack.includes(node.value)) return true;
+      return fuzzy && closestWordDistance(node.value, getFuzzyWords(imageData)) !== Infinity;
+  }
 }
 
-function evaluateTokens(tokens, haystack) {
-  const groups = groupTokens(tokens);
-  return groups.every((g) => evaluateGroup(g, haystack));
+/**
+ * Collect the plain terms that count towards a match (terms under NOT are skipped)
+ * @param {Object|null} node - Expression tree node
+ * @param {string[]} [terms] - Accumulator
+ * @returns {string[]}
+ */
+function collectPositiveTerms(node, terms = []) {
+  if (!node) return terms;
+
+  switch (node.type) {
+    case 'AND':
+    case 'OR':
+      node.children.forEach((child) => collectPositiveTerms(child, terms));
+      break;
+    case 'TERM':
+      terms.push(node.value);
+      break;
+  }
+  return terms;
 }
 
-export function matchesSearchQuery(imageData, query) {
-  if (!query) return true;
-  
+/**
+ * Build the combined searchable text for a token
+ * @param {Object} imageData - UI token object
+ * @returns {string} Lowercased haystack
+ */
+export function buildSearchHaystack(imageData) {
   // Build comprehensive searchable text including all token information
   const searchableFields = [
     imageData.filename || '',
@@ -104,9 +493,72 @@ export function matchesSearchQuery(imageData, query) {
     imageData.tier === 'free' || !imageData.tier ? 'free' : ''
   ];
   
-  const haystack = searchableFields.join(' ').toLowerCase();
-  const tokens = tokenizeQuery(query);
-  return evaluateTokens(tokens, haystack);
+  return searchableFields.join(' ').toLowerCase();
+}
+
+/**
+ * Check if a token matches a search query
+ * @param {Object} imageData - UI token object
+ * @param {string|{tree: Object|null, error: string|null}} query - Query string or result of parseSearchQuery
+ * @param {Object} [options]
+ * @param {boolean} [options.fuzzy=false] - Tolerate typos in plain terms
+ * @param {string} [options.haystack] - Prebuilt result of buildSearchHaystack
+ * @returns {boolean} False for malformed queries
+ */
+export function matchesSearchQuery(imageData, query, { fuzzy = false, haystack } = {}) {
+  if (!query) return true;
+
+  const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+  if (parsed.error) return false;
+
+  return evaluateNode(parsed.tree, haystack ?? buildSearchHaystack(imageData), imageData, fuzzy);
+}
+
+/**
+ * Score how well a token matches a search query, higher is better
+ * Each plain term scores on its best hit: a whole word or word prefix of displayName, filename or path,
+ * any other exact substring, then the closest typo. Scores are averaged so tokens matching more terms rank higher.
+ * Tokens where every term matches exactly always outrank typo-only matches.
+ * @param {Object} imageData - UI token object
+ * @param {{tree: Object|null, error: string|null}} parsed - Result of parseSearchQuery
+ * @returns {number}
+ */
+export function scoreSearchRelevance(imageData, parsed) {
+  const terms = collectPositiveTerms(parsed?.tree);
+  if (!terms.length) return 0;
+
+  const words = getFuzzyWords(imageData);
+  const haystack = buildSearchHaystack(imageData);
+  let total = 0;
+  let exactHits = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+    if (words.includes(term)) {
+      termScore = 3;
+    } else if (words.some((word) => word.startsWith(term))) {
+      termScore = 2;
+    } else if (haystack.includes(term)) {
+      termScore = 1.5;
+    } else {
+      const distance = closestWordDistance(term, words);
+      if (distance !== Infinity) {
+        termScore = 1 - distance / (term.length + 1);
+      }
+    }
+    if (termScore >= 1.5) exactHits++;
+    total += termScore;
+  }
+
+  let score = total / terms.length;
+  if (exactHits === terms.length) {
+    score += 10;
+    // Whole display name typed out, e.g. "goblin archer"
+    if ((imageData.displayName || '').toLowerCase() === terms.join(' ')) {
+      score += 5;
+    }
+  }
+  return score;
 }
 
 /**
@@ -169,6 +621,293 @@ export function getColorVariants(baseNameWithoutVariant, allImages) {
   return variants;
 }
 
+/**
+ * Inverted index over the searchable words of every loaded token
+ * Plain alphanumeric terms are looked up through the word vocabulary to narrow the candidates,
+ * which are then verified against the full query, so results are identical to a linear scan.
+ */
+export class SearchIndex {
+  constructor() {
+    this._entries = new Map(); // token key -> { image, haystack, words, state, position }
+    this._postings = new Map(); // word -> Set of token keys
+    this._termCache = new Map(); // term lookups, cleared whenever the index changes
+    this._version = 0;
+  }
+
+  /**
+   * Get the index key of a token
+   * @param {Object} imageData - UI token object
+   * @returns {string}
+   */
+  static getKey(imageData) {
+    return `${imageData.source}:${imageData.path}`;
+  }
+
+  /**
+   * Number of indexed tokens
+   * @returns {number}
+   */
+  get size() {
+    return this._entries.size;
+  }
+
+  /**
+   * Incremented on every change, lets callers know cached results are stale
+   * @returns {number}
+   */
+  get version() {
+    return this._version;
+  }
+
+  /**
+   * Bring the index in line with the current token list
+   * Only new, removed or changed tokens are (re)indexed, unchanged ones just rebind to the new objects
+   * without rebuilding their searchable text
+   * @param {Array} images - UI token objects in display order
+   * @returns {{added: number, removed: number, updated: number}}
+   */
+  sync(images) {
+    const seen = new Set();
+    let added = 0;
+    let updated = 0;
+    let removed = 0;
+
+    images.forEach((image, position) => {
+      let key = SearchIndex.getKey(image);
+      if (seen.has(key)) {
+        // Same file listed twice, index it separately so neither copy drops out of results
+        key = `${key}#${position}`;
+      }
+      seen.add(key);
+
+      const entry = this._entries.get(key);
+      if (!entry) {
+        this._addEntry(key, image, position);
+        added++;
+        return;
+      }
+
+      entry.image = image;
+      entry.position = position;
+      if (entry.state !== SearchIndex._getVolatileState(image) && this._reindexEntry(key, entry)) {
+        updated++;
+      }
+    });
+
+    for (const key of [...this._entries.keys()]) {
+      if (!seen.has(key)) {
+        this._removeEntry(key);
+        removed++;
+      }
+    }
+
+    if (added || updated || removed) {
+      this._invalidate();
+    }
+
+    return { added, removed, updated };
+  }
+
+  /**
+   * Re-index a single token after its data changed (e.g. it was downloaded to the cache)
+   * @param {Object} imageData - UI token object
+   */
+  update(imageData) {
+    const key = SearchIndex.getKey(imageData);
+    const entry = this._entries.get(key);
+    if (!entry) return;
+
+    entry.image = imageData;
+    if (this._reindexEntry(key, entry)) {
+      this._invalidate();
+    }
+  }
+
+  /**
+   * Find all tokens matching a parsed query
+   * @param {{tree: Object|null, error: string|null}} parsed - Result of parseSearchQuery
+   * @param {Object} [options]
+   * @param {boolean} [options.fuzzy=false] - Tolerate typos in plain terms
+   * @returns {Array} Matching UI token objects in display order
+   */
+  search(parsed, { fuzzy = false } = {}) {
+    if (parsed.error) return [];
+
+    const candidateKeys = this._getCandidates(parsed.tree, fuzzy);
+    const entries = candidateKeys
+      ? [...candidateKeys].map((key) => this._entries.get(key))
+      : [...this._entries.values()];
+
+    return entries
+      .filter((entry) => matchesSearchQuery(entry.image, parsed, { fuzzy, haystack: entry.haystack }))
+      .sort((a, b) => a.position - b.position)
+      .map((entry) => entry.image);
+  }
+
+  /**
+   * Empty the index
+   */
+  clear() {
+    this._entries.clear();
+    this._postings.clear();
+    this._invalidate();
+  }
+
+  /**
+   * Candidate keys for an expression tree, or null when every token has to be checked
+   * @param {Object|null} node - Expression tree node
+   * @param {boolean} fuzzy
+   * @returns {Set<string>|null}
+   * @private
+   */
+  _getCandidates(node, fuzzy) {
+    if (!node) return null;
+
+    switch (node.type) {
+      case 'TERM':
+        return this._getTermCandidates(node.value, fuzzy);
+      case 'AND': {
+        // Intersect every child that can be narrowed down, starting from the smallest set
+        const sets = node.children
+          .map((child) => this._getCandidates(child, fuzzy))
+          .filter(Boolean)
+          .sort((a, b) => a.size - b.size);
+        if (!sets.length) return null;
+        return new Set([...sets[0]].filter((key) => sets.every((set) => set.has(key))));
+      }
+      case 'OR': {
+        const sets = node.children.map((child) => this._getCandidates(child, fuzzy));
+        if (sets.some((set) => !set)) return null;
+        return new Set(sets.flatMap((set) => [...set]));
+      }
+      default:
+        // NOT and field qualifiers cannot be narrowed through the word index
+        return null;
+    }
+  }
+
+  /**
+   * Keys of tokens containing a term, looked up through the word vocabulary
+   * @param {string} term - Lowercase search term
+   * @param {boolean} fuzzy - Also include words within the term's typo tolerance
+   * @returns {Set<string>|null} Null if the term spans word boundaries and needs a full scan
+   * @private
+   */
+  _getTermCandidates(term, fuzzy) {
+    // An alphanumeric term can only ever match inside a single indexed word
+    if (!/^[a-z0-9]+$/.test(term)) return null;
+
+    const cacheKey = `${fuzzy ? '~' : ''}${term}`;
+    const cached = this._termCache.get(cacheKey);
+    if (cached) return cached;
+
+    const tolerance = fuzzy ? getFuzzyTolerance(term) : 0;
+    const keys = new Set();
+    for (const [word, wordKeys] of this._postings) {
+      if (word.includes(term) || (tolerance && editDistance(term, word, tolerance) <= tolerance)) {
+        wordKeys.forEach((key) => keys.add(key));
+      }
+    }
+
+    this._termCache.set(cacheKey, keys);
+    return keys;
+  }
+
+  /**
+   * @private
+   */
+  _addEntry(key, image, position) {
+    const haystack = buildSearchHaystack(image);
+    const entry = { image, haystack, words: SearchIndex._splitWords(haystack), state: SearchIndex._getVolatileState(image), position };
+    this._entries.set(key, entry);
+    this._indexWords(key, entry.words);
+  }
+
+  /**
+   * Rebuild an entry's words if its searchable text changed
+   * @returns {boolean} Whether the entry changed
+   * @private
+   */
+  _reindexEntry(key, entry) {
+    entry.state = SearchIndex._getVolatileState(entry.image);
+    const haystack = buildSearchHaystack(entry.image);
+    if (haystack === entry.haystack) return false;
+
+    this._unindexWords(key, entry.words);
+    entry.haystack = haystack;
+    entry.words = SearchIndex._splitWords(haystack);
+    this._indexWords(key, entry.words);
+    return true;
+  }
+
+  /**
+   * @private
+   */
+  _removeEntry(key) {
+    const entry = this._entries.get(key);
+    if (!entry) return;
+    this._unindexWords(key, entry.words);
+    this._entries.delete(key);
+  }
+
+  /**
+   * @private
+   */
+  _indexWords(key, words) {
+    for (const word of words) {
+      let keys = this._postings.get(word);
+      if (!keys) {
+        keys = new Set();
+        this._postings.set(word, keys);
+      }
+      keys.add(key);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _unindexWords(key, words) {
+    for (const word of words) {
+      const keys = this._postings.get(word);
+      if (!keys) continue;
+      keys.delete(key);
+      if (!keys.size) {
+        this._postings.delete(word);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _invalidate() {
+    this._termCache.clear();
+    this._version++;
+  }
+
+  /**
+   * Get the searchable state of a token that can change while its key stays the same
+   * The rest of the haystack (filename, display name, size, ...) is derived from the path
+   * @param {Object} imageData - UI token object
+   * @returns {string}
+   * @private
+   */
+  static _getVolatileState(imageData) {
+    return `${imageData.tier || ''}:${imageData.isCached ? 1 : 0}`;
+  }
+
+  /**
+   * Split searchable text into unique alphanumeric words
+   * @param {string} haystack
+   * @returns {string[]}
+   * @private
+   */
+  static _splitWords(haystack) {
+    return [...new Set(haystack.split(/[^a-z0-9]+/).filter(Boolean))];
+  }
+}
+
 /**
  * Search Management System for FA Token Browser
  * Handles search state, filtering, grid regeneration, and result display
@@ -179,7 +918,14 @@ export class SearchManager {
     
     // Search state
     this._searchQuery = '';
+    this._searchError = null;
     this._filteredImages = [];
+    this._relevanceScores = new Map();
+    
+    // Search index over all loaded tokens
+    this.searchIndex = new SearchIndex();
+    this._parsedQuery = null;
+    this._resultsVersion = -1; // Index version the current results were computed from
   }
 
   /**
@@ -198,6 +944,14 @@ export class SearchManager {
     return this._filteredImages;
   }
 
+  /**
+   * Get the syntax error of the last search query, if any
+   * @returns {string|null}
+   */
+  get searchError() {
+    return this._searchError;
+  }
+
   /**
    * Check if search is currently active
    * @returns {boolean}
@@ -212,8 +966,18 @@ export class SearchManager {
    * @returns {Array}
    */
   getImagesToDisplay(allImages) {
+    // Results go stale when the index changed since the last search (reload, folder change, cache update)
+    if (this.isSearchActive && this._resultsVersion !== this.searchIndex.version) {
+      this._updateSearchResults();
+    }
+
     let imagesToDisplay = this.isSearchActive ? this._filteredImages : allImages;
     
+    // Restrict to the folder selected in the folder tree (also counts tokens per folder)
+    if (this.app.folderTreeManager) {
+      imagesToDisplay = this.app.folderTreeManager.filterImages(imagesToDisplay);
+    }
+    
     // Apply hide locked filter if enabled
     const hideLocked = game.settings.get('fa-token-browser', 'hideLocked');
     if (hideLocked) {
@@ -227,6 +991,11 @@ export class SearchManager {
       });
     }
     
+    // Apply favorites/collection filter if a collection is selected
+    if (this.app.collectionsManager) {
+      imagesToDisplay = this.app.collectionsManager.filterImages(imagesToDisplay);
+    }
+    
     // Apply main color filter if enabled
     const mainColorOnly = game.settings.get('fa-token-browser', 'mainColorOnly');
     if (mainColorOnly) {
@@ -270,34 +1039,72 @@ export class SearchManager {
     const sortBy = game.settings.get('fa-token-browser', 'sortBy') || 'default';
     imagesToDisplay = this.sortImages(imagesToDisplay, sortBy);
     
+    // Apply grouping (keeps the sort order within each group, drops collapsed groups)
+    if (this.app.groupingManager) {
+      imagesToDisplay = this.app.groupingManager.groupImages(imagesToDisplay);
+    }
+    
     return imagesToDisplay;
   }
 
+  /**
+   * Get every token matching the search, folder and collection filters, including the
+   * color variants and collapsed groups the grid hides
+   * @returns {Array}
+   */
+  getMatchingImages() {
+    if (this.isSearchActive && this._resultsVersion !== this.searchIndex.version) {
+      this._updateSearchResults();
+    }
+
+    let images = this.isSearchActive ? this._filteredImages : this.app._allImages;
+    if (this.app.folderTreeManager) {
+      images = this.app.folderTreeManager.filterImages(images);
+    }
+    if (this.app.collectionsManager) {
+      images = this.app.collectionsManager.filterImages(images);
+    }
+    return images;
+  }
+
   /**
    * Sort images based on the selected sort option
+   * While a search is active, default sorting ranks results by relevance
    * @param {Array} images - Array of image objects
-   * @param {string} sortBy - Sort criteria ('default', 'name', 'modified')
+   * @param {string} sortBy - Sort option, a SORT_MODES key optionally followed by ':asc' or ':desc'
    * @returns {Array} Sorted array of images
    */
   sortImages(images, sortBy) {
-    switch (sortBy) {
-      case 'name':
-        // Create a copy to avoid modifying the original array
-        return [...images].sort((a, b) => a.displayName.localeCompare(b.displayName));
-      
-      case 'modified':
-        // Create a copy to avoid modifying the original array
-        return [...images].sort((a, b) => {
-          const dateA = a._tokenData?.metadata?.lastModified || new Date(0);
-          const dateB = b._tokenData?.metadata?.lastModified || new Date(0);
-          return dateB - dateA; // Most recent first
-        });
-      
-      case 'default':
-      default:
-        // Return original order (no sorting)
-        return images;
+    const { mode, direction } = parseSortOption(sortBy);
+
+    if (mode === 'default') {
+      let sorted = images;
+      if (this.isSearchActive && this._relevanceScores.size) {
+        // Stable sort keeps the original order between equally relevant tokens
+        sorted = [...images].sort((a, b) => (this._relevanceScores.get(b) || 0) - (this._relevanceScores.get(a) || 0));
+      }
+      // Create a copy to avoid modifying the original array
+      return direction === 'desc' ? [...sorted].reverse() : sorted;
     }
+
+    const getKey = SORT_KEYS[mode];
+    const sign = direction === 'desc' ? -1 : 1;
+    const byName = (a, b) => (a.image.displayName || '').localeCompare(b.image.displayName || '');
+
+    // Compute keys once, parsing sizes in the comparator would repeat it for every comparison
+    return images
+      .map((image) => ({ image, key: getKey(image) }))
+      .sort((a, b) => {
+        if (a.key === null || b.key === null) {
+          if (a.key === b.key) return byName(a, b);
+          return a.key === null ? 1 : -1;
+        }
+        const result = typeof a.key === 'string'
+          ? a.key.localeCompare(b.key, undefined, { numeric: true, sensitivity: 'base' })
+          : a.key - b.key;
+        return result * sign || byName(a, b);
+      })
+      .map(({ image }) => image);
   }
 
   /**
@@ -315,6 +1122,7 @@ export class SearchManager {
       searchInput.value = this._searchQuery;
       wrapper.classList.add('has-text');
     }
+    this.updateSearchError();
 
     // Real-time search as user types
     let searchTimeout;
@@ -353,14 +1161,57 @@ export class SearchManager {
           this.app.eventManager.clearTimeout(searchTimeout);
           this.performSearch(searchInput.value.trim());
         }
+        // Pressing Enter commits the query to the search history
+        if (searchInput.value.trim() && !this._searchError) {
+          this.app.savedSearchesManager?.recordHistory(searchInput.value);
+        }
       }
     };
 
     // Register event handlers with the event manager
     this.app.eventManager.registerSearchHandlers(searchInput, clearButton, inputHandler, clearHandler, keydownHandler);
 
+    // Toggle inline syntax help
+    const helpButton = this.app.element.querySelector('.search-help-btn');
+    if (helpButton) {
+      const helpHandler = (event) => {
+        event.preventDefault();
+        if (wrapper.classList.toggle('show-help')) {
+          wrapper.classList.remove('show-history');
+        }
+      };
+      this.app.eventManager.registerSearchHelpHandler(helpButton, helpHandler);
+    }
+
     // Activate sort selector
     this.activateSort();
+
+    // Activate fuzzy search toggle
+    this.activateFuzzyToggle();
+  }
+
+  /**
+   * Activate the fuzzy search checkbox
+   */
+  activateFuzzyToggle() {
+    const checkbox = this.app.element.querySelector('#fuzzy-search');
+    if (!checkbox) return;
+
+    checkbox.checked = game.settings.get('fa-token-browser', 'fuzzySearch');
+
+    const handler = async (event) => {
+      const isChecked = event.target.checked;
+      await game.settings.set('fa-token-browser', 'fuzzySearch', isChecked);
+
+      // Re-run the current search with the new matching mode
+      if (this._searchQuery) {
+        this.performSearch(this._searchQuery);
+      }
+
+      console.log(`fa-token-browser | Fuzzy search ${isChecked ? 'enabled' : 'disabled'}`);
+    };
+
+    this.app.eventManager.registerFuzzySearchHandler(checkbox, handler);
   }
 
   /**
@@ -371,23 +1222,64 @@ export class SearchManager {
     if (!sortSelect) return;
 
     // Load and apply saved sort option
-    const savedSort = game.settings.get('fa-token-browser', 'sortBy') || 'default';
-    sortSelect.value = savedSort;
+    this.syncSortControls();
 
     const sortHandler = (event) => {
-      const newSort = event.target.value;
-      
-      // Save the new sort option to settings
-      game.settings.set('fa-token-browser', 'sortBy', newSort);
-      
-      // Regenerate the grid with the new sort
-      this.regenerateGrid();
-      
-      console.log(`fa-token-browser | Sort changed to: ${newSort}`);
+      // A new mode starts in its natural direction (e.g. latest first)
+      const mode = event.target.value;
+      const newSort = formatSortOption(mode, SORT_MODES[mode]?.direction || 'asc');
+      this._applySort(newSort);
     };
 
     // Register event handler
     this.app.eventManager.registerSortHandler(sortSelect, sortHandler);
+
+    const directionButton = this.app.element.querySelector('.sort-direction-btn');
+    if (directionButton) {
+      const directionHandler = (event) => {
+        event.preventDefault();
+        const { mode, direction } = parseSortOption(game.settings.get('fa-token-browser', 'sortBy'));
+        this._applySort(formatSortOption(mode, direction === 'asc' ? 'desc' : 'asc'));
+      };
+      this.app.eventManager.registerSortDirectionHandler(directionButton, directionHandler);
+    }
+  }
+
+  /**
+   * Reflect the saved sort option in the sort selector and direction toggle
+   */
+  syncSortControls() {
+    const { mode, direction } = parseSortOption(game.settings.get('fa-token-browser', 'sortBy'));
+
+    const sortSelect = this.app.element.querySelector('#sort-select');
+    if (sortSelect) {
+      sortSelect.value = mode;
+    }
+
+    const directionButton = this.app.element.querySelector('.sort-direction-btn');
+    if (directionButton) {
+      const icon = directionButton.querySelector('i');
+      if (icon) {
+        icon.className = direction === 'asc' ? 'fas fa-arrow-up-short-wide' : 'fas fa-arrow-down-wide-short';
+      }
+      directionButton.title = direction === 'asc' ? 'Ascending (click to reverse)' : 'Descending (click to reverse)';
+    }
+  }
+
+  /**
+   * Save a sort option and re-render the grid with it
+   * @param {string} sortBy - Sort option
+   * @private
+   */
+  async _applySort(sortBy) {
+    // Save the new sort option to settings
+    await game.settings.set('fa-token-browser', 'sortBy', sortBy);
+    this.syncSortControls();
+
+    // Regenerate the grid with the new sort
+    this.regenerateGrid();
+
+    console.log(`fa-token-browser | Sort changed to: ${sortBy}`);
   }
 
   /**
@@ -395,14 +1287,16 @@ export class SearchManager {
    * @param {string} query - The search query
    */
   performSearch(query) {
+    const parsed = parseSearchQuery(query);
+    this._searchError = parsed.error;
+    this.updateSearchError();
+
+    // Keep the previous results on screen while the query is malformed (e.g. mid-typing a group)
+    if (parsed.error) return;
+
     this._searchQuery = query.toLowerCase();
-    
-    if (this._searchQuery) {
-      // Parse search query and filter images using the search engine functions
-      this._filteredImages = this.app._allImages.filter((img) => matchesSearchQuery(img, this._searchQuery));
-    } else {
-      this._filteredImages = [];
-    }
+    this._parsedQuery = parsed;
+    this._updateSearchResults();
     
     // Reset display and re-render
     this.app._displayedImages = [];
@@ -418,6 +1312,57 @@ export class SearchManager {
     }, 50);
   }
 
+  /**
+   * Recompute the filtered images and relevance scores for the current query from the search index
+   * @private
+   */
+  _updateSearchResults() {
+    this._relevanceScores = new Map();
+    this._resultsVersion = this.searchIndex.version;
+
+    if (!this._searchQuery || !this._parsedQuery) {
+      this._filteredImages = [];
+      return;
+    }
+
+    const fuzzy = game.settings.get('fa-token-browser', 'fuzzySearch');
+    this._filteredImages = this.searchIndex.search(this._parsedQuery, { fuzzy });
+    this._filteredImages.forEach((img) => this._relevanceScores.set(img, scoreSearchRelevance(img, this._parsedQuery)));
+  }
+
+  /**
+   * Sync the search index with a freshly loaded token list
+   * @param {Array} images - All UI token objects
+   */
+  updateSearchIndex(images) {
+    const { added, removed, updated } = this.searchIndex.sync(images);
+    if (added || removed || updated) {
+      console.log(`fa-token-browser | Search index updated: ${added} added, ${removed} removed, ${updated} changed (${this.searchIndex.size} tokens)`);
+    }
+  }
+
+  /**
+   * Re-index a single token whose searchable data changed
+   * @param {Object} imageData - UI token object
+   */
+  reindexToken(imageData) {
+    this.searchIndex.update(imageData);
+  }
+
+  /**
+   * Reflect the current query syntax error (if any) on the search box
+   */
+  updateSearchError() {
+    const wrapper = this.app.element?.querySelector('.search-input-wrapper');
+    if (!wrapper) return;
+
+    wrapper.classList.toggle('has-error', !!this._searchError);
+    const errorElement = wrapper.querySelector('.search-error');
+    if (errorElement) {
+      errorElement.textContent = this._searchError || '';
+    }
+  }
+
   /**
    * Regenerate the token grid with current search/filter
    */
@@ -434,6 +1379,7 @@ export class SearchManager {
     
     // Clear existing items
     grid.innerHTML = '';
+    this.app.groupingManager?.resetRendering();
     
     // Get images to display
     const imagesToDisplay = this.getImagesToDisplay(this.app._allImages);
@@ -443,19 +1389,15 @@ export class SearchManager {
     
     // Create and add new items with skeleton loading
     const newItems = this.app.lazyLoadingManager.createImageElements(this.app._displayedImages);
-    newItems.forEach(item => {
-      grid.appendChild(item);
-      // Register with intersection observer for off-screen cleanup
-      if (this.app.dragDropManager) {
-        this.app.dragDropManager.registerTokenWithObserver(item);
-      }
-    });
+    this.app.lazyLoadingManager.appendTokenItems(grid, this.app._displayedImages, newItems);
     
     // Update stats
     this.updateStats();
     
     // Show no results message if needed
-    if (imagesToDisplay.length === 0 && this.isSearchActive) {
+    // (with every group collapsed the grid is empty but still shows the section headers)
+    if (imagesToDisplay.length === 0 && !this.app.groupingManager?.groupCount &&
+        (this.isSearchActive || this.app.collectionsManager?.activeCollection || this.app.folderTreeManager?.selectedFolder)) {
       this.showNoResults();
     } else {
       this.hideNoResults();
@@ -473,6 +1415,9 @@ export class SearchManager {
     
     // Update color variants checkbox state based on new grid content
     this.app._updateColorVariantsCheckboxState();
+    
+    // Folder counts follow the current search
+    this.app.folderTreeManager?.refresh();
 
   }
 
@@ -509,13 +1454,6 @@ export class SearchManager {
     if (!noResults) {
       noResults = document.createElement('div');
       noResults.className = 'no-search-results';
-      noResults.innerHTML = `
-        <div class="empty-search-state">
-          <i class="fas fa-search"></i>
-          <p>No tokens found matching "<strong>${this._searchQuery}</strong>"</p>
-          <p>Try different keywords or check your spelling.</p>
-        </div>
-      `;
       // Insert after token-grid but before footer
       const tokenGrid = this.app.element.querySelector('.token-grid');
       const footer = this.app.element.querySelector('.token-browser-footer');
@@ -524,10 +1462,37 @@ export class SearchManager {
       } else {
         tokenGrid.parentNode.appendChild(noResults);
       }
-    } else {
+    }
+
+    if (this.isSearchActive) {
+      noResults.innerHTML = `
+        <div class="empty-search-state">
+          <i class="fas fa-search"></i>
+          <p>No tokens found matching "<strong></strong>"</p>
+          <p>Try different keywords or check your spelling.</p>
+        </div>
+      `;
       noResults.querySelector('strong').textContent = this._searchQuery;
-      noResults.style.display = 'block';
+    } else if (!this.app.collectionsManager?.activeCollection) {
+      // Selected folder has nothing left after the filter checkboxes
+      noResults.innerHTML = `
+        <div class="empty-search-state">
+          <i class="fas fa-folder-open"></i>
+          <p>No tokens in this folder.</p>
+          <p>Pick another folder or "All Tokens" in the folder tree.</p>
+        </div>
+      `;
+    } else {
+      // Empty favorites/collection without a search
+      noResults.innerHTML = `
+        <div class="empty-search-state">
+          <i class="fas fa-star"></i>
+          <p>No tokens in this collection yet.</p>
+          <p>Use the star or folder icon on a token to add it.</p>
+        </div>
+      `;
     }
+    noResults.style.display = 'block';
   }
 
   /**
@@ -603,7 +1568,11 @@ export class SearchManager {
    */
   destroy() {
     this._searchQuery = '';
+    this._searchError = null;
     this._filteredImages = [];
+    this._relevanceScores.clear();
+    this._parsedQuery = null;
+    this.searchIndex.clear();
     this.app = null;
   }
 }
\ No newline at end of file
@@ -0,0 +1,255 @@
+/**
+ * Public API for FA Token Browser
+ * Exposed as game.modules.get('fa-token-browser').api for macros and other modules
+ */
+
+import { TokenDataService } from './token-data-service.js';
+import { ActorFactory } from './actor-factory.js';
+import { TokenDragDropManager } from './token-dragdrop-manager.js';
+import { parseTokenSize } from './geometry.js';
+import { parseSearchQuery, matchesSearchQuery, buildSearchHaystack } from './search-engine.js';
+import { TOKEN_BROWSER_HOOKS } from './token-data-types.js';
+
+/**
+ * Module API, built on TokenDataService and ActorFactory.
+ * Tokens are passed around as TokenData objects; every method taking a token also accepts
+ * a token path or filename.
+ */
+export class TokenBrowserAPI {
+  constructor() {
+    this._tokenDataService = null; // Created on first use when the browser is closed
+    this._tokens = null; // UI token objects of the last load
+    this._loading = null; // Pending load, shared by concurrent callers
+  }
+
+  /**
+   * Hook names fired by the module
+   * @returns {Object}
+   */
+  get hooks() {
+    return TOKEN_BROWSER_HOOKS;
+  }
+
+  /**
+   * Get all tokens, optionally filtered
+   * @param {Object|Function} [filter] - Predicate on TokenData, or fields to match:
+   *   {source, tier, size, creatureType, folder, cached}
+   * @param {Object} [options]
+   * @param {boolean} [options.refresh=false] - Reload the token list instead of using the last load
+   * @returns {Promise<Array<TokenData>>}
+   */
+  async getTokens(filter = {}, { refresh = false } = {}) {
+    const tokens = await this._getUITokens(refresh);
+    return tokens.filter(token => this._matchesFilter(token, filter)).map(token => token._tokenData);
+  }
+
+  /**
+   * Search tokens with the browser's search syntax (AND/OR/NOT, quotes, field qualifiers)
+   * @param {string} query - Search query
+   * @param {Object} [options]
+   * @param {boolean} [options.fuzzy=false] - Tolerate typos in plain terms
+   * @param {Object|Function} [options.filter] - Same filter as getTokens
+   * @returns {Promise<Array<TokenData>>}
+   */
+  async search(query, { fuzzy = false, filter = {} } = {}) {
+    const parsed = parseSearchQuery(query || '');
+    if (parsed.error) {
+      throw new Error(`Invalid search query: ${parsed.error}`);
+    }
+
+    const tokens = await this._getUITokens();
+    return tokens
+      .filter(token => this._matchesFilter(token, filter) &&
+        matchesSearchQuery(token, parsed, { fuzzy, haystack: buildSearchHaystack(token) }))
+      .map(token => token._tokenData);
+  }
+
+  /**
+   * Get a URL to display a token (cloud tokens may return a short-lived signed URL)
+   * @param {TokenData|string} token - Token, path or filename
+   * @returns {Promise<string>}
+   */
+  async resolveURL(token) {
+    const tokenData = await this._resolveToken(token);
+    return await this._getService().getFullURL(tokenData);
+  }
+
+  /**
+   * Make a token available as a local file, downloading cloud tokens to the cache
+   * @param {TokenData|string} token - Token, path or filename
+   * @returns {Promise<string>} Local file path
+   */
+  async downloadToCache(token) {
+    const tokenData = await this._resolveToken(token);
+
+    // Let an open browser update its cache indicators
+    const app = this._getApp();
+    const uiToken = app?._allImages?.find(image => image._tokenData === tokenData);
+    if (uiToken) {
+      return await app.dragDropManager.getTokenFilePath(uiToken);
+    }
+
+    const filePath = await this._getService().getFilePathForDragDrop(tokenData);
+    const cachedToken = this._tokens?.find(image => image._tokenData === tokenData);
+    if (cachedToken) cachedToken.isCached = true;
+    return filePath;
+  }
+
+  /**
+   * Create an actor from a token, without placing it on the canvas
+   * @param {TokenData|string} token - Token, path or filename
+   * @param {Object} [options]
+   * @param {string} [options.name] - Actor name (default: derived from the filename)
+   * @returns {Promise<Actor>}
+   */
+  async createActor(token, { name } = {}) {
+    const dropData = await this._buildDropData(token);
+    return await ActorFactory.createActorFromTokenData(dropData, { name });
+  }
+
+  /**
+   * Create an actor and place its token on the current scene
+   * @param {TokenData|string} token - Token, path or filename
+   * @param {{x:number, y:number}} sceneCoords - Scene coordinates of the token center
+   * @param {Object} [options]
+   * @param {boolean} [options.snap=true] - Snap to the scene grid like a drag & drop
+   * @returns {Promise<{actor: Actor, token: TokenDocument}>}
+   */
+  async placeToken(token, sceneCoords, { snap = true } = {}) {
+    if (!canvas?.scene) {
+      throw new Error('No active scene to place the token on');
+    }
+    if (!Number.isFinite(sceneCoords?.x) || !Number.isFinite(sceneCoords?.y)) {
+      throw new Error('Invalid scene coordinates');
+    }
+
+    const dropData = await this._buildDropData(token);
+    const world = snap
+      ? TokenDragDropManager.applyGridSnapping({ x: sceneCoords.x, y: sceneCoords.y }, canvas, dropData.tokenSize)
+      : { x: sceneCoords.x, y: sceneCoords.y };
+
+    if (!TokenDragDropManager.isValidDropLocation(world, canvas)) {
+      throw new Error('Cannot place token outside the scene boundaries');
+    }
+
+    return await ActorFactory.createActorFromDragData(dropData, { screen: null, world });
+  }
+
+  /**
+   * Get the open Token Browser, if any
+   * @private
+   */
+  _getApp() {
+    return foundry.applications.instances.get('token-browser-app') || null;
+  }
+
+  /**
+   * Token data service of the open browser, or the API's own
+   * @private
+   */
+  _getService() {
+    const app = this._getApp();
+    if (app?.tokenDataService) return app.tokenDataService;
+
+    if (!this._tokenDataService) {
+      this._tokenDataService = new TokenDataService();
+    }
+    return this._tokenDataService;
+  }
+
+  /**
+   * Get the loaded UI token objects, loading them when needed
+   * @param {boolean} [refresh=false] - Reload instead of using the last load
+   * @private
+   */
+  async _getUITokens(refresh = false) {
+    // The open browser already holds the current list
+    const app = this._getApp();
+    if (!refresh && app?._allImages?.length) return app._allImages;
+
+    if (!refresh && this._tokens) return this._tokens;
+    if (!this._loading) {
+      this._loading = this._loadTokens().finally(() => {
+        this._loading = null;
+      });
+    }
+    return await this._loading;
+  }
+
+  /**
+   * Load local and cloud tokens the same way the browser does
+   * @private
+   */
+  async _loadTokens() {
+    const service = this._getService();
+    const localOnlyMode = game.settings.get('fa-token-browser', 'localOnlyMode') || false;
+    const showDuplicates = game.settings.get('fa-token-browser', 'showDuplicates') || false;
+
+    const tokenData = await service.getCombinedTokens(service.getEnabledTokenFolders(), !localOnlyMode);
+    this._tokens = service.convertTokenDataForUI(tokenData, showDuplicates);
+
+    console.log(`fa-token-browser | API: Loaded ${this._tokens.length} tokens`);
+    Hooks.callAll(TOKEN_BROWSER_HOOKS.tokensLoaded, this._tokens.map(token => token._tokenData));
+    return this._tokens;
+  }
+
+  /**
+   * Check a UI token against a getTokens filter
+   * @private
+   */
+  _matchesFilter(token, filter) {
+    if (!filter) return true;
+    if (typeof filter === 'function') return !!filter(token._tokenData);
+
+    const equals = (value, expected) => expected === undefined ||
+      String(value ?? '').toLowerCase() === String(expected).toLowerCase();
+
+    return equals(token.source, filter.source) &&
+      equals(token.tier, filter.tier) &&
+      equals(token.size, filter.size) &&
+      equals(token.creatureType, filter.creatureType) &&
+      (filter.folder === undefined || (token.path || '').startsWith(filter.folder)) &&
+      (filter.cached === undefined || (token.source === 'cloud' ? !!token.isCached : true) === !!filter.cached);
+  }
+
+  /**
+   * Resolve a token argument (TokenData, path or filename) to TokenData
+   * @private
+   */
+  async _resolveToken(token) {
+    if (token && typeof token === 'object') {
+      const tokenData = token._tokenData || token;
+      if (!tokenData.path || !tokenData.source) {
+        throw new Error('Invalid token: expected TokenData from getTokens or search');
+      }
+      return tokenData;
+    }
+
+    if (typeof token === 'string' && token) {
+      const tokens = await this._getUITokens();
+      const match = tokens.find(image => image.path === token) || tokens.find(image => image.filename === token);
+      if (match) return match._tokenData;
+    }
+    throw new Error(`Token not found: ${token}`);
+  }
+
+  /**
+   * Build drop data (local file path, size, TokenData) for ActorFactory
+   * @private
+   */
+  async _buildDropData(token) {
+    const tokenData = await this._resolveToken(token);
+    const filePath = await this.downloadToCache(tokenData);
+    const { gridWidth, gridHeight, scale } = parseTokenSize(tokenData.filename);
+    return {
+      type: 'fa-token-browser-token',
+      source: 'token-browser',
+      filename: tokenData.filename,
+      path: filePath,
+      url: filePath,
+      tokenSize: { gridWidth, gridHeight, scale },
+      tokenData,
+      timestamp: Date.now()
+    };
+  }
+}
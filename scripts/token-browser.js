@@ -1,9 +1,9 @@
 // Token Browser Module for Foundry VTT (latest version)
 import * as SystemDetection from './system-detection.js';
-import { ActorFactory } from './actor-factory.js';
+import { ActorFactory, ACTOR_DROP_POLICIES } from './actor-factory.js';
 import { PatreonAuthService, PatreonOAuthApp } from './patreon-auth-service.js';
-import { parseTokenSize, calcDragPreviewPixelDims } from './geometry.js';
-import { matchesSearchQuery, SearchManager, detectColorVariant, getColorVariants } from './search-engine.js';
+import { parseTokenSize, calcDragPreviewPixelDims, FORMATION_LAYOUTS } from './geometry.js';
+import { matchesSearchQuery, SearchManager, detectColorVariant, getColorVariants, SORT_MODES, formatSortOption } from './search-engine.js';
 
 import { TokenDataService } from './token-data-service.js';
 import { TokenPreviewManager } from './token-preview-manager.js';
@@ -12,6 +12,18 @@ import { EventManager } from './event-manager.js';
 import { LazyLoadingManager } from './lazy-loading-manager.js';
 import { ForgeIntegrationService, forgeIntegration } from './forge-integration.js';
 import { FolderSelectionDialog } from './folder-selection-dialog.js';
+import { CacheManagementDialog } from './cache-management-dialog.js';
+import { TokenCollectionsManager } from './token-collections.js';
+import { SavedSearchesManager } from './saved-searches.js';
+import { TokenGroupingManager, GROUP_BY_MODES } from './token-grouping.js';
+import { FolderTreeManager } from './folder-tree.js';
+import { TokenDetailPanelManager } from './token-detail-panel.js';
+import { TokenSelectionManager } from './token-selection.js';
+import { TokenPickerManager } from './token-picker.js';
+import { BulkDownloadManager } from './bulk-download.js';
+import { TokenBrowserAPI } from './token-browser-api.js';
+import { TOKEN_BROWSER_HOOKS } from './token-data-types.js';
+import { COMPENDIUM_MATCH_MODES } from './compendium-matcher.js';
 
 export const TOKEN_BROWSER_VERSION = "0.0.1";
 
@@ -175,6 +187,12 @@ Hooks.once('init', async () => {
     version: TOKEN_BROWSER_VERSION
   };
 
+  // Public API for macros and other modules
+  game.modules.get('fa-token-browser').api = new TokenBrowserAPI();
+
+  // "Browse FA Tokens" buttons on Token Config and actor sheets
+  TokenPickerManager.registerSheetButtons();
+
   // Preload the templates
   await foundry.applications.handlebars.loadTemplates([
     'modules/fa-token-browser/templates/token-browser.hbs',
@@ -245,6 +263,71 @@ Hooks.once('init', async () => {
     }
   });
 
+  // Register actor and token naming settings
+  game.settings.register('fa-token-browser', 'actorNameTemplate', {
+    name: 'Actor Name Template',
+    hint: 'Name of actors and tokens created from a token. Placeholders: {name} (filename without size and scale), {displayName}, {variant}, {size}, {creatureType}, {scale}. Example: "{displayName} ({creatureType})".',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '{name}',
+    restricted: true
+  });
+
+  game.settings.register('fa-token-browser', 'tokenNameNumbering', {
+    name: 'Number Placed Tokens',
+    hint: 'Append the next free number to tokens dropped onto a scene ("Goblin 1", "Goblin 2", ...).',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+    restricted: true
+  });
+
+  game.settings.register('fa-token-browser', 'tokenNameAdjectives', {
+    name: 'Random Adjectives on Placed Tokens',
+    hint: 'Prefix tokens dropped onto a scene with a random adjective ("Grumpy Goblin"), using the same list as core\'s Prepend Adjective option.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+    restricted: true
+  });
+
+  // Register actor drop policy setting
+  game.settings.register('fa-token-browser', 'actorDropPolicy', {
+    name: 'Actor Reuse on Drop',
+    hint: 'Dropping a token onto a scene creates a new actor by default. With a reuse option, an existing actor with the same image or name is placed instead, and all dropped tokens are unlinked so each keeps its own data.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: ACTOR_DROP_POLICIES,
+    default: 'new',
+    restricted: true
+  });
+
+  // Register compendium actor matching settings
+  game.settings.register('fa-token-browser', 'compendiumMatchMode', {
+    name: 'Compendium Actor Matching',
+    hint: 'When a token\'s name matches an actor in the compendiums below (e.g. "Goblin"), import that actor with the token art instead of creating a blank actor. "Ask" lists similar names to choose from.',
+    scope: 'world',
+    config: true,
+    type: String,
+    choices: COMPENDIUM_MATCH_MODES,
+    default: 'off',
+    restricted: true
+  });
+
+  game.settings.register('fa-token-browser', 'compendiumPacks', {
+    name: 'Compendiums for Actor Matching',
+    hint: 'Actor compendium IDs to search, separated by commas, in priority order (e.g. "dnd5e.monsters, world.my-bestiary").',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: '',
+    restricted: true
+  });
+
   // Register position storage setting (hidden from UI)
   game.settings.register('fa-token-browser', 'tokenBrowserPosition', {
     name: 'Token Browser Window Position',
@@ -344,6 +427,87 @@ Hooks.once('init', async () => {
     restricted: false
   });
 
+  // Register group-by setting (hidden from UI, controlled by dropdown)
+  game.settings.register('fa-token-browser', 'groupBy', {
+    name: 'Group Tokens By',
+    scope: 'client',
+    config: false, // Hidden from UI - controlled by dropdown
+    type: String,
+    default: 'none',
+    restricted: false,
+    choices: GROUP_BY_MODES
+  });
+
+  // Register folder tree pane visibility (hidden from UI, controlled by toggle button)
+  game.settings.register('fa-token-browser', 'showFolderTree', {
+    name: 'Show Folder Tree',
+    scope: 'client',
+    config: false, // Hidden from UI - controlled by toggle button
+    type: Boolean,
+    default: false,
+    restricted: false
+  });
+
+  // Register formation drop settings (hidden from UI, controlled by footer controls)
+  game.settings.register('fa-token-browser', 'formationCount', {
+    name: 'Tokens Per Drop',
+    scope: 'client',
+    config: false, // Hidden from UI - controlled by footer controls
+    type: Number,
+    default: 1,
+    restricted: false
+  });
+
+  // Register Place as Tile setting (hidden from UI, controlled by checkbox)
+  game.settings.register('fa-token-browser', 'placeAsTile', {
+    name: 'Place as Tile',
+    scope: 'client',
+    config: false, // Hidden from UI - controlled by checkbox
+    type: Boolean,
+    default: false, // Default to creating actors and tokens
+    restricted: false
+  });
+
+  game.settings.register('fa-token-browser', 'formationLayout', {
+    name: 'Formation Layout',
+    scope: 'client',
+    config: false, // Hidden from UI - controlled by footer controls
+    type: String,
+    default: 'block',
+    restricted: false,
+    choices: FORMATION_LAYOUTS
+  });
+
+  // Register collapsed group sections, keyed by group-by mode (hidden from UI, controlled by section headers)
+  game.settings.register('fa-token-browser', 'collapsedGroups', {
+    name: 'Collapsed Token Groups',
+    scope: 'client',
+    config: false, // Hidden from UI - controlled by section headers
+    type: Object,
+    default: {},
+    restricted: false
+  });
+
+  // Register search history and saved searches (hidden from UI, controlled by search dropdown)
+  game.settings.register('fa-token-browser', 'savedSearches', {
+    name: 'Saved Searches',
+    scope: 'client',
+    config: false, // Hidden from UI - controlled by search history dropdown
+    type: Object,
+    default: { history: [], saved: [] },
+    restricted: false
+  });
+
+  // Register fuzzy search setting (hidden from UI, controlled by checkbox)
+  game.settings.register('fa-token-browser', 'fuzzySearch', {
+    name: 'Fuzzy Search',
+    scope: 'client',
+    config: false, // Hidden from UI - controlled by checkbox
+    type: Boolean,
+    default: false, // Default to exact substring matching
+    restricted: false
+  });
+
   // Register sort setting (hidden from UI, controlled by dropdown)
   game.settings.register('fa-token-browser', 'sortBy', {
     name: 'Sort Tokens By',
@@ -352,14 +516,33 @@ Hooks.once('init', async () => {
     type: String,
     default: 'default',
     restricted: false,
-    choices: {
-      'default': 'Default Sorting',
-      'name': 'Sort by Name',
-      'modified': 'Sort by Latest'
-    }
+    // Every mode in both directions, e.g. 'modified' (latest first) and 'modified:asc'
+    choices: Object.fromEntries(Object.entries(SORT_MODES).flatMap(([mode, { label }]) => ['asc', 'desc'].map(direction => [
+      formatSortOption(mode, direction),
+      `${label} (${direction === 'asc' ? 'ascending' : 'descending'})`
+    ])))
   });
 
 
+  // Register favorites and collections storage (hidden from UI, user-specific)
+  game.settings.register('fa-token-browser', 'tokenCollections', {
+    name: 'Token Favorites and Collections',
+    scope: 'client',
+    config: false, // Hidden from UI - controlled by star/collection buttons
+    type: Object,
+    default: { favorites: [], collections: [] },
+    restricted: false
+  });
+
+  // Register active collection setting (hidden from UI, controlled by dropdown)
+  game.settings.register('fa-token-browser', 'activeCollection', {
+    name: 'Active Token Collection',
+    scope: 'client',
+    config: false, // Hidden from UI - controlled by dropdown
+    type: String,
+    default: '',
+    restricted: false
+  });
 
   // Register Patreon authentication data setting (hidden from UI, user-specific)
   // NOTE: Authentication is user-specific because server validates both auth state AND IP address
@@ -388,6 +571,68 @@ Hooks.once('init', async () => {
     }
   });
 
+  game.settings.registerMenu('fa-token-browser', 'cacheManagementMenu', {
+    name: 'Token Cache',
+    label: 'Manage Cache',
+    hint: 'List the cached cloud tokens with their size, dates and the actors and scenes using them; delete, re-download or check them for missing and empty files.',
+    icon: 'fas fa-database',
+    type: CacheManagementDialog,
+    restricted: true
+  });
+
+  // Register cache quota settings
+  game.settings.register('fa-token-browser', 'cacheQuotaMB', {
+    name: 'Token Cache Quota (MB)',
+    hint: 'Largest size of the cloud token cache. When it is exceeded, the least recently used tokens are deleted, except those used by actors, tokens or tiles in this world. 0 = no limit. Deleting files is only supported on The Forge.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0,
+    restricted: true
+  });
+
+  game.settings.register('fa-token-browser', 'cacheQuotaFiles', {
+    name: 'Token Cache Quota (Files)',
+    hint: 'Largest number of files in the cloud token cache, trimmed the same way. 0 = no limit.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 0,
+    restricted: true
+  });
+
+  // Register cache metadata setting (hidden from UI)
+  game.settings.register('fa-token-browser', 'cacheMetadata', {
+    name: 'Token Cache Metadata',
+    scope: 'world',
+    config: false, // Hidden from UI - controlled by TokenCacheManager (download/access times and sizes)
+    type: Object,
+    default: {},
+    restricted: true
+  });
+
+  // Register cloud catalogue snapshot setting (hidden from UI)
+  game.settings.register('fa-token-browser', 'cloudCatalogueSnapshot', {
+    name: 'Cloud Catalogue Snapshot',
+    scope: 'world',
+    config: false, // Hidden from UI - controlled by CloudTokenService (when the offline catalogue file was saved and its token count)
+    type: Object,
+    default: {},
+    restricted: true
+  });
+
+  // Register bulk download concurrency setting
+  game.settings.register('fa-token-browser', 'bulkDownloadConcurrency', {
+    name: 'Parallel Bulk Downloads',
+    hint: 'Number of cloud tokens downloaded at the same time by the folder tree download buttons, "Download Matching Cloud Tokens" (window menu) and the selection Download action. Lower it on slow or unreliable connections.',
+    scope: 'client',
+    config: true,
+    type: Number,
+    range: { min: 1, max: 8, step: 1 },
+    default: 3,
+    restricted: false
+  });
+
   // Register local-only mode setting
   game.settings.register('fa-token-browser', 'localOnlyMode', {
     name: 'Local-Only Mode',
@@ -475,6 +720,22 @@ Hooks.once('init', async () => {
       this.searchManager = new SearchManager(this);
       // Initialize lazy loading manager
       this.lazyLoadingManager = new LazyLoadingManager(this);
+      // Initialize favorites/collections manager
+      this.collectionsManager = new TokenCollectionsManager(this);
+      // Initialize saved searches/history manager
+      this.savedSearchesManager = new SavedSearchesManager(this);
+      // Initialize group-by view manager
+      this.groupingManager = new TokenGroupingManager(this);
+      // Initialize folder tree manager
+      this.folderTreeManager = new FolderTreeManager(this);
+      // Initialize token detail panel manager
+      this.detailPanelManager = new TokenDetailPanelManager(this);
+      // Initialize multi-select manager
+      this.selectionManager = new TokenSelectionManager(this);
+      // Initialize picker mode manager
+      this.pickerManager = new TokenPickerManager(this);
+      // Initialize bulk download queue manager
+      this.bulkDownloadManager = new BulkDownloadManager(this);
       // Image state
       this._allImages = [];
       this._displayedImages = [];
@@ -493,7 +754,32 @@ Hooks.once('init', async () => {
       window: {
         frame: true,
         positioned: true,
-        resizable: true
+        resizable: true,
+        controls: [
+          {
+            action: 'downloadMatching',
+            icon: 'fas fa-cloud-arrow-down',
+            label: 'Download Matching Cloud Tokens',
+            visible: () => !game.settings.get('fa-token-browser', 'localOnlyMode')
+          },
+          {
+            action: 'manageCache',
+            icon: 'fas fa-database',
+            label: 'Manage Token Cache',
+            visible: () => game.user.isGM
+          },
+          {
+            action: 'trimCache',
+            icon: 'fas fa-broom',
+            label: 'Trim Token Cache',
+            visible: () => game.user.isGM
+          }
+        ]
+      },
+      actions: {
+        downloadMatching: TokenBrowserApp._onDownloadMatching,
+        manageCache: TokenBrowserApp._onManageCache,
+        trimCache: TokenBrowserApp._onTrimCache
       },
       position: {
         width: Math.min(1000, Math.max(600, window.innerWidth * 0.7)),
@@ -574,6 +860,46 @@ Hooks.once('init', async () => {
       if (this.dragDropManager) {
         this.dragDropManager.destroy();
       }
+      
+      // Clean up collections manager
+      if (this.collectionsManager) {
+        this.collectionsManager.destroy();
+      }
+      
+      // Clean up saved searches manager
+      if (this.savedSearchesManager) {
+        this.savedSearchesManager.destroy();
+      }
+      
+      // Clean up grouping manager
+      if (this.groupingManager) {
+        this.groupingManager.destroy();
+      }
+      
+      // Clean up folder tree manager
+      if (this.folderTreeManager) {
+        this.folderTreeManager.destroy();
+      }
+      
+      // Clean up token detail panel manager
+      if (this.detailPanelManager) {
+        this.detailPanelManager.destroy();
+      }
+      
+      // Clean up multi-select manager
+      if (this.selectionManager) {
+        this.selectionManager.destroy();
+      }
+      
+      // Clean up picker mode manager
+      if (this.pickerManager) {
+        this.pickerManager.destroy();
+      }
+      
+      // Clean up bulk download manager (drops queued downloads)
+      if (this.bulkDownloadManager) {
+        this.bulkDownloadManager.destroy();
+      }
       // Disconnect theme observer
       if (this._themeObserver) {
         try { this._themeObserver.disconnect(); } catch (e) {}
@@ -638,6 +964,26 @@ Hooks.once('init', async () => {
       this.lazyLoadingManager.setupScrollLazyLoading();
       // Activate search functionality
       this.searchManager.activateSearch();
+      // Activate favorites and collections
+      this.collectionsManager.activateCollections();
+      // Activate search history and saved searches dropdown
+      this.savedSearchesManager.activateSavedSearches();
+      // Activate group-by selector and section headers
+      this.groupingManager.activateGrouping();
+      // Activate folder tree pane and breadcrumb
+      this.folderTreeManager.activateFolderTree();
+      // Activate click-to-open token detail panel
+      this.detailPanelManager.activateDetailPanel();
+      // Activate Ctrl/Shift-click multi-select and bulk actions
+      this.selectionManager.activateSelection();
+      // Activate picker mode (token clicks apply art to an actor)
+      this.pickerManager.activatePicker();
+      // Activate the bulk download progress bar
+      this.bulkDownloadManager.activateBulkDownload();
+      // Activate formation count and layout controls
+      this.dragDropManager.activateFormationControls();
+      // Activate Place as Tile toggle
+      this.dragDropManager.activatePlaceAsTileToggle();
       // Setup hover previews
       this._setupHoverPreviews();
       // Setup drag and drop functionality
@@ -912,22 +1258,8 @@ Hooks.once('init', async () => {
     async _prepareContext(options) {
       // Provide the manifest of images for the template
       try {
-        // Parse folder configuration from JSON
-        const customTokenFoldersData = game.settings.get('fa-token-browser', 'customTokenFolders') || '[]';
-        let folderConfig = [];
-        try {
-          folderConfig = JSON.parse(customTokenFoldersData);
-          if (!Array.isArray(folderConfig)) {
-            folderConfig = [];
-          }
-        } catch (error) {
-          console.warn('fa-token-browser | Error parsing folder configuration:', error);
-          folderConfig = [];
-        }
-
-        // Extract folder paths and filter to only enabled folders
-        const allFolderPaths = folderConfig.map(folder => folder.path).filter(path => path && path.length > 0);
-        const customTokenFolders = this.tokenDataService.filterEnabledFolders(allFolderPaths);
+        // Enabled folders from the folder configuration
+        const customTokenFolders = this.tokenDataService.getEnabledTokenFolders();
         const customTokenFoldersString = customTokenFolders.join(', ');
 
         // Update loading progress during initial load
@@ -948,6 +1280,9 @@ Hooks.once('init', async () => {
         // Respect local-only mode setting
         const localOnlyMode = game.settings.get('fa-token-browser', 'localOnlyMode') || false;
         const combinedTokenData = await this.tokenDataService.getCombinedTokens(customTokenFolders, !localOnlyMode);
+
+        // Favorites and collections saved by filename before they were keyed by source and path
+        await this.collectionsManager.migrateLegacyKeys(combinedTokenData);
         
         // Check again after potentially long cloud token fetch
         if (this._isInitialLoad && tokenBrowserLoader.wasCancelled()) {
@@ -966,6 +1301,10 @@ Hooks.once('init', async () => {
         // Convert TokenData to UI-compatible format for gradual migration
         const showDuplicates = game.settings.get('fa-token-browser', 'showDuplicates') || false;
         this._allImages = this.tokenDataService.convertTokenDataForUI(combinedTokenData, showDuplicates);
+        Hooks.callAll(TOKEN_BROWSER_HOOKS.tokensLoaded, this._allImages.map(image => image._tokenData));
+        
+        // Keep the search index in step with the loaded tokens (only changed tokens are re-indexed)
+        this.searchManager.updateSearchIndex(this._allImages);
         
         // Get images to display based on search state
         const imagesToDisplay = this.searchManager.getImagesToDisplay(this._allImages);
@@ -988,6 +1327,7 @@ Hooks.once('init', async () => {
         }
         
         const searchContext = this.searchManager.getSearchContext();
+        const collectionContext = this.collectionsManager.getSelectorContext();
         
         // Get authentication data for template
         const authData = game.settings.get('fa-token-browser', 'patreon_auth_data');
@@ -997,6 +1337,12 @@ Hooks.once('init', async () => {
         // Check if color variants are available (simplified logic)
         const hasColorVariants = this._hasColorVariantsAvailable();
         
+        // Saved cloud catalogue shown while the cloud library is unreachable
+        const offlineCatalogue = localOnlyMode ? null : this.tokenDataService.cloudService.getOfflineStatus();
+        if (offlineCatalogue) {
+          offlineCatalogue.savedAtLabel = new Date(offlineCatalogue.savedAt).toLocaleString();
+        }
+        
         return {
           images: this._displayedImages,
           customTokenFolders,
@@ -1008,6 +1354,10 @@ Hooks.once('init', async () => {
           userTier,
           // Color variants availability for template
           hasColorVariants,
+          // Whether any tokens were loaded (grid is kept even if filters hide everything)
+          hasTokens: this._allImages.length > 0,
+          offlineCatalogue,
+          ...collectionContext,
           ...searchContext
         };
       } catch (error) {
@@ -1038,7 +1388,10 @@ Hooks.once('init', async () => {
           isAuthenticated: false,
           userTier: null,
           // Color variants availability for error case
-          hasColorVariants: false
+          hasColorVariants: false,
+          hasTokens: false,
+          favoritesCount: 0,
+          collections: []
         };
       }
     }
@@ -1067,7 +1420,7 @@ Hooks.once('init', async () => {
         }
 
         // Remove all status classes
-        statusIcon.classList.remove('local-storage', 'free-cloud', 'premium-cloud', 'cached-cloud');
+        statusIcon.classList.remove('local-storage', 'free-cloud', 'premium-cloud', 'cached-cloud', 'offline-cloud');
         
         // Find the icon element
         const iconElement = statusIcon.querySelector('i');
@@ -1117,6 +1470,55 @@ Hooks.once('init', async () => {
       return app.render(true);
     }
 
+    /**
+     * Header control: queue the uncached cloud tokens matching the current search for download
+     * @this {TokenBrowserApp}
+     */
+    static async _onDownloadMatching() {
+      await this.bulkDownloadManager.downloadMatching();
+    }
+
+    /**
+     * Header control: open the cache management dialog for this browser's token cache
+     * @this {TokenBrowserApp}
+     */
+    static _onManageCache() {
+      new CacheManagementDialog(this.tokenDataService).render(true);
+    }
+
+    /**
+     * Header control: evict least recently used cloud tokens down to the cache quota
+     * @this {TokenBrowserApp}
+     */
+    static async _onTrimCache() {
+      const cacheManager = this.tokenDataService.cacheManager;
+      if (!cacheManager.canEvict()) {
+        ui.notifications.warn('Trimming the token cache is only supported on The Forge. The cached files are in the token cache directory.');
+        return;
+      }
+      const { maxBytes, maxFiles } = cacheManager.getQuota();
+      if (!maxBytes && !maxFiles) {
+        ui.notifications.info('No token cache quota is set. Set one in the module settings to trim the cache.');
+        return;
+      }
+
+      try {
+        const { evicted, freedBytes, protectedCount, withinQuota } = await cacheManager.trimCache();
+        const freed = `${(freedBytes / 1048576).toFixed(1)} MB`;
+        if (!evicted.length) {
+          ui.notifications[withinQuota ? 'info' : 'warn'](withinQuota
+            ? 'The token cache is within its quota.'
+            : `The token cache is over its quota, but all ${protectedCount} remaining files are used in this world.`);
+          return;
+        }
+        ui.notifications.info(`Removed ${evicted.length} cached token${evicted.length === 1 ? '' : 's'} (${freed}).`);
+        this.searchManager?.regenerateGrid();
+      } catch (error) {
+        console.error('fa-token-browser | Cache trim failed:', error);
+        ui.notifications.error(`Failed to trim the token cache: ${error.message}. See the console for details.`);
+      }
+    }
+
     /**
      * Activate the thumbnail size selector
      */
@@ -1428,8 +1830,9 @@ Hooks.once('init', async () => {
         
         // Check if this variant is a locked premium token
         const isPremiumToken = variant.imageData.source === 'cloud' && variant.imageData.tier === 'premium';
-        const isLockedToken = isPremiumToken && !isAuthenticated && !variant.imageData.isCached;
         const isCloudToken = variant.imageData.source === 'cloud';
+        const isUnavailableOffline = isCloudToken && variant.imageData.isOffline && !variant.imageData.isCached;
+        const isLockedToken = (isPremiumToken && !isAuthenticated && !variant.imageData.isCached) || isUnavailableOffline;
         
         let className = 'token-base token-item variant-item';
         if (isCloudToken) {
@@ -1438,6 +1841,9 @@ Hooks.once('init', async () => {
         if (isLockedToken) {
           className += ' locked-token';
         }
+        if (isUnavailableOffline) {
+          className += ' offline-token';
+        }
         variantItem.className = className;
         
         variantItem.setAttribute('data-filename', variant.filename);
@@ -1468,6 +1874,11 @@ Hooks.once('init', async () => {
               <div class="token-status-icon cached-cloud" title="Cloud token (cached locally)">
                 <i class="fas fa-cloud-check"></i>
               </div>`;
+          } else if (isUnavailableOffline) {
+            statusIconHTML = `
+              <div class="token-status-icon offline-cloud" title="Unavailable offline (not cached)">
+                <i class="fas fa-cloud-slash"></i>
+              </div>`;
           } else if (variant.imageData.tier === 'premium') {
             if (isAuthenticated) {
               statusIconHTML = `
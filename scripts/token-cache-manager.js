@@ -6,12 +6,32 @@
 import { isCloudToken } from './token-data-types.js';
 import { forgeIntegration } from './forge-integration.js';
 
+// Delay before access times are saved, so a burst of cache hits is one settings write
+const METADATA_SAVE_DELAY = 5000;
+
+// Module data kept in the cache directory next to the cached tokens (e.g. the offline cloud catalogue)
+const DATA_FILE_EXTENSION = '.json';
+
+/**
+ * Get the cache key of a cloud token path: its path relative to the cache directory.
+ * The cache mirrors the cloud folders, so tokens with the same filename in different folders don't collide.
+ * @param {string} tokenPath - Cloud token path (e.g. "creatures/dragon.png")
+ * @returns {string} Cache key without empty, "." or ".." segments
+ */
+function getCacheKey(tokenPath) {
+  return String(tokenPath || '').split('/').filter(segment => segment && segment !== '.' && segment !== '..').join('/');
+}
+
 export class TokenCacheManager {
   constructor() {
     this.downloadPromises = new Map(); // Prevent duplicate downloads
     this.initialized = false;
-    this.cacheInventory = new Map(); // filename -> cache metadata
+    this.cacheInventory = new Map(); // cache key (path relative to the cache directory) -> cache metadata
+    this._knownDirectories = new Set(); // Cache subdirectories that exist
+    this._dataFiles = new Set(); // JSON data files in the cache directory, not part of the inventory
     this.parentApp = null; // Reference to the token browser app for UI updates
+    this._metadataSaveTimeout = null;
+    this._trimPromise = null; // Running cache trim, shared by concurrent callers
   }
 
   /**
@@ -122,22 +142,45 @@ export class TokenCacheManager {
       const storageTarget = forgeIntegration.getStorageTarget();
       const bucketOptions = forgeIntegration.getBucketOptions();
       
-      const result = await FilePickerImpl.browse(storageTarget, cacheDir, bucketOptions);
-      const cachedFiles = result.files;
+      const files = await this._browseCacheFiles(FilePickerImpl, storageTarget, cacheDir, bucketOptions);
+      
+      // Data files are not cached tokens, so they are never listed, counted or evicted
+      const cachedKeys = files.filter(cacheKey => !cacheKey.endsWith(DATA_FILE_EXTENSION));
+      this._dataFiles = new Set(files.filter(cacheKey => cacheKey.endsWith(DATA_FILE_EXTENSION)));
+      
+      console.info(`fa-token-browser | Scanning cache directory in ${storageTarget} storage: found ${cachedKeys.length} files`);
       
-      console.info(`fa-token-browser | Scanning cache directory in ${storageTarget} storage: found ${cachedFiles.length} files`);
+      // Download and access times (and sizes) saved by earlier sessions
+      const savedMetadata = game.settings.get('fa-token-browser', 'cacheMetadata') || {};
       
       // Build cache inventory from existing files
-      for (const filePath of cachedFiles) {
-        const filename = filePath.split('/').pop();
+      for (const cacheKey of cachedKeys) {
+        const saved = savedMetadata[cacheKey] || {};
         
         // Store cache metadata for this file (relative path only)
-        const cachePath = `${cacheDir}/${filename}`;
-        this.cacheInventory.set(filename, {
+        const cachePath = `${cacheDir}/${cacheKey}`;
+        this.cacheInventory.set(cacheKey, {
           localPath: cachePath, // Store relative path - optimize on retrieval
           isDownloaded: true,
-          downloadedAt: Date.now(), // Approximate - we don't know the real time
-          lastAccessed: Date.now()
+          downloadedAt: saved.downloadedAt || Date.now(), // Approximate if we don't know the real time
+          lastAccessed: saved.lastAccessed || Date.now(),
+          size: saved.size
+        });
+      }
+      
+      // Files from before the folder layout stay where they are, under the key they were re-keyed to
+      const keyByPath = new Map(cachedKeys.map(cacheKey => [`${cacheDir}/${cacheKey}`, cacheKey]));
+      for (const [cacheKey, saved] of Object.entries(savedMetadata)) {
+        const legacyKey = keyByPath.get(saved.localPath);
+        if (!legacyKey || legacyKey === cacheKey || this.cacheInventory.has(cacheKey)) continue;
+        
+        const metadata = this.cacheInventory.get(legacyKey);
+        this.cacheInventory.delete(legacyKey);
+        this.cacheInventory.set(cacheKey, {
+          ...metadata,
+          downloadedAt: saved.downloadedAt || metadata.downloadedAt,
+          lastAccessed: saved.lastAccessed || metadata.lastAccessed,
+          size: saved.size ?? metadata.size
         });
       }
       
@@ -148,6 +191,72 @@ export class TokenCacheManager {
     }
   }
 
+  /**
+   * List the files in the cache directory and its subdirectories
+   * @returns {Promise<Array<string>>} Cache keys (paths relative to the cache directory)
+   * @private
+   */
+  async _browseCacheFiles(FilePickerImpl, storageTarget, cacheDir, bucketOptions) {
+    const keys = [];
+    const pending = [''];
+    while (pending.length) {
+      const subdirectory = pending.shift();
+      const result = await FilePickerImpl.browse(storageTarget, subdirectory ? `${cacheDir}/${subdirectory}` : cacheDir, bucketOptions);
+      if (subdirectory) this._knownDirectories.add(subdirectory);
+
+      // Browse results may be relative paths or full URLs (The Forge)
+      const toKey = (path) => {
+        const index = path.indexOf(`${cacheDir}/`);
+        return getCacheKey(index === -1 ? path.split('/').pop() : path.slice(index + cacheDir.length + 1));
+      };
+      keys.push(...result.files.map(toKey));
+      pending.push(...(result.dirs || []).map(toKey).filter(Boolean));
+    }
+    return keys;
+  }
+
+  /**
+   * Re-key cached files from before the cache mirrored the cloud folders ("dragon.png" at the
+   * cache root) to the cloud token they belong to. The files are not moved, so actors and
+   * tokens using them keep working. Filenames shared by several cloud tokens are left alone,
+   * and those tokens are downloaded again into their own folders.
+   * @param {Array<TokenData>} cloudTokens - Loaded cloud tokens
+   * @returns {number} Number of files re-keyed
+   */
+  migrateLegacyCache(cloudTokens) {
+    const tokensByFilename = new Map();
+    for (const tokenData of cloudTokens) {
+      if (!isCloudToken(tokenData)) continue;
+      const filename = tokenData.filename.toLowerCase();
+      if (!tokensByFilename.has(filename)) tokensByFilename.set(filename, []);
+      tokensByFilename.get(filename).push(tokenData);
+    }
+
+    let migrated = 0;
+    let ambiguous = 0;
+    for (const [cacheKey, metadata] of [...this.cacheInventory.entries()]) {
+      if (cacheKey.includes('/')) continue; // Already in a cloud folder
+
+      const candidates = tokensByFilename.get(cacheKey.toLowerCase()) || [];
+      const newKey = candidates.length === 1 ? getCacheKey(candidates[0].path) : null;
+      if (candidates.length > 1) ambiguous++;
+      if (!newKey || newKey === cacheKey || this.cacheInventory.has(newKey)) continue;
+
+      this.cacheInventory.delete(cacheKey);
+      this.cacheInventory.set(newKey, metadata);
+      migrated++;
+    }
+
+    if (migrated) {
+      console.info(`fa-token-browser | Cache migration: re-keyed ${migrated} cached files to their cloud folders`);
+      this._queueMetadataSave();
+    }
+    if (ambiguous) {
+      console.info(`fa-token-browser | Cache migration: ${ambiguous} cached files match several cloud tokens and are no longer used`);
+    }
+    return migrated;
+  }
+
   /**
    * Get cached file path for a token
    * @param {TokenData} tokenData - Token data
@@ -161,16 +270,17 @@ export class TokenCacheManager {
     let cachedPath = null;
 
     // Check if we have this token cached
-    const filename = this._generateCacheFilename(tokenData);
-    let cacheMetadata = this.cacheInventory.get(filename);
+    const cacheKey = this._generateCacheFilename(tokenData);
+    let cacheMetadata = this.cacheInventory.get(cacheKey);
     
-    // If not found with exact case, try case-insensitive lookup (Linux filesystem issue)
+    // If not found with exact case, try case-insensitive lookup (Linux filesystem issue).
+    // Keys include the cloud folders, so this can't pick up a same-named token from another folder.
     if (!cacheMetadata) {
-      const lowerFilename = filename.toLowerCase();
-      for (const [cachedFilename, metadata] of this.cacheInventory.entries()) {
-        if (cachedFilename.toLowerCase() === lowerFilename) {
+      const lowerKey = cacheKey.toLowerCase();
+      for (const [cachedKey, metadata] of this.cacheInventory.entries()) {
+        if (cachedKey.toLowerCase() === lowerKey) {
           cacheMetadata = metadata;
-          console.debug(`fa-token-browser | Found cached file with different case: ${cachedFilename} -> ${filename}`);
+          console.debug(`fa-token-browser | Found cached file with different case: ${cachedKey} -> ${cacheKey}`);
           break;
         }
       }
@@ -180,8 +290,11 @@ export class TokenCacheManager {
       // We have the file cached
       cachedPath = cacheMetadata.localPath;
       
-      // Update last accessed time
-      cacheMetadata.lastAccessed = Date.now();
+      // Access times only matter where least recently used files can be evicted
+      if (this.canEvict()) {
+        cacheMetadata.lastAccessed = Date.now();
+        this._queueMetadataSave();
+      }
       
       // Log that we're serving from cache
       console.debug(`fa-token-browser | Serving from cache: ${cachedPath}`);
@@ -199,9 +312,11 @@ export class TokenCacheManager {
    * Download and cache a cloud token
    * @param {TokenData} tokenData - Token data
    * @param {string} downloadURL - URL to download from
+   * @param {Object} [options]
+   * @param {string} [options.localPath] - Existing cache file to write instead of the token's cloud folder path
    * @returns {Promise<string>} Path to cached file
    */
-  async downloadAndCache(tokenData, downloadURL) {
+  async downloadAndCache(tokenData, downloadURL, { localPath } = {}) {
     if (!isCloudToken(tokenData)) {
       throw new Error('Cannot cache local tokens');
     }
@@ -228,7 +343,7 @@ export class TokenCacheManager {
     }
 
     // Start download
-    const downloadPromise = this._performDownload(tokenData, downloadURL);
+    const downloadPromise = this._performDownload(tokenData, downloadURL, localPath);
     this.downloadPromises.set(cacheKey, downloadPromise);
 
     try {
@@ -244,10 +359,11 @@ export class TokenCacheManager {
    * Perform the actual download and caching
    * @param {TokenData} tokenData - Token data
    * @param {string} downloadURL - URL to download from
+   * @param {string} [localPath] - Existing cache file to write, defaults to the token's cloud folder path
    * @returns {Promise<string>} Path to cached file
    * @private
    */
-  async _performDownload(tokenData, downloadURL) {
+  async _performDownload(tokenData, downloadURL, localPath = null) {
     try {
       let blob;
       
@@ -260,10 +376,12 @@ export class TokenCacheManager {
       }
         blob = await response.blob();
       
-      // Generate cache filename and path
+      // Generate cache filename and path, in the token's cloud folder
       const cacheDir = this._getCacheDirectory();
-      const cacheFilename = this._generateCacheFilename(tokenData);
-      const cachePath = `${cacheDir}/${cacheFilename}`;
+      const cacheKey = this._generateCacheFilename(tokenData);
+      const cachePath = localPath || `${cacheDir}/${cacheKey}`;
+      const cacheFilename = cachePath.split('/').pop();
+      const uploadDir = cachePath.split('/').slice(0, -1).join('/');
       
       // Convert blob to File object for Foundry's file system
       // Explicitly preserve the original filename casing (important for Linux case-sensitive filesystems)
@@ -274,15 +392,20 @@ export class TokenCacheManager {
       const storageTarget = forgeIntegration.getStorageTarget();
       const bucketOptions = forgeIntegration.getBucketOptions();
       
+      // An existing file's directory is already there
+      if (!localPath) {
+        await this._ensureCacheSubdirectory(cacheKey.split('/').slice(0, -1).join('/'));
+      }
+      
       const storageDesc = bucketOptions.bucket ? `bucket ${bucketOptions.bucket}` : `${storageTarget} storage`;
-      console.info(`fa-token-browser | Uploading ${cacheFilename} to ${storageDesc}`);
+      console.info(`fa-token-browser | Uploading ${cacheKey} to ${storageDesc}`);
       
       // Explicitly specify filename in upload options to preserve casing on Linux
       const uploadOptions = { 
         notify: false,
         filename: cacheFilename // Explicitly preserve original filename casing
       };
-      await FilePickerImpl.upload(storageTarget, cacheDir, file, bucketOptions, uploadOptions);
+      await FilePickerImpl.upload(storageTarget, uploadDir, file, bucketOptions, uploadOptions);
       
       // Update token cache metadata (store relative path, optimize on retrieval)
       const now = Date.now();
@@ -292,12 +415,17 @@ export class TokenCacheManager {
       tokenData.cache.lastAccessed = now;
       
       // Update cache inventory (store relative path)
-      this.cacheInventory.set(tokenData.filename, {
+      this.cacheInventory.set(cacheKey, {
         localPath: cachePath, // Store relative path
         isDownloaded: true,
         downloadedAt: now,
-        lastAccessed: now
+        lastAccessed: now,
+        size: blob.size
       });
+      this._queueMetadataSave();
+      
+      // Make room within the cache quota, never evicting the file being used
+      this._enforceQuota(cachePath);
 
       // Notify UI of successful caching with a small delay
       if (this.parentApp && this.parentApp.updateTokenStatusIcon) {
@@ -318,23 +446,465 @@ export class TokenCacheManager {
   /**
    * Generate cache filename for a token
    * @param {TokenData} tokenData - Token data
-   * @returns {string} Cache filename
+   * @returns {string} Cache filename relative to the cache directory, in the token's cloud folder
+   *   (e.g. "creatures/dragon.png")
    * @private
    */
   _generateCacheFilename(tokenData) {
-    // Use the original filename directly to avoid confusing prefixes
-    return tokenData.filename;
+    // Keep the original filename (no prefixes), so cached files are recognizable
+    return getCacheKey(tokenData.path) || tokenData.filename;
+  }
+
+  /**
+   * Create a cache subdirectory and its parents if they don't exist yet
+   * @param {string} subdirectory - Path relative to the cache directory, '' for the cache directory itself
+   * @private
+   */
+  async _ensureCacheSubdirectory(subdirectory) {
+    const cacheDir = this._getCacheDirectory();
+    const segments = subdirectory ? subdirectory.split('/') : [];
+    for (let i = 1; i <= segments.length; i++) {
+      const current = segments.slice(0, i).join('/');
+      if (this._knownDirectories.has(current)) continue;
+      await this._ensureCacheDirectory(`${cacheDir}/${current}`);
+      this._knownDirectories.add(current);
+    }
+  }
+
+  /**
+   * Get the configured cache quota
+   * @returns {{maxBytes: number, maxFiles: number}} Limits, 0 for no limit
+   */
+  getQuota() {
+    const maxMB = Number(game.settings.get('fa-token-browser', 'cacheQuotaMB')) || 0;
+    const maxFiles = Number(game.settings.get('fa-token-browser', 'cacheQuotaFiles')) || 0;
+    return { maxBytes: Math.max(0, maxMB) * 1024 * 1024, maxFiles: Math.max(0, Math.floor(maxFiles)) };
+  }
+
+  /**
+   * Get the number and total size of cached files
+   * @returns {{fileCount: number, totalBytes: number, unknownSizes: number}}
+   */
+  getCacheUsage() {
+    let totalBytes = 0;
+    let unknownSizes = 0;
+    for (const metadata of this.cacheInventory.values()) {
+      if (Number.isFinite(metadata.size)) {
+        totalBytes += metadata.size;
+      } else {
+        unknownSizes++;
+      }
+    }
+    return { fileCount: this.cacheInventory.size, totalBytes, unknownSizes };
+  }
+
+  /**
+   * Check if cached files can be evicted here: by a GM on The Forge, the only host with a file deletion API
+   * @returns {boolean}
+   */
+  canEvict() {
+    return !!game.user?.isGM && forgeIntegration.isRunningOnForge();
+  }
+
+  /**
+   * Evict least recently used cached files until the cache is within its quota.
+   * Files used by actors, placed tokens or tiles in the world are never evicted.
+   * @param {Object} [options]
+   * @param {Array<string>} [options.keep=[]] - Cache paths to keep as well
+   * @returns {Promise<Object>} {evicted: cache keys, freedBytes, protectedCount, withinQuota}
+   */
+  async trimCache({ keep = [] } = {}) {
+    if (!this.canEvict()) {
+      throw new Error('Trimming the token cache is only supported on The Forge');
+    }
+    if (!this._trimPromise) {
+      this._trimPromise = this._trimCache(keep).finally(() => {
+        this._trimPromise = null;
+      });
+    }
+    return await this._trimPromise;
+  }
+
+  /**
+   * Trim the cache (see trimCache)
+   * @private
+   */
+  async _trimCache(keep) {
+    await this._initializeCache();
+    const { maxBytes, maxFiles } = this.getQuota();
+    const result = { evicted: [], freedBytes: 0, protectedCount: 0, withinQuota: true };
+    if (!maxBytes && !maxFiles) return result;
+
+    if (maxBytes) {
+      await this._fetchMissingSizes();
+    }
+
+    const isReferenced = this._getReferencedPathMatcher();
+    const keepPaths = new Set(keep.map(path => path.toLowerCase()));
+    const downloading = new Set([...this.downloadPromises.keys()].map(getCacheKey));
+
+    let { fileCount, totalBytes } = this.getCacheUsage();
+    const isOverQuota = () => (maxFiles && fileCount > maxFiles) || (maxBytes && totalBytes > maxBytes);
+
+    // Oldest access first
+    const candidates = [...this.cacheInventory.entries()]
+      .filter(([cacheKey, metadata]) => {
+        const path = metadata.localPath.toLowerCase();
+        const protect = isReferenced(path) || keepPaths.has(path) || downloading.has(cacheKey);
+        if (protect) result.protectedCount++;
+        return !protect;
+      })
+      .sort(([, a], [, b]) => (a.lastAccessed || 0) - (b.lastAccessed || 0));
+
+    const toEvict = [];
+    for (const [cacheKey, metadata] of candidates) {
+      if (!isOverQuota()) break;
+      toEvict.push([cacheKey, metadata]);
+      fileCount--;
+      totalBytes -= metadata.size || 0;
+    }
+    result.withinQuota = !isOverQuota();
+    if (!toEvict.length) return result;
+
+    await this.deleteCachedFiles(toEvict.map(([cacheKey]) => cacheKey));
+    result.evicted = toEvict.map(([cacheKey]) => cacheKey);
+    result.freedBytes = toEvict.reduce((sum, [, metadata]) => sum + (metadata.size || 0), 0);
+
+    console.info(`fa-token-browser | Cache trim: evicted ${result.evicted.length} files (${(result.freedBytes / 1048576).toFixed(1)} MB), ${result.protectedCount} in use`);
+    return result;
+  }
+
+  /**
+   * Delete cached files and remove them from the inventory
+   * @param {Array<string>} cacheKeys - Cache keys of the files
+   * @returns {Promise<void>}
+   */
+  async deleteCachedFiles(cacheKeys) {
+    const entries = cacheKeys.map(cacheKey => [cacheKey, this.cacheInventory.get(cacheKey)]).filter(([, metadata]) => metadata);
+    if (!entries.length) return;
+
+    const paths = entries.map(([, metadata]) => metadata.localPath);
+    try {
+      await forgeIntegration.deleteAssets(paths);
+    } catch (error) {
+      console.warn('fa-token-browser | Failed to delete cached files, delete them manually:', paths);
+      throw error;
+    }
+
+    for (const [cacheKey] of entries) {
+      this.cacheInventory.delete(cacheKey);
+      this._onFileEvicted(cacheKey);
+    }
+    this._queueMetadataSave();
+  }
+
+  /**
+   * Save a JSON data file in the cache directory
+   * @param {string} filename - File name ending in .json
+   * @param {*} data - Data to save
+   * @returns {Promise<void>}
+   */
+  async writeDataFile(filename, data) {
+    await this._initializeCache();
+    if (!this.initialized) {
+      throw new Error('Cache system not ready - Foundry not fully loaded');
+    }
+
+    const FilePickerImpl = foundry.applications.apps.FilePicker.implementation;
+    const file = new File([JSON.stringify(data)], filename, { type: 'application/json' });
+    await FilePickerImpl.upload(forgeIntegration.getStorageTarget(), this._getCacheDirectory(), file,
+      forgeIntegration.getBucketOptions(), { notify: false, filename });
+    this._dataFiles.add(filename);
+  }
+
+  /**
+   * Check if a JSON data file exists in the cache directory
+   * @param {string} filename - File name ending in .json
+   * @returns {Promise<boolean>}
+   */
+  async hasDataFile(filename) {
+    await this._initializeCache();
+    return this._dataFiles.has(filename);
+  }
+
+  /**
+   * Read a JSON data file from the cache directory
+   * @param {string} filename - File name ending in .json
+   * @returns {Promise<*|null>} Saved data, or null if the file doesn't exist or can't be read
+   */
+  async readDataFile(filename) {
+    if (!await this.hasDataFile(filename)) return null;
+
+    try {
+      const url = forgeIntegration.optimizeCacheURL(`${this._getCacheDirectory()}/${filename}`);
+      const response = await fetch(url, { cache: 'no-store' });
+      if (!response.ok) {
+        throw new Error(`${response.status} ${response.statusText}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.warn(`fa-token-browser | Failed to read ${filename} from the cache directory:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Download a cached token again, replacing its cached file
+   * @param {TokenData} tokenData - Cloud token
+   * @param {string} downloadURL - URL to download from
+   * @returns {Promise<string>} Path to cached file
+   */
+  async redownload(tokenData, downloadURL) {
+    const cacheKey = this._generateCacheFilename(tokenData);
+    const previous = this.cacheInventory.get(cacheKey);
+
+    // Files re-keyed by migrateLegacyCache stay at the cache root, where actors and tokens use them
+    const mirroredPath = `${this._getCacheDirectory()}/${cacheKey}`;
+    const localPath = previous?.localPath && previous.localPath !== mirroredPath ? previous.localPath : undefined;
+
+    this.cacheInventory.delete(cacheKey);
+    try {
+      return await this.downloadAndCache(tokenData, downloadURL, { localPath });
+    } catch (error) {
+      if (previous && !this.cacheInventory.has(cacheKey)) {
+        this.cacheInventory.set(cacheKey, previous);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Check that cached files exist and are not empty, updating their sizes
+   * @returns {Promise<Map<string, string>>} Cache key -> 'ok', 'missing', 'empty' or 'unknown' (request failed)
+   */
+  async checkIntegrity() {
+    await this._initializeCache();
+    const results = new Map();
+    for (const [cacheKey, metadata] of this.cacheInventory.entries()) {
+      const { status, size } = await this._requestFileInfo(metadata.localPath);
+      if (Number.isFinite(size)) metadata.size = size;
+
+      if (status === null) {
+        results.set(cacheKey, 'unknown');
+      } else if (status === 404) {
+        results.set(cacheKey, 'missing');
+      } else {
+        results.set(cacheKey, size === 0 ? 'empty' : 'ok');
+      }
+    }
+    this._queueMetadataSave();
+    return results;
+  }
+
+  /**
+   * Scan the cache directory again, keeping the access times recorded so far
+   * @returns {Promise<void>}
+   */
+  async rescan() {
+    if (!this.initialized) {
+      await this._initializeCache();
+      return;
+    }
+    if (this._metadataSaveTimeout) {
+      clearTimeout(this._metadataSaveTimeout);
+      this._metadataSaveTimeout = null;
+    }
+    if (game.user.isGM) {
+      await this._saveMetadata();
+    }
+    this.cacheInventory.clear();
+    await this._scanAndRestoreCacheMetadata();
+  }
+
+  /**
+   * Trim the cache after a download when a quota is set (GM only, errors are only logged)
+   * @param {string} keepPath - Cache path of the file just downloaded
+   * @private
+   */
+  _enforceQuota(keepPath) {
+    if (!this.canEvict()) return;
+    const { maxBytes, maxFiles } = this.getQuota();
+    if (!maxBytes && !maxFiles) return;
+
+    this.trimCache({ keep: [keepPath] }).catch(error => {
+      console.warn('fa-token-browser | Automatic cache trim failed:', error.message);
+    });
+  }
+
+  /**
+   * Look up the size of cached files found by the directory scan
+   * @private
+   */
+  async _fetchMissingSizes() {
+    for (const metadata of this.cacheInventory.values()) {
+      if (Number.isFinite(metadata.size)) continue;
+      const { size } = await this._requestFileInfo(metadata.localPath);
+      if (Number.isFinite(size)) metadata.size = size;
+    }
+    this._queueMetadataSave();
+  }
+
+  /**
+   * Request the headers of a cached file
+   * @param {string} localPath - Cache path of the file
+   * @returns {Promise<{status: number|null, size: number|undefined}>} HTTP status (null if the request
+   *   failed) and the size from Content-Length
+   * @private
+   */
+  async _requestFileInfo(localPath) {
+    try {
+      const response = await fetch(forgeIntegration.optimizeCacheURL(localPath), { method: 'HEAD', cache: 'no-store' });
+      const header = response.headers.get('content-length');
+      const size = response.ok && header !== null ? Number(header) : undefined;
+      return { status: response.status, size: Number.isFinite(size) ? size : undefined };
+    } catch (error) {
+      console.debug(`fa-token-browser | Failed to request ${localPath}:`, error);
+      return { status: null, size: undefined };
+    }
+  }
+
+  /**
+   * Build a lookup of the world actors (portrait and prototype token) and scenes (placed
+   * tokens and tiles) using cached files. Wildcard prototype images use every file they match.
+   * @returns {function(string): {actors: Array<string>, scenes: Array<string>}} Lookup taking a cache path,
+   *   returning actor and scene names
+   */
+  getReferenceLookup() {
+    const usage = new Map(); // lowercase cache path -> { actors, scenes }
+    const wildcards = []; // { pattern, actor }
+
+    const addSource = (src, type, name) => {
+      const path = this._toCachePath(src);
+      if (!path) return;
+      if (type === 'actors' && path.includes('*')) {
+        const pattern = path.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        wildcards.push({ pattern: new RegExp(`^${pattern}$`), actor: name });
+        return;
+      }
+      if (!usage.has(path)) usage.set(path, { actors: new Set(), scenes: new Set() });
+      usage.get(path)[type].add(name);
+    };
+
+    for (const actor of game.actors ?? []) {
+      addSource(actor.img, 'actors', actor.name);
+      addSource(actor.prototypeToken?.texture?.src, 'actors', actor.name);
+    }
+    for (const scene of game.scenes ?? []) {
+      scene.tokens.forEach(token => addSource(token.texture?.src, 'scenes', scene.name));
+      scene.tiles.forEach(tile => addSource(tile.texture?.src, 'scenes', scene.name));
+    }
+
+    return (localPath) => {
+      const path = localPath.toLowerCase();
+      const entry = usage.get(path);
+      const actors = new Set(entry?.actors);
+      wildcards.forEach(({ pattern, actor }) => {
+        if (pattern.test(path)) actors.add(actor);
+      });
+      return { actors: [...actors], scenes: [...(entry?.scenes ?? [])] };
+    };
+  }
+
+  /**
+   * Build a test for cache paths used in the world (see getReferenceLookup)
+   * @returns {function(string): boolean} Test taking a cache path
+   * @private
+   */
+  _getReferencedPathMatcher() {
+    const lookup = this.getReferenceLookup();
+    return (path) => {
+      const { actors, scenes } = lookup(path);
+      return actors.length > 0 || scenes.length > 0;
+    };
+  }
+
+  /**
+   * Convert an image source to a lowercase path inside the cache directory
+   * @param {string} src - Image source (relative path or Forge assets URL)
+   * @returns {string|null} Cache path like "fa-token-browser-cache/file.webp", or null if not cached
+   * @private
+   */
+  _toCachePath(src) {
+    if (!src || typeof src !== 'string') return null;
+
+    let path = src.split('?')[0];
+    try {
+      path = decodeURIComponent(path);
+    } catch (error) {
+      // Keep undecodable paths as they are
+    }
+
+    const cacheDir = this._getCacheDirectory().replace(/\/+$/, '');
+    const index = path.indexOf(`${cacheDir}/`);
+    if (index === -1 || (index > 0 && path[index - 1] !== '/')) return null;
+    return path.slice(index).toLowerCase();
+  }
+
+  /**
+   * Update loaded tokens and their status icons after a cached file was evicted
+   * @param {string} cacheKey - Cache key of the evicted file
+   * @private
+   */
+  _onFileEvicted(cacheKey) {
+    const image = this.parentApp?._allImages?.find(image =>
+      image.source === 'cloud' && this._generateCacheFilename(image._tokenData || image) === cacheKey);
+    if (!image) return;
+
+    image.isCached = false;
+    if (image._tokenData?.cache) {
+      image._tokenData.cache.isDownloaded = false;
+      image._tokenData.cache.localPath = null;
+    }
+    this.parentApp.updateTokenStatusIcon?.(image.filename, image.tier === 'premium' ? 'premium' : 'free');
+  }
+
+  /**
+   * Save download/access times and sizes after a short delay (GM only, world setting)
+   * @private
+   */
+  _queueMetadataSave() {
+    if (!game.user?.isGM) return;
+
+    clearTimeout(this._metadataSaveTimeout);
+    this._metadataSaveTimeout = setTimeout(() => {
+      this._metadataSaveTimeout = null;
+      this._saveMetadata();
+    }, METADATA_SAVE_DELAY);
+  }
+
+  /**
+   * Save file locations, download/access times and sizes of the cache inventory
+   * @private
+   */
+  async _saveMetadata() {
+    const metadata = {};
+    for (const [cacheKey, { localPath, downloadedAt, lastAccessed, size }] of this.cacheInventory.entries()) {
+      metadata[cacheKey] = { localPath, downloadedAt, lastAccessed, size };
+    }
+    try {
+      await game.settings.set('fa-token-browser', 'cacheMetadata', metadata);
+    } catch (error) {
+      console.warn('fa-token-browser | Failed to save cache metadata:', error);
+    }
   }
 
   /**
    * Destroy the cache manager and clean up all Maps
    */
   destroy() {
+    // Save pending access times before the inventory is cleared
+    if (this._metadataSaveTimeout) {
+      clearTimeout(this._metadataSaveTimeout);
+      this._metadataSaveTimeout = null;
+      this._saveMetadata();
+    }
+    
     // Clear download promises Map
     this.downloadPromises.clear();
     
     // Clear cache inventory Map  
     this.cacheInventory.clear();
+    this._dataFiles.clear();
     
     // Clear parent app reference
     this.parentApp = null;
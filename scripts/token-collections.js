@@ -0,0 +1,688 @@
+/**
+ * Token Collections for FA Token Browser
+ * Handles per-user favorites and named collections stored in client settings
+ */
+
+import { SearchIndex } from './search-engine.js';
+
+/**
+ * Reserved collection ID used for the built-in favorites list
+ */
+export const FAVORITES_COLLECTION_ID = 'favorites';
+
+/**
+ * Get the stable key used to store a token in favorites/collections
+ * Uses source and path (like the search index), so tokens sharing a filename in
+ * different folders or sources are kept apart
+ * @param {Object} imageData - UI token object or TokenData
+ * @returns {string|null} Collection key or null if the token has no path
+ */
+export function getTokenCollectionKey(imageData) {
+  return imageData?.path ? SearchIndex.getKey({ source: imageData.source || 'local', path: imageData.path }) : null;
+}
+
+/**
+ * Check if a stored key is a filename-only key saved before keys included the source
+ * @param {string} key - Stored collection key
+ * @returns {boolean}
+ */
+function isLegacyKey(key) {
+  return !key.startsWith('local:') && !key.startsWith('cloud:');
+}
+
+/**
+ * Manages favorites and user-defined collections for the token browser
+ */
+export class TokenCollectionsManager {
+  constructor(app) {
+    this.app = app; // Reference to the main application
+
+    // Cached key set for the active collection (rebuilt when collections change)
+    this._activeKeys = null;
+  }
+
+  /**
+   * Read and normalize the stored collections data
+   * @returns {{favorites: Array<string>, collections: Array<{id: string, name: string, tokens: Array<string>}>}}
+   */
+  getData() {
+    const stored = game.settings.get('fa-token-browser', 'tokenCollections') || {};
+    return {
+      favorites: Array.isArray(stored.favorites) ? [...stored.favorites] : [],
+      collections: Array.isArray(stored.collections)
+        ? stored.collections
+            .filter(collection => collection && collection.id && collection.name)
+            .map(collection => ({
+              id: collection.id,
+              name: collection.name,
+              tokens: Array.isArray(collection.tokens) ? [...collection.tokens] : []
+            }))
+        : []
+    };
+  }
+
+  /**
+   * Persist collections data and refresh dependent state
+   * @param {Object} data - Collections data as returned by getData()
+   * @private
+   */
+  async _saveData(data) {
+    this._activeKeys = null;
+    await game.settings.set('fa-token-browser', 'tokenCollections', data);
+  }
+
+  /**
+   * Replace filename-only keys from older versions with the keys of the tokens with that filename
+   * Keys without a loaded token are kept, so they are migrated once their source is available again
+   * @param {Array<Object>} tokens - All loaded tokens (UI token objects or TokenData, before deduplication)
+   * @returns {Promise<number>} Number of migrated keys
+   */
+  async migrateLegacyKeys(tokens) {
+    const data = this.getData();
+    const lists = [data.favorites, ...data.collections.map(collection => collection.tokens)];
+    if (!lists.some(keys => keys.some(isLegacyKey))) return 0;
+
+    const keysByFilename = new Map();
+    tokens.forEach(token => {
+      const key = getTokenCollectionKey(token);
+      if (!key || !token.filename) return;
+      if (!keysByFilename.has(token.filename)) keysByFilename.set(token.filename, []);
+      keysByFilename.get(token.filename).push(key);
+    });
+
+    let migrated = 0;
+    const migrate = (keys) => {
+      const result = [];
+      keys.forEach(key => {
+        // A filename used to match every copy of the token, so it maps to all of them
+        const replacements = isLegacyKey(key) ? keysByFilename.get(key) : null;
+        if (replacements) migrated++;
+        (replacements || [key]).forEach(entry => {
+          if (!result.includes(entry)) result.push(entry);
+        });
+      });
+      return result;
+    };
+
+    data.favorites = migrate(data.favorites);
+    data.collections.forEach(collection => {
+      collection.tokens = migrate(collection.tokens);
+    });
+
+    if (migrated) {
+      await this._saveData(data);
+      console.info(`fa-token-browser | Collections migration: re-keyed ${migrated} favorites and collection entries`);
+    }
+    return migrated;
+  }
+
+  /**
+   * Get the user-defined collections (excluding favorites)
+   * @returns {Array<{id: string, name: string, tokens: Array<string>}>}
+   */
+  getCollections() {
+    return this.getData().collections;
+  }
+
+  /**
+   * Get the currently selected collection ID ('' means all tokens)
+   * @returns {string}
+   */
+  get activeCollection() {
+    const activeId = game.settings.get('fa-token-browser', 'activeCollection') || '';
+    if (!activeId || activeId === FAVORITES_COLLECTION_ID) return activeId;
+
+    // Fall back to all tokens if the selected collection was deleted
+    return this.getCollections().some(collection => collection.id === activeId) ? activeId : '';
+  }
+
+  /**
+   * Select the collection used to filter the grid
+   * @param {string} collectionId - Collection ID, 'favorites', or '' for all tokens
+   */
+  async setActiveCollection(collectionId) {
+    this._activeKeys = null;
+    await game.settings.set('fa-token-browser', 'activeCollection', collectionId || '');
+  }
+
+  /**
+   * Check if a token is starred
+   * @param {Object} imageData - UI token object or TokenData
+   * @returns {boolean}
+   */
+  isFavorite(imageData) {
+    const key = getTokenCollectionKey(imageData);
+    return !!key && this.getData().favorites.includes(key);
+  }
+
+  /**
+   * Toggle the favorite state of a token
+   * @param {Object} imageData - UI token object or TokenData
+   * @returns {Promise<boolean>} New favorite state
+   */
+  async toggleFavorite(imageData) {
+    const key = getTokenCollectionKey(imageData);
+    if (!key) return false;
+
+    const data = this.getData();
+    const index = data.favorites.indexOf(key);
+    if (index === -1) {
+      data.favorites.push(key);
+    } else {
+      data.favorites.splice(index, 1);
+    }
+
+    await this._saveData(data);
+    return index === -1;
+  }
+
+  /**
+   * Create a new named collection
+   * @param {string} name - Collection name
+   * @returns {Promise<Object|null>} Created collection or null if the name is invalid
+   */
+  async createCollection(name) {
+    const cleanName = name?.trim();
+    if (!cleanName) return null;
+
+    const data = this.getData();
+    const existing = data.collections.find(collection => collection.name.toLowerCase() === cleanName.toLowerCase());
+    if (existing) {
+      ui.notifications.warn(`A collection named "${cleanName}" already exists.`);
+      return null;
+    }
+
+    const collection = { id: foundry.utils.randomID(), name: cleanName, tokens: [] };
+    data.collections.push(collection);
+    await this._saveData(data);
+    return collection;
+  }
+
+  /**
+   * Rename an existing collection
+   * @param {string} collectionId - Collection ID
+   * @param {string} name - New collection name
+   */
+  async renameCollection(collectionId, name) {
+    const cleanName = name?.trim();
+    if (!cleanName) return;
+
+    const data = this.getData();
+    const collection = data.collections.find(entry => entry.id === collectionId);
+    if (!collection) return;
+
+    collection.name = cleanName;
+    await this._saveData(data);
+  }
+
+  /**
+   * Delete a collection
+   * @param {string} collectionId - Collection ID
+   */
+  async deleteCollection(collectionId) {
+    const data = this.getData();
+    data.collections = data.collections.filter(collection => collection.id !== collectionId);
+    await this._saveData(data);
+
+    if (game.settings.get('fa-token-browser', 'activeCollection') === collectionId) {
+      await this.setActiveCollection('');
+    }
+  }
+
+  /**
+   * Get the IDs of the collections containing a token
+   * @param {Object} imageData - UI token object or TokenData
+   * @returns {Array<string>}
+   */
+  getCollectionsForToken(imageData) {
+    const key = getTokenCollectionKey(imageData);
+    if (!key) return [];
+    return this.getCollections()
+      .filter(collection => collection.tokens.includes(key))
+      .map(collection => collection.id);
+  }
+
+  /**
+   * Set which collections a token belongs to
+   * @param {Object} imageData - UI token object or TokenData
+   * @param {Array<string>} collectionIds - IDs of the collections that should contain the token
+   */
+  async setTokenCollections(imageData, collectionIds) {
+    const key = getTokenCollectionKey(imageData);
+    if (!key) return;
+
+    const data = this.getData();
+    data.collections.forEach(collection => {
+      const shouldContain = collectionIds.includes(collection.id);
+      const index = collection.tokens.indexOf(key);
+      if (shouldContain && index === -1) {
+        collection.tokens.push(key);
+      } else if (!shouldContain && index !== -1) {
+        collection.tokens.splice(index, 1);
+      }
+    });
+
+    await this._saveData(data);
+  }
+
+  /**
+   * Add several tokens to a collection
+   * @param {string} collectionId - Collection ID, or 'favorites'
+   * @param {Array<Object>} images - UI token objects or TokenData
+   */
+  async addTokensToCollection(collectionId, images) {
+    const data = this.getData();
+    const target = collectionId === FAVORITES_COLLECTION_ID
+      ? data.favorites
+      : data.collections.find(collection => collection.id === collectionId)?.tokens;
+    if (!target) return;
+
+    images.forEach(imageData => {
+      const key = getTokenCollectionKey(imageData);
+      if (key && !target.includes(key)) {
+        target.push(key);
+      }
+    });
+
+    await this._saveData(data);
+  }
+
+  /**
+   * Get the key set of the active collection, or null when showing all tokens
+   * @returns {Set<string>|null}
+   * @private
+   */
+  _getActiveKeys() {
+    const activeId = this.activeCollection;
+    if (!activeId) return null;
+
+    if (!this._activeKeys) {
+      const data = this.getData();
+      const keys = activeId === FAVORITES_COLLECTION_ID
+        ? data.favorites
+        : data.collections.find(collection => collection.id === activeId)?.tokens || [];
+      this._activeKeys = new Set(keys);
+    }
+    return this._activeKeys;
+  }
+
+  /**
+   * Filter images down to the active collection
+   * @param {Array} images - Array of UI token objects
+   * @returns {Array} Images in the active collection (all images when no collection is selected)
+   */
+  filterImages(images) {
+    const activeKeys = this._getActiveKeys();
+    if (!activeKeys) return images;
+    return images.filter(image => activeKeys.has(getTokenCollectionKey(image)));
+  }
+
+  /**
+   * Get collection selector context for template rendering
+   * @returns {Object}
+   */
+  getSelectorContext() {
+    const data = this.getData();
+    const activeCollection = this.activeCollection;
+    return {
+      activeCollection,
+      favoritesCount: data.favorites.length,
+      collections: data.collections.map(collection => ({
+        id: collection.id,
+        name: collection.name,
+        count: collection.tokens.length,
+        selected: collection.id === activeCollection
+      })),
+      isFavoritesActive: activeCollection === FAVORITES_COLLECTION_ID,
+      isCollectionActive: !!activeCollection && activeCollection !== FAVORITES_COLLECTION_ID
+    };
+  }
+
+  /**
+   * Activate the collection selector, manage button and favorite toggles
+   */
+  activateCollections() {
+    const collectionSelect = this.app.element.querySelector('#collection-select');
+    const manageButton = this.app.element.querySelector('.manage-collections-btn');
+    const grid = this.app.element.querySelector('.token-grid');
+
+    if (collectionSelect) {
+      collectionSelect.value = this.activeCollection;
+
+      const selectHandler = async (event) => {
+        await this.setActiveCollection(event.target.value);
+        this._updateManageButton();
+        this.app.searchManager.regenerateGrid();
+        console.log(`fa-token-browser | Collection changed to: ${event.target.value || 'all tokens'}`);
+      };
+      this.app.eventManager.registerCollectionSelectHandler(collectionSelect, selectHandler);
+    }
+
+    if (manageButton) {
+      const manageHandler = (event) => {
+        event.preventDefault();
+        this._showManageCollectionsDialog();
+      };
+      this.app.eventManager.registerManageCollectionsHandler(manageButton, manageHandler);
+      this._updateManageButton();
+    }
+
+    if (grid) {
+      this.updateFavoriteIndicators(grid);
+
+      // Initial render of an empty collection has no search results element yet
+      if (this.activeCollection && !grid.querySelector('.token-item')) {
+        this.app.searchManager.showNoResults();
+      }
+
+      const clickHandler = (event) => {
+        const actionButton = event.target.closest('.token-quick-action');
+        if (!actionButton) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const tokenItem = actionButton.closest('.token-item');
+        const imageData = this._getImageDataFromElement(tokenItem);
+        if (!imageData) return;
+
+        if (actionButton.classList.contains('token-favorite-toggle')) {
+          this._handleFavoriteToggle(tokenItem, imageData);
+        } else if (actionButton.classList.contains('token-collection-toggle')) {
+          this.app.previewManager.hidePreview();
+          this._showTokenCollectionsDialog(imageData);
+        }
+      };
+      this.app.eventManager.registerQuickActionHandler(grid, clickHandler);
+    }
+  }
+
+  /**
+   * Apply the favorite state to rendered token items
+   * @param {HTMLElement} container - Element containing token items
+   */
+  updateFavoriteIndicators(container) {
+    if (!container) return;
+    const favorites = new Set(this.getData().favorites);
+    container.querySelectorAll('.token-item').forEach(tokenItem => {
+      const isFavorite = favorites.has(getTokenCollectionKey({
+        source: tokenItem.getAttribute('data-source'),
+        path: tokenItem.getAttribute('data-path')
+      }));
+      tokenItem.classList.toggle('favorite-token', isFavorite);
+      const icon = tokenItem.querySelector('.token-favorite-toggle i');
+      if (icon) {
+        icon.className = isFavorite ? 'fas fa-star' : 'far fa-star';
+      }
+    });
+  }
+
+  /**
+   * Find the UI token object for a token item element
+   * @param {HTMLElement} tokenItem - Token item element
+   * @returns {Object|null}
+   * @private
+   */
+  _getImageDataFromElement(tokenItem) {
+    if (!tokenItem) return null;
+    const filename = tokenItem.getAttribute('data-filename');
+    const path = tokenItem.getAttribute('data-path');
+    return this.app._allImages.find(image => image.filename === filename && image.path === path) ||
+           this.app._allImages.find(image => image.filename === filename) ||
+           null;
+  }
+
+  /**
+   * Toggle a favorite from the grid and refresh the view when needed
+   * @param {HTMLElement} tokenItem - Token item element
+   * @param {Object} imageData - UI token object
+   * @private
+   */
+  async _handleFavoriteToggle(tokenItem, imageData) {
+    await this.toggleFavorite(imageData);
+
+    // Removing a favorite while viewing favorites changes the grid contents
+    if (this.activeCollection === FAVORITES_COLLECTION_ID) {
+      this.app.searchManager.regenerateGrid();
+    } else {
+      this.updateFavoriteIndicators(this.app.element.querySelector('.token-grid'));
+    }
+    this._refreshSelectorCounts();
+  }
+
+  /**
+   * Refresh the option labels of the collection selector
+   * @private
+   */
+  _refreshSelectorCounts() {
+    const collectionSelect = this.app?.element?.querySelector('#collection-select');
+    if (!collectionSelect) return;
+
+    const context = this.getSelectorContext();
+    const options = [
+      `<option value="">All Tokens</option>`,
+      `<option value="${FAVORITES_COLLECTION_ID}">★ Favorites (${context.favoritesCount})</option>`,
+      ...context.collections.map(collection =>
+        `<option value="${collection.id}">${foundry.utils.escapeHTML(collection.name)} (${collection.count})</option>`)
+    ];
+    collectionSelect.innerHTML = options.join('');
+    collectionSelect.value = context.activeCollection;
+    this._updateManageButton();
+  }
+
+  /**
+   * Update the manage button tooltip for the current selection
+   * @private
+   */
+  _updateManageButton() {
+    const manageButton = this.app?.element?.querySelector('.manage-collections-btn');
+    if (!manageButton) return;
+    const context = this.getSelectorContext();
+    manageButton.title = context.isCollectionActive ? 'Create, rename or delete collections' : 'Create a new collection';
+  }
+
+  /**
+   * Show a dialog to create, rename or delete collections
+   * @private
+   */
+  async _showManageCollectionsDialog() {
+    const activeId = this.activeCollection;
+    const activeCollection = this.getCollections().find(collection => collection.id === activeId);
+
+    const buttons = [{
+      action: 'create',
+      icon: 'fas fa-plus',
+      label: 'New Collection',
+      default: true
+    }];
+    if (activeCollection) {
+      buttons.push(
+        { action: 'rename', icon: 'fas fa-edit', label: 'Rename' },
+        { action: 'delete', icon: 'fas fa-trash', label: 'Delete' }
+      );
+    }
+
+    const content = activeCollection
+      ? `<p>Current collection: <strong>${foundry.utils.escapeHTML(activeCollection.name)}</strong> (${activeCollection.tokens.length} tokens)</p>`
+      : `<p>Collections let you group tokens under a name, e.g. "Session 12 bandits". Select a collection to rename or delete it.</p>`;
+
+    const action = await foundry.applications.api.DialogV2.wait({
+      window: { title: 'Token Collections' },
+      content,
+      buttons,
+      rejectClose: false
+    });
+
+    try {
+      if (action === 'create') {
+        const name = await this._promptCollectionName('New Collection');
+        const collection = await this.createCollection(name);
+        if (collection) {
+          await this.setActiveCollection(collection.id);
+          this.app.searchManager.regenerateGrid();
+          ui.notifications.info(`Created collection "${collection.name}". Use the folder icon on a token to add it.`);
+        }
+      } else if (action === 'rename' && activeCollection) {
+        const name = await this._promptCollectionName('Rename Collection', activeCollection.name);
+        await this.renameCollection(activeCollection.id, name);
+      } else if (action === 'delete' && activeCollection) {
+        const confirmed = await foundry.applications.api.DialogV2.confirm({
+          window: { title: 'Delete Collection' },
+          content: `<p>Delete the collection <strong>${foundry.utils.escapeHTML(activeCollection.name)}</strong>?</p><p>The tokens themselves are not affected.</p>`,
+          rejectClose: false
+        });
+        if (!confirmed) return;
+        await this.deleteCollection(activeCollection.id);
+        this.app.searchManager.regenerateGrid();
+      }
+    } catch (error) {
+      console.error('fa-token-browser | Error managing collections:', error);
+      ui.notifications.error(`Failed to update collections: ${error.message}`);
+    }
+
+    this._refreshSelectorCounts();
+  }
+
+  /**
+   * Prompt for a collection name
+   * @param {string} title - Dialog title
+   * @param {string} [initialValue] - Initial input value
+   * @returns {Promise<string|null>} Entered name or null if cancelled
+   * @private
+   */
+  async _promptCollectionName(title, initialValue = '') {
+    return await foundry.applications.api.DialogV2.prompt({
+      window: { title },
+      content: `<input type="text" name="collectionName" value="${foundry.utils.escapeHTML(initialValue)}" placeholder="Collection name" autofocus />`,
+      ok: {
+        label: 'Save',
+        icon: 'fas fa-check',
+        callback: (event, button) => button.form.elements.collectionName.value
+      },
+      rejectClose: false
+    });
+  }
+
+  /**
+   * Show a dialog to choose which collections contain a token
+   * @param {Object} imageData - UI token object
+   * @private
+   */
+  async _showTokenCollectionsDialog(imageData) {
+    const collections = this.getCollections();
+    const memberOf = this.getCollectionsForToken(imageData);
+
+    const checkboxes = collections.map(collection => `
+      <label class="checkbox">
+        <input type="checkbox" name="collection" value="${collection.id}" ${memberOf.includes(collection.id) ? 'checked' : ''} />
+        ${foundry.utils.escapeHTML(collection.name)}
+      </label>`).join('');
+
+    const content = `
+      <div class="fa-token-browser-collection-picker">
+        <p><strong>${foundry.utils.escapeHTML(imageData.displayName || imageData.filename)}</strong></p>
+        ${checkboxes || '<p><em>No collections yet.</em></p>'}
+        <input type="text" name="newCollection" placeholder="New collection name (optional)" />
+      </div>`;
+
+    const result = await foundry.applications.api.DialogV2.prompt({
+      window: { title: 'Add to Collection' },
+      content,
+      ok: {
+        label: 'Save',
+        icon: 'fas fa-check',
+        callback: (event, button) => ({
+          selected: Array.from(button.form.querySelectorAll('input[name="collection"]:checked')).map(input => input.value),
+          newCollection: button.form.elements.newCollection.value
+        })
+      },
+      rejectClose: false
+    });
+
+    if (!result) return;
+
+    try {
+      const selected = [...result.selected];
+      if (result.newCollection?.trim()) {
+        const collection = await this.createCollection(result.newCollection);
+        if (collection) {
+          selected.push(collection.id);
+        }
+      }
+      await this.setTokenCollections(imageData, selected);
+
+      // Removing a token from the collection being viewed changes the grid contents
+      if (this.activeCollection && this.activeCollection !== FAVORITES_COLLECTION_ID) {
+        this.app.searchManager.regenerateGrid();
+      }
+      this._refreshSelectorCounts();
+    } catch (error) {
+      console.error('fa-token-browser | Error updating token collections:', error);
+      ui.notifications.error(`Failed to update collections: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ask for a target collection and add several tokens to it
+   * @param {Array<Object>} images - UI token objects
+   * @returns {Promise<boolean>} True if the tokens were added
+   */
+  async promptAddTokensToCollection(images) {
+    if (!images.length) return false;
+
+    const options = [
+      `<option value="${FAVORITES_COLLECTION_ID}">★ Favorites</option>`,
+      ...this.getCollections().map(collection =>
+        `<option value="${collection.id}">${foundry.utils.escapeHTML(collection.name)}</option>`)
+    ];
+
+    const content = `
+      <div class="fa-token-browser-collection-picker">
+        <p>Add <strong>${images.length}</strong> token${images.length === 1 ? '' : 's'} to:</p>
+        <select name="collection">${options.join('')}</select>
+        <input type="text" name="newCollection" placeholder="Or a new collection name" />
+      </div>`;
+
+    const result = await foundry.applications.api.DialogV2.prompt({
+      window: { title: 'Add to Collection' },
+      content,
+      ok: {
+        label: 'Add',
+        icon: 'fas fa-check',
+        callback: (event, button) => ({
+          collectionId: button.form.elements.collection.value,
+          newCollection: button.form.elements.newCollection.value
+        })
+      },
+      rejectClose: false
+    });
+
+    if (!result) return false;
+
+    let collectionId = result.collectionId;
+    if (result.newCollection?.trim()) {
+      const collection = await this.createCollection(result.newCollection);
+      if (!collection) return false;
+      collectionId = collection.id;
+    }
+
+    await this.addTokensToCollection(collectionId, images);
+
+    // Adding to the collection being viewed changes the grid contents
+    if (this.activeCollection === collectionId) {
+      this.app.searchManager.regenerateGrid();
+    } else if (collectionId === FAVORITES_COLLECTION_ID) {
+      this.updateFavoriteIndicators(this.app.element.querySelector('.token-grid'));
+    }
+    this._refreshSelectorCounts();
+    return true;
+  }
+
+  /**
+   * Destroy the collections manager and clean up
+   */
+  destroy() {
+    this._activeKeys = null;
+    this.app = null;
+  }
+}
@@ -138,7 +138,7 @@ export class TokenDataService {
   constructor(parentApp = null) {
     this.localService = new LocalTokenService();
     this.cacheManager = new TokenCacheManager();
-    this.cloudService = new CloudTokenService();
+    this.cloudService = new CloudTokenService(this.cacheManager);
     
     // Set parent app reference for cloud service auth handling and cache manager UI updates
     if (parentApp) {
@@ -474,6 +474,21 @@ export class TokenDataService {
       console.warn('fa-token-browser | Cloud token fetch failed:', results[1].reason);
     }
 
+    // Map cached files from before the cache mirrored the cloud folders
+    if (cloudTokens.length) {
+      this.cacheManager.migrateLegacyCache(cloudTokens);
+    }
+
+    // Offline, the CDN thumbnails don't load: show cached tokens from the cache
+    if (this.cloudService.offlineSnapshot) {
+      cloudTokens.forEach(tokenData => {
+        const cachedPath = this.cacheManager.getCachedFilePath(tokenData);
+        if (cachedPath) {
+          tokenData.urls.thumbnail = cachedPath;
+        }
+      });
+    }
+
     const combined = [...localTokens, ...cloudTokens];
 
     return combined;
@@ -506,6 +521,8 @@ export class TokenDataService {
         folder: tokenData.folder || '',
         // Cache status for cloud tokens
         isCached: this.isTokenCached(tokenData),
+        // From the saved catalogue while the cloud is unreachable (usable only when cached)
+        isOffline: !!tokenData.offline,
         // Store the original TokenData for advanced operations
         _tokenData: tokenData
       };
@@ -519,6 +536,26 @@ export class TokenDataService {
     return processedTokens;
   }
 
+  /**
+   * Get the enabled local token folders from the folder configuration
+   * @returns {Array<string>} Enabled folder paths
+   */
+  getEnabledTokenFolders() {
+    let folderConfig = [];
+    try {
+      folderConfig = JSON.parse(game.settings.get('fa-token-browser', 'customTokenFolders') || '[]');
+      if (!Array.isArray(folderConfig)) {
+        folderConfig = [];
+      }
+    } catch (error) {
+      console.warn('fa-token-browser | Error parsing folder configuration:', error);
+      folderConfig = [];
+    }
+
+    const allFolderPaths = folderConfig.map(folder => folder.path).filter(path => path && path.length > 0);
+    return this.filterEnabledFolders(allFolderPaths);
+  }
+
   /**
    * Filter folders to only include enabled ones
    * @param {Array<string>} folderPaths - Array of folder paths
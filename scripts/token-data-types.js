@@ -37,6 +37,8 @@
  * @property {TokenMetadata} metadata - Token metadata from various sources
  * @property {'free'|'premium'|null} tier - Cloud-specific tier (null for local tokens)
  * @property {TokenCache} cache - Cache status (for cloud tokens)
+ * @property {boolean} [offline] - Cloud token from the saved catalogue while the cloud is unreachable
+ *   (only usable when cached)
  */
 
 /**
@@ -55,6 +57,18 @@ export const TOKEN_TIERS = {
   PREMIUM: 'premium'
 };
 
+/**
+ * Hooks fired by the module (see TokenBrowserAPI)
+ * - tokensLoaded(tokens): the token list was loaded by the browser or the API, with an Array<TokenData>
+ * - actorCreated(actor, tokenData): an actor was created from a token
+ * - tokenDropped(tokenDocument, actor, tokenData): a token was placed on the canvas by drag & drop or api.placeToken
+ */
+export const TOKEN_BROWSER_HOOKS = {
+  tokensLoaded: 'faTokenBrowser.tokensLoaded',
+  actorCreated: 'faTokenBrowser.actorCreated',
+  tokenDropped: 'faTokenBrowser.tokenDropped'
+};
+
 /**
  * Create a new TokenData object with default values
  * @param {Object} options - Token data options
@@ -0,0 +1,407 @@
+/**
+ * Token Detail Panel for FA Token Browser
+ * Pinned side panel opened by clicking a token: large image, parsed metadata, colour variants and actions
+ */
+
+import { parseTokenSize } from './geometry.js';
+import { detectColorVariant, getColorVariants } from './search-engine.js';
+import { ActorFactory } from './actor-factory.js';
+import { TokenDragDropManager } from './token-dragdrop-manager.js';
+
+// Mouse travel (px) between mousedown and click above which the click is treated as a drag
+const CLICK_MOVE_TOLERANCE = 5;
+
+/**
+ * Manages the pinned token detail panel of the token browser
+ */
+export class TokenDetailPanelManager {
+  constructor(app) {
+    this.app = app; // Reference to the main application
+
+    // Token shown in the panel, kept by identity so it survives token list reloads
+    this._current = null; // { path, source }
+
+    // Incremented on every render so late image loads of a previous token are ignored
+    this._renderId = 0;
+
+    // Actions currently running (prevents double downloads or actor creation)
+    this._busyActions = new Set();
+
+    this._mouseDownPosition = null;
+  }
+
+  /**
+   * Check if the panel is open
+   * @returns {boolean}
+   */
+  get isOpen() {
+    return !!this._current;
+  }
+
+  /**
+   * Check if a token is the one shown in the panel
+   * @param {Object} imageData - UI token object
+   * @returns {boolean}
+   */
+  isShowing(imageData) {
+    return !!this._current && !!imageData &&
+      imageData.path === this._current.path && (imageData.source || 'local') === this._current.source;
+  }
+
+  /**
+   * Open the panel for a token
+   * @param {Object} imageData - UI token object
+   */
+  showToken(imageData) {
+    if (!imageData) return;
+
+    this._current = { path: imageData.path, source: imageData.source || 'local' };
+    this.app.previewManager?.hidePreview();
+    this.refresh();
+  }
+
+  /**
+   * Close the panel
+   */
+  hide() {
+    this._current = null;
+    this._renderId++;
+    this.refresh();
+  }
+
+  /**
+   * Activate token clicks on the grid and the panel actions
+   */
+  activateDetailPanel() {
+    const grid = this.app.element.querySelector('.token-grid');
+    const panel = this.app.element.querySelector('.token-detail-panel');
+    if (!grid || !panel) return;
+
+    const mouseDownHandler = (event) => {
+      this._mouseDownPosition = { x: event.clientX, y: event.clientY };
+    };
+
+    const clickHandler = (event) => {
+      if (event.button !== 0) return;
+      if (event.target.closest('.token-quick-action')) return;
+
+      // In picker mode clicks apply the token instead
+      if (this.app.pickerManager?.isActive) return;
+
+      // Ctrl/Shift-clicks change the multi-selection instead
+      if (event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+      const tokenItem = event.target.closest('.token-item');
+      if (!tokenItem) return;
+
+      // Cloud tokens start a queued drag when the mouse moves after mousedown
+      const start = this._mouseDownPosition;
+      if (start && (Math.abs(event.clientX - start.x) > CLICK_MOVE_TOLERANCE ||
+                    Math.abs(event.clientY - start.y) > CLICK_MOVE_TOLERANCE)) {
+        return;
+      }
+
+      this.showToken(this._findImage(tokenItem.dataset.path, tokenItem.dataset.source || 'local'));
+    };
+
+    const panelHandler = async (event) => {
+      const actionElement = event.target.closest('[data-action]');
+      if (!actionElement || actionElement.disabled) return;
+
+      event.preventDefault();
+      await this._handleAction(actionElement);
+    };
+
+    this.app.eventManager.registerTokenDetailHandlers(grid, panel, { mouseDown: mouseDownHandler, click: clickHandler }, panelHandler);
+
+    // The panel element is recreated on every full render
+    this.refresh();
+  }
+
+  /**
+   * Re-render the panel and the highlight of the shown token
+   */
+  refresh() {
+    const element = this.app?.element;
+    if (!element) return;
+
+    const panel = element.querySelector('.token-detail-panel');
+    const imageData = this._current ? this._findImage(this._current.path, this._current.source) : null;
+
+    // The token can disappear after a folder configuration change
+    if (this._current && !imageData) {
+      this._current = null;
+    }
+
+    element.querySelectorAll('.token-item.detail-active').forEach(item => item.classList.remove('detail-active'));
+    if (imageData) {
+      element.querySelectorAll('.token-item').forEach(item => {
+        if (item.dataset.path === imageData.path && (item.dataset.source || 'local') === (imageData.source || 'local')) {
+          item.classList.add('detail-active');
+        }
+      });
+    }
+
+    if (!panel) return;
+    panel.classList.toggle('hidden', !imageData);
+    if (imageData) {
+      this._renderPanel(panel, imageData);
+    } else {
+      panel.innerHTML = '';
+    }
+  }
+
+  /**
+   * Find a loaded token by path and source
+   * @private
+   */
+  _findImage(path, source) {
+    return this.app._allImages?.find(image => image.path === path && (image.source || 'local') === source) || null;
+  }
+
+  /**
+   * Check if the user may use the full image of a token (premium cloud tokens need Patreon or the cache)
+   * @private
+   */
+  _isTokenAccessible(imageData) {
+    const tokenData = this.app.tokenDataService.getTokenDataFromUIObject(imageData);
+    return this.app.dragDropManager._isTokenDraggable(tokenData);
+  }
+
+  /**
+   * Render the panel content for a token
+   * @private
+   */
+  _renderPanel(panel, imageData) {
+    const renderId = ++this._renderId;
+    const escape = foundry.utils.escapeHTML;
+    const isCloud = imageData.source === 'cloud';
+    const isAccessible = this._isTokenAccessible(imageData);
+    const tokenData = this.app.tokenDataService.getTokenDataFromUIObject(imageData);
+    const isCached = isCloud && !!tokenData && this.app.tokenDataService.isTokenCached(tokenData);
+    const { gridWidth, gridHeight, scale } = parseTokenSize(imageData.filename);
+
+    const fields = [
+      ['Name', imageData.displayName],
+      ['Variant', imageData.variant],
+      ['Size', imageData.size],
+      ['Grid', `${gridWidth}×${gridHeight}${scale !== 1 ? ` at ${scale}x scale` : ''}`],
+      ['Creature Type', imageData.creatureType],
+      ['Dimensions', '<span class="token-detail-dimensions">Loading...</span>', true],
+      ['File Size', `<span class="token-detail-filesize">${imageData.fileSize > 0 ? escape(this.app.tokenDataService.formatFileSize(imageData.fileSize)) : '—'}</span>`, true],
+      ['Source', isCloud ? `Cloud (${imageData.tier || 'free'})` : 'Local'],
+      ['Cache', isCloud ? (isCached ? 'Cached locally' : 'Not cached') : 'Not needed'],
+      ['Filename', imageData.filename],
+      ['Path', imageData.path]
+    ];
+
+    const rows = fields
+      .filter(([, value]) => value)
+      .map(([label, value, isHTML]) => `<dt>${label}</dt><dd>${isHTML ? value : escape(value)}</dd>`)
+      .join('');
+
+    panel.innerHTML = `
+      <div class="token-detail-header">
+        <span class="token-detail-title">${escape(imageData.displayName || imageData.filename)}</span>
+        <button type="button" class="token-detail-close" data-action="close" title="Close details">
+          <i class="fas fa-times"></i>
+        </button>
+      </div>
+      <div class="token-detail-image">
+        <img alt="${escape(imageData.filename)}" />
+      </div>
+      ${isAccessible ? '' : (tokenData?.offline
+        ? '<p class="token-detail-locked"><i class="fas fa-cloud-slash"></i> Unavailable offline - not cached and the cloud library cannot be reached.</p>'
+        : '<p class="token-detail-locked"><i class="fas fa-lock"></i> Premium token - connect Patreon to use it.</p>')}
+      <dl class="token-detail-fields">${rows}</dl>
+      ${this._renderVariants(imageData)}
+      <div class="token-detail-actions">
+        ${this._renderActionButton('create-actor', 'fa-user-plus', 'Create Actor', !isAccessible)}
+        ${this._renderActionButton('update-actor', 'fa-user-pen', 'Update Selected Actor', !isAccessible)}
+        ${this._renderActionButton('copy-path', 'fa-copy', 'Copy Path', false)}
+        ${isCloud ? this._renderActionButton('download', isCached ? 'fa-check' : 'fa-download', isCached ? 'Cached' : 'Download to Cache', isCached || !isAccessible) : ''}
+      </div>`;
+
+    this._loadImage(panel, imageData, isAccessible, renderId);
+  }
+
+  /**
+   * Build an action button
+   * @private
+   */
+  _renderActionButton(action, icon, label, disabled) {
+    const busy = this._busyActions.has(action);
+    return `
+      <button type="button" data-action="${action}" ${disabled || busy ? 'disabled' : ''}>
+        <i class="fas ${busy ? 'fa-spinner fa-spin' : icon}"></i> ${label}
+      </button>`;
+  }
+
+  /**
+   * Build the colour variant strip
+   * @private
+   */
+  _renderVariants(imageData) {
+    const variantInfo = detectColorVariant(imageData.filename);
+    if (!variantInfo.hasColorVariant) return '';
+
+    const variants = getColorVariants(variantInfo.baseNameWithoutVariant, this.app._allImages)
+      .filter(variant => (variant.imageData.source || 'local') === (imageData.source || 'local'));
+    if (variants.length <= 1) return '';
+
+    const escape = foundry.utils.escapeHTML;
+    const items = variants.map(variant => `
+      <a class="token-detail-variant${variant.imageData.path === imageData.path ? ' active' : ''}" data-action="show-variant" data-path="${escape(variant.imageData.path)}" title="Colour ${escape(variant.colorVariant)}">
+        <img src="${escape(variant.imageData.url)}" alt="${escape(variant.filename)}" loading="lazy" />
+        <span>${escape(variant.colorVariant)}</span>
+      </a>`).join('');
+
+    return `
+      <div class="token-detail-section-title">Colour Variants (${variants.length})</div>
+      <div class="token-detail-variants">${items}</div>`;
+  }
+
+  /**
+   * Load the full image, then fill in pixel dimensions and the file size
+   * @private
+   */
+  async _loadImage(panel, imageData, isAccessible, renderId) {
+    const img = panel.querySelector('.token-detail-image img');
+    const dimensions = panel.querySelector('.token-detail-dimensions');
+    const tokenDataService = this.app.tokenDataService;
+    const tokenData = tokenDataService.getTokenDataFromUIObject(imageData);
+
+    // Locked premium tokens only show their thumbnail, like the hover preview
+    let imageURL = imageData.url;
+    if (isAccessible) {
+      try {
+        imageURL = tokenDataService.cacheManager.getCachedFilePath(tokenData) || await tokenDataService.getFullURL(tokenData);
+      } catch (error) {
+        console.warn(`fa-token-browser | Failed to get detail image URL for ${imageData.filename}, using thumbnail:`, error);
+      }
+    }
+    if (renderId !== this._renderId) return;
+
+    img.addEventListener('load', () => {
+      if (renderId !== this._renderId) return;
+      dimensions.textContent = isAccessible ? `${img.naturalWidth}×${img.naturalHeight}px` : 'Thumbnail only';
+    }, { once: true });
+    img.addEventListener('error', () => {
+      if (renderId !== this._renderId) return;
+      dimensions.textContent = 'Failed to load';
+    }, { once: true });
+    img.src = imageURL;
+
+    if (imageData.fileSize > 0 || !isAccessible) return;
+    try {
+      const metadata = await tokenDataService.getTokenMetadata(tokenData);
+      if (renderId === this._renderId && metadata.fileSize > 0) {
+        panel.querySelector('.token-detail-filesize').textContent = tokenDataService.formatFileSize(metadata.fileSize);
+      }
+    } catch (error) {
+      // Silent fail - file size stays unknown
+    }
+  }
+
+  /**
+   * Run a panel action
+   * @param {HTMLElement} actionElement - Clicked element with data-action
+   * @private
+   */
+  async _handleAction(actionElement) {
+    const action = actionElement.dataset.action;
+    const imageData = this._current ? this._findImage(this._current.path, this._current.source) : null;
+
+    if (action === 'close' || !imageData) {
+      this.hide();
+      return;
+    }
+    if (action === 'show-variant') {
+      this.showToken(this._findImage(actionElement.dataset.path, this._current.source));
+      return;
+    }
+    if (this._busyActions.has(action)) return;
+
+    this._busyActions.add(action);
+    this.refresh();
+    try {
+      switch (action) {
+        case 'create-actor':
+          await this._createActor(imageData);
+          break;
+        case 'update-actor':
+          await this._updateSelectedActor(imageData);
+          break;
+        case 'copy-path':
+          await this._copyPath(imageData);
+          break;
+        case 'download':
+          await this.app.dragDropManager.getTokenFilePath(imageData);
+          ui.notifications.info(`Downloaded "${imageData.displayName || imageData.filename}" to the token cache.`);
+          break;
+      }
+    } catch (error) {
+      console.error(`fa-token-browser | Token detail action "${action}" failed:`, error);
+      ui.notifications.error(`Token action failed: ${error.message}`);
+    } finally {
+      this._busyActions.delete(action);
+      this.refresh();
+    }
+  }
+
+  /**
+   * Create an actor from the token without placing it
+   * @private
+   */
+  async _createActor(imageData) {
+    const dropData = await this.app.dragDropManager.buildDropData(imageData);
+    const actor = await ActorFactory.createActorFromTokenData(dropData);
+    ui.notifications.info(`Created actor "${actor.name}".`);
+  }
+
+  /**
+   * Update the prototype token of the actor of the controlled canvas token
+   * @private
+   */
+  async _updateSelectedActor(imageData) {
+    const actor = canvas?.tokens?.controlled?.[0]?.actor;
+    if (!actor) {
+      ui.notifications.warn('Select a token on the canvas to update its actor.');
+      return;
+    }
+    if (!actor.canUserModify(game.user, 'update')) {
+      throw new Error(`You do not have permission to modify actor "${actor.name}"`);
+    }
+
+    const dropData = await this.app.dragDropManager.buildDropData(imageData);
+    const confirmed = await TokenDragDropManager._showActorUpdateConfirmation(actor, dropData, null);
+    if (confirmed) {
+      await TokenDragDropManager._updateActorPrototypeToken(actor, dropData);
+      ui.notifications.info(`Updated prototype token for "${actor.name}"`);
+    }
+  }
+
+  /**
+   * Copy the token path to the clipboard (the cached file for downloaded cloud tokens)
+   * @private
+   */
+  async _copyPath(imageData) {
+    const tokenData = this.app.tokenDataService.getTokenDataFromUIObject(imageData);
+    const path = imageData.source === 'cloud'
+      ? (this.app.tokenDataService.cacheManager.getCachedFilePath(tokenData) || imageData.path)
+      : imageData.path;
+
+    await game.clipboard.copyPlainText(path);
+    ui.notifications.info(`Copied "${path}" to the clipboard.`);
+  }
+
+  /**
+   * Destroy the detail panel manager and clean up
+   */
+  destroy() {
+    this._current = null;
+    this._busyActions.clear();
+    this._renderId++;
+    this.app = null;
+  }
+}
@@ -1,4 +1,8 @@
-import { parseTokenSize, calcDragPreviewPixelDims } from './geometry.js';
+import { parseTokenSize, calcDragPreviewPixelDims, calculateFormationLayout, FORMATION_LAYOUTS, getGridCellSize, getGridFootprint, isHexGrid } from './geometry.js';
+import { OFFLINE_TOKEN_MESSAGE } from './cloud-token-service.js';
+
+// Most copies of one token a single formation drop may place
+const MAX_FORMATION_COUNT = 20;
 
 /**
  * Utility function to detect if we're running on Forge
@@ -213,7 +217,8 @@ export class TokenDragDropManager {
             const currentDimensions = calcDragPreviewPixelDims(
               { gridWidth, gridHeight, scale },
               canvas?.scene?.grid?.size || 100,
-              currentScale
+              currentScale,
+              canvas?.scene?.grid?.type
             );
             
             const cachedDimensions = tokenItem._preloadedDragDimensions;
@@ -294,7 +299,8 @@ export class TokenDragDropManager {
         const { width: previewWidth, height: previewHeight } = calcDragPreviewPixelDims(
           { gridWidth, gridHeight, scale },
           canvas?.scene?.grid?.size || 100,
-          canvas?.stage?.scale?.x || 1
+          canvas?.stage?.scale?.x || 1,
+          canvas?.scene?.grid?.type
         );
         
         try {
@@ -452,6 +458,11 @@ export class TokenDragDropManager {
     
     // For cloud tokens, check authentication and tier
     if (tokenData.source === 'cloud') {
+      // Tokens from the offline catalogue snapshot can only be used from the cache
+      if (tokenData.offline) {
+        return !!this.parentApp?.tokenDataService?.isTokenCached(tokenData);
+      }
+      
       // Free cloud tokens are always draggable
       if (tokenData.tier === 'free') return true;
       
@@ -625,6 +636,7 @@ export class TokenDragDropManager {
     const uiToken = this.parentApp._allImages?.find(token => token.filename === tokenData.filename);
     if (uiToken) {
       uiToken.isCached = true;
+      this.parentApp.searchManager?.reindexToken(uiToken);
     }
 
     // Add a small delay as requested before updating the icon
@@ -633,6 +645,139 @@ export class TokenDragDropManager {
     }, 200); // 200ms delay
   }
 
+  /**
+   * Get a Foundry file path for a UI token, downloading cloud tokens to the cache first
+   * Used by actions outside drag & drop (detail panel, bulk actions)
+   * @param {Object} uiToken - UI token object
+   * @returns {Promise<string>} Local file path
+   */
+  async getTokenFilePath(uiToken) {
+    const tokenDataService = this.parentApp.tokenDataService;
+    const tokenData = tokenDataService.getTokenDataFromUIObject(uiToken);
+    const wasCached = uiToken.source === 'cloud' && tokenDataService.isTokenCached(tokenData);
+    const filePath = await tokenDataService.getFilePathForDragDrop(tokenData);
+
+    if (uiToken.source === 'cloud' && !wasCached) {
+      uiToken.isCached = true;
+      this.parentApp.searchManager?.reindexToken(uiToken);
+      this.parentApp.updateTokenStatusIcon(uiToken.filename, 'cached');
+    }
+    return filePath;
+  }
+
+  /**
+   * Build drop data for a UI token in the format handled by canvas and actor drops
+   * @param {Object} uiToken - UI token object
+   * @returns {Promise<Object>} Drop data with local file path
+   */
+  async buildDropData(uiToken) {
+    const filePath = await this.getTokenFilePath(uiToken);
+    const { gridWidth, gridHeight, scale } = parseTokenSize(uiToken.filename);
+    return {
+      type: 'fa-token-browser-token',
+      source: 'token-browser',
+      filename: uiToken.filename,
+      path: filePath,
+      url: filePath,
+      tokenSize: { gridWidth, gridHeight, scale },
+      tokenData: this.parentApp.tokenDataService.getTokenDataFromUIObject(uiToken),
+      timestamp: Date.now()
+    };
+  }
+
+  /**
+   * Activate the formation count and layout controls in the footer
+   */
+  activateFormationControls() {
+    const countInput = this.parentApp.element?.querySelector('#formation-count');
+    const layoutSelect = this.parentApp.element?.querySelector('#formation-layout');
+    if (!countInput || !layoutSelect) return;
+
+    countInput.value = this._getFormationCount();
+    layoutSelect.value = this._getFormationLayout();
+
+    const countHandler = async (event) => {
+      const count = Math.min(Math.max(parseInt(event.target.value) || 1, 1), MAX_FORMATION_COUNT);
+      event.target.value = count;
+      await game.settings.set('fa-token-browser', 'formationCount', count);
+    };
+
+    const layoutHandler = async (event) => {
+      await game.settings.set('fa-token-browser', 'formationLayout', event.target.value);
+      console.log(`fa-token-browser | Formation layout changed to: ${event.target.value}`);
+    };
+
+    this.parentApp.eventManager.registerFormationHandlers(countInput, layoutSelect, { count: countHandler, layout: layoutHandler });
+  }
+
+  /**
+   * Activate the Place as Tile checkbox in the footer
+   */
+  activatePlaceAsTileToggle() {
+    const checkbox = this.parentApp.element?.querySelector('#place-as-tile');
+    if (!checkbox) return;
+
+    checkbox.checked = game.settings.get('fa-token-browser', 'placeAsTile');
+
+    const handler = async (event) => {
+      const isChecked = event.target.checked;
+      await game.settings.set('fa-token-browser', 'placeAsTile', isChecked);
+      console.log(`fa-token-browser | Place as Tile ${isChecked ? 'enabled' : 'disabled'}`);
+    };
+
+    this.parentApp.eventManager.registerPlaceAsTileHandler(checkbox, handler);
+  }
+
+  /**
+   * Get the number of copies to place per drop
+   * @returns {number}
+   * @private
+   */
+  _getFormationCount() {
+    const count = parseInt(game.settings.get('fa-token-browser', 'formationCount')) || 1;
+    return Math.min(Math.max(count, 1), MAX_FORMATION_COUNT);
+  }
+
+  /**
+   * Get the formation layout for multi-token drops
+   * @returns {string}
+   * @private
+   */
+  _getFormationLayout() {
+    const layout = game.settings.get('fa-token-browser', 'formationLayout');
+    return FORMATION_LAYOUTS[layout] ? layout : 'block';
+  }
+
+  /**
+   * Get the formation a drag should place: the multi-selection when the dragged token is part of it,
+   * otherwise the configured number of copies of the dragged token
+   * @param {HTMLElement} tokenItem - The dragged token item
+   * @returns {Object|null} Formation {layout, members: [{path, source, filename}]} (dragged token first) or null for a single token
+   * @private
+   */
+  _getFormationData(tokenItem) {
+    const app = this.parentApp;
+    const path = tokenItem.getAttribute('data-path');
+    const source = tokenItem.getAttribute('data-source') || 'local';
+    const dragged = app._allImages?.find(image => image.path === path && (image.source || 'local') === source);
+    if (!dragged) return null;
+
+    let images;
+    if (app.selectionManager?.size > 1 && app.selectionManager.isSelected(dragged)) {
+      // Locked premium tokens in the selection are left out
+      images = [dragged, ...app.selectionManager.getSelectedImages().filter(image =>
+        image !== dragged && this._isTokenDraggable(app.tokenDataService.getTokenDataFromUIObject(image)))];
+    } else {
+      images = new Array(this._getFormationCount()).fill(dragged);
+    }
+    if (images.length < 2) return null;
+
+    return {
+      layout: this._getFormationLayout(),
+      members: images.map(image => ({ path: image.path, source: image.source || 'local', filename: image.filename }))
+    };
+  }
+
   /**
    * Handle drag start using Foundry's pattern
    * @param {DragEvent} event - The drag start event
@@ -658,7 +803,9 @@ export class TokenDragDropManager {
     const isDraggable = this._isTokenDraggable(tokenData);
     if (!isDraggable) {
       // Show incentive message for premium tokens
-      if (tokenData && tokenData.source === 'cloud' && tokenData.tier === 'premium') {
+      if (tokenData?.offline) {
+        ui.notifications.info(OFFLINE_TOKEN_MESSAGE);
+      } else if (tokenData && tokenData.source === 'cloud' && tokenData.tier === 'premium') {
         ui.notifications.info('🔒 Premium token! Connect your Patreon account to unlock drag & drop access.');
       }
       return false; // Block the drag
@@ -711,7 +858,8 @@ export class TokenDragDropManager {
     const { width: previewWidth, height: previewHeight } = calcDragPreviewPixelDims(
       { gridWidth, gridHeight, scale },
       canvas?.scene?.grid?.size || 100,
-      canvas?.stage?.scale?.x || 1
+      canvas?.stage?.scale?.x || 1,
+      canvas?.scene?.grid?.type
     );
     const wouldBeScaled = previewWidth > 3000 || previewHeight > 3000;
     
@@ -781,6 +929,8 @@ export class TokenDragDropManager {
         },
         // Add TokenData for future enhancements
         tokenData: tokenData,
+        // Other tokens placed by the same drop (multi-selection or token count)
+        formation: this._getFormationData(tokenItem),
         timestamp: Date.now()
       };
       
@@ -868,13 +1018,25 @@ export class TokenDragDropManager {
         return;
       }
 
+      // Skip drag preparation for quick action buttons (favorite/collection)
+      if (event.target.closest('.token-quick-action')) {
+        return;
+      }
+
+      // Skip drag preparation for Ctrl/Cmd-clicks (multi-select toggles)
+      if (event.ctrlKey || event.metaKey) {
+        return;
+      }
+
       const tokenData = this._getTokenDataFromElement(tokenItem);
       
       // Check if token is draggable before preparing
       const isDraggable = this._isTokenDraggable(tokenData);
       if (!isDraggable) {
         // Show incentive message for premium tokens on click
-        if (tokenData && tokenData.source === 'cloud' && tokenData.tier === 'premium') {
+        if (tokenData?.offline) {
+          ui.notifications.info(OFFLINE_TOKEN_MESSAGE);
+        } else if (tokenData && tokenData.source === 'cloud' && tokenData.tier === 'premium') {
           ui.notifications.info('🔒 Premium token! Connect your Patreon account to unlock access.');
         }
         return;
@@ -962,7 +1124,8 @@ export class TokenDragDropManager {
           const { width: previewWidth, height: previewHeight } = calcDragPreviewPixelDims(
             { gridWidth, gridHeight, scale },
             canvas?.scene?.grid?.size || 100,
-            currentCanvasScale
+            currentCanvasScale,
+            canvas?.scene?.grid?.type
           );
           
           const dragCanvas = await this._createDragCanvas(localFilePath, previewWidth, previewHeight);
@@ -1186,6 +1349,7 @@ export class TokenDragDropManager {
             cancelable: true,
             clientX: event.clientX,
             clientY: event.clientY,
+            altKey: event.altKey, // Alt inverts the Place as Tile toggle
             dataTransfer: new DataTransfer()
           });
           
@@ -1402,6 +1566,7 @@ export class TokenDragDropManager {
           scale: scale
         },
         tokenData: tokenData,
+        formation: this._getFormationData(tokenItem),
         timestamp: Date.now()
       };
       
@@ -1555,7 +1720,8 @@ export class TokenDragDropManager {
     const currentDimensions = calcDragPreviewPixelDims(
       { gridWidth, gridHeight, scale },
       canvas?.scene?.grid?.size || 100,
-      canvas?.stage?.scale?.x || 1
+      canvas?.stage?.scale?.x || 1,
+      canvas?.scene?.grid?.type
     );
     
     // Check if we can reuse existing canvas (same dimensions)
@@ -1779,6 +1945,22 @@ export class TokenDragDropManager {
         throw new Error('Invalid drag data: missing filename or URL');
       }
       
+      // Place as Tile toggle, Alt inverts it for a single drop
+      const asTile = TokenDragDropManager._isPlaceAsTile(event);
+      
+      // Several tokens in one drop are laid out around the cursor
+      if (dropData.formation?.members?.length > 1) {
+        await TokenDragDropManager._handleFormationDrop(canvas, dropData, event, asTile);
+        return true;
+      }
+      
+      // Dropped onto a placed token: offer to replace its image instead
+      const targetToken = asTile ? null : TokenDragDropManager._getTokenAtDropPoint(event, canvas);
+      if (targetToken) {
+        const handled = await TokenDragDropManager._handleTokenReplaceDrop(targetToken.document, dropData);
+        if (handled) return true;
+      }
+      
       // Transform coordinates from screen to world space
       const dropCoordinates = TokenDragDropManager.transformCoordinates(event, canvas, dropData.tokenSize);
       
@@ -1788,6 +1970,11 @@ export class TokenDragDropManager {
         return true; // We handled it (even if rejecting)
       }
       
+      if (asTile) {
+        await TokenDragDropManager._createTileFromDragData(dropData, dropCoordinates.world, canvas);
+        return true;
+      }
+      
       // Import ActorFactory dynamically to avoid circular imports
       const { ActorFactory } = await import('./actor-factory.js');
       
@@ -1805,6 +1992,255 @@ export class TokenDragDropManager {
     }
   }
 
+  /**
+   * Check if a drop should create a Tile instead of an actor and token
+   * @param {DragEvent} event - The drop event
+   * @returns {boolean}
+   * @private
+   */
+  static _isPlaceAsTile(event) {
+    const placeAsTile = game.settings.get('fa-token-browser', 'placeAsTile') || false;
+    return placeAsTile !== !!event?.altKey;
+  }
+
+  /**
+   * Create a Tile from drop data, sized like the token would be and centered on a snapped point
+   * @param {Object} dropData - Drop data with local file path and token size
+   * @param {Object} center - Snapped world coordinates of the tile center {x, y}
+   * @param {Canvas} canvas - The Foundry VTT canvas
+   * @returns {Promise<TileDocument>} Created tile
+   * @private
+   */
+  static async _createTileFromDragData(dropData, center, canvas) {
+    if (!CONFIG.Tile.documentClass.canUserCreate(game.user)) {
+      throw new Error('You do not have permission to create tiles');
+    }
+
+    // Cloud tokens were already downloaded to the token cache for the drag, so the URL is a local path
+    const gridType = canvas.scene.grid.type;
+    const { gridWidth, gridHeight } = getGridFootprint(dropData.tokenSize, gridType);
+    const { sizeX, sizeY } = getGridCellSize(canvas.scene.grid.size, gridType);
+    const scale = dropData.tokenSize?.scale || 1;
+    const width = gridWidth * sizeX * scale;
+    const height = gridHeight * sizeY * scale;
+
+    const [tile] = await canvas.scene.createEmbeddedDocuments('Tile', [{
+      texture: { src: dropData.url },
+      width,
+      height,
+      x: center.x - width / 2,
+      y: center.y - height / 2
+    }]);
+    return tile;
+  }
+
+  /**
+   * Place every token of a formation drop around the cursor, one actor per token (or one tile each)
+   * @param {Canvas} canvas - The Foundry VTT canvas
+   * @param {Object} dropData - Drop data of the dragged token with its formation
+   * @param {DragEvent} event - The drop event
+   * @param {boolean} [asTile=false] - Create tiles instead of actors and tokens
+   * @private
+   */
+  static async _handleFormationDrop(canvas, dropData, event, asTile = false) {
+    const { ActorFactory } = await import('./actor-factory.js');
+    const { layout, members } = dropData.formation;
+    const app = foundry.applications.instances.get('token-browser-app');
+
+    // Resolve members to drop data, downloading cloud tokens that are not cached yet.
+    // The dragged token comes first and is already resolved; copies share its data.
+    const resolved = new Map([[`${members[0].source}:${members[0].path}`, dropData]]);
+    const tokens = [];
+    let failed = 0;
+    for (const member of members) {
+      const key = `${member.source}:${member.path}`;
+      try {
+        if (!resolved.has(key)) {
+          const uiToken = app?._allImages?.find(image => image.path === member.path && (image.source || 'local') === member.source);
+          if (!uiToken) throw new Error('Token is no longer loaded in the Token Browser');
+          resolved.set(key, await app.dragDropManager.buildDropData(uiToken));
+        }
+        tokens.push(resolved.get(key));
+      } catch (error) {
+        console.warn(`fa-token-browser | Formation Drop: Failed to prepare ${member.filename}:`, error);
+        failed++;
+      }
+    }
+
+    // Formation offsets are whole grid spaces from the grid intersection nearest the cursor.
+    // On hex scenes each token then snaps to the nearest hex, spaces are never narrower than a hex.
+    const gridType = canvas.scene.grid.type;
+    const { sizeX, sizeY } = getGridCellSize(canvas.scene.grid.size, gridType);
+    const cursor = canvas.canvasCoordinatesFromClient({ x: event.clientX, y: event.clientY });
+    const anchor = { x: Math.round(cursor.x / sizeX) * sizeX, y: Math.round(cursor.y / sizeY) * sizeY };
+
+    const footprints = tokens.map(token => ActorFactory._getPlacedTokenSize(token, gridType));
+    const offsets = calculateFormationLayout(footprints, layout);
+
+    let placed = 0;
+    let outside = 0;
+    for (let i = 0; i < tokens.length; i++) {
+      const center = {
+        x: anchor.x + (offsets[i].x + footprints[i].gridWidth / 2) * sizeX,
+        y: anchor.y + (offsets[i].y + footprints[i].gridHeight / 2) * sizeY
+      };
+      const world = TokenDragDropManager.applyGridSnapping(center, canvas, tokens[i].tokenSize);
+      if (!TokenDragDropManager.isValidDropLocation(world, canvas)) {
+        outside++;
+        continue;
+      }
+
+      try {
+        if (asTile) {
+          await TokenDragDropManager._createTileFromDragData(tokens[i], world, canvas);
+        } else {
+          await ActorFactory.createActorFromDragData(tokens[i], { screen: { x: event.clientX, y: event.clientY }, world });
+        }
+        placed++;
+      } catch (error) {
+        if (asTile) console.warn(`fa-token-browser | Formation Drop: Failed to create tile for ${tokens[i].filename}:`, error);
+        failed++; // ActorFactory reports its own errors
+      }
+    }
+
+    if (failed || outside) {
+      const notes = [];
+      if (failed) notes.push(`${failed} failed`);
+      if (outside) notes.push(`${outside} outside the scene`);
+      ui.notifications.warn(`Placed ${placed} of ${members.length} tokens (${notes.join(', ')}).`);
+    }
+    console.log(`fa-token-browser | Formation Drop: Placed ${placed} tokens in ${layout} formation`);
+  }
+
+  /**
+   * Find the topmost placed token under the drop point that the user may update
+   * @param {DragEvent} event - The drop event
+   * @param {Canvas} canvas - The Foundry VTT canvas
+   * @returns {Token|null} Token placeable or null
+   * @private
+   */
+  static _getTokenAtDropPoint(event, canvas) {
+    if (!canvas.tokens?.placeables?.length || !Number.isFinite(event?.clientX)) return null;
+
+    const point = canvas.canvasCoordinatesFromClient({ x: event.clientX, y: event.clientY });
+    const candidates = canvas.tokens.placeables.filter(token =>
+      token.visible && token.bounds?.contains(point.x, point.y) &&
+      token.document.canUserModify(game.user, 'update'));
+
+    // Last rendered is on top
+    return candidates.sort((a, b) => (a.document.sort ?? 0) - (b.document.sort ?? 0)).pop() || null;
+  }
+
+  /**
+   * Ask how to apply a token dropped onto a placed token and replace its image
+   * @param {TokenDocument} tokenDocument - The placed token dropped onto
+   * @param {Object} dropData - Drop data of the dragged token
+   * @returns {Promise<boolean>} False when the user chose to place a new token instead
+   * @private
+   */
+  static async _handleTokenReplaceDrop(tokenDocument, dropData) {
+    const escape = foundry.utils.escapeHTML;
+    const actor = tokenDocument.baseActor || tokenDocument.actor;
+    const actorTokens = actor
+      ? tokenDocument.parent.tokens.filter(token => token.actorId === tokenDocument.actorId && token.canUserModify(game.user, 'update'))
+      : [tokenDocument];
+    const canUpdateActor = !!actor && actor.canUserModify(game.user, 'update');
+
+    const buttons = [{ action: 'token', icon: 'fas fa-user', label: 'This Token', default: true }];
+    if (actorTokens.length > 1) {
+      buttons.push({ action: 'scene', icon: 'fas fa-users', label: `All ${actorTokens.length} Tokens in Scene` });
+    }
+    if (canUpdateActor) {
+      buttons.push({ action: 'prototype', icon: 'fas fa-id-badge', label: 'Tokens and Prototype' });
+    }
+    buttons.push({ action: 'place', icon: 'fas fa-plus', label: 'Place New Token' });
+
+    const content = `
+      <p>Replace the image of <strong>${escape(tokenDocument.name)}</strong> with <strong>${escape(dropData.filename)}</strong>?</p>
+      ${actor ? `<p>"All tokens" updates every token of the actor <strong>${escape(actor.name)}</strong> in this scene that you can edit; "Tokens and Prototype" also changes the actor's prototype token.</p>` : ''}`;
+
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: 'Replace Token Image' },
+      content,
+      buttons,
+      rejectClose: false
+    });
+
+    if (choice === 'place') return false;
+    if (!choice) return true; // Closed: drop cancelled
+
+    try {
+      const update = await TokenDragDropManager._getPlacedTokenArtUpdate(dropData, tokenDocument.parent.grid?.type);
+      const targets = choice === 'token' ? [tokenDocument] : actorTokens;
+      await tokenDocument.parent.updateEmbeddedDocuments('Token', targets.map(token => ({ _id: token.id, ...update })));
+
+      if (choice === 'prototype') {
+        dropData._updateActorImage = false; // Only the token art changes, not the portrait
+        dropData._useWildcard = false;
+        await TokenDragDropManager._updateActorPrototypeToken(actor, dropData);
+      }
+
+      const updated = targets.length === 1 ? `"${tokenDocument.name}"` : `${targets.length} tokens`;
+      ui.notifications.info(`Replaced the image of ${updated}${choice === 'prototype' ? ' and the prototype token' : ''}.`);
+    } catch (error) {
+      console.error('fa-token-browser | Token Replace: Failed to update tokens:', error);
+      ui.notifications.error(`Failed to replace token image: ${error.message}`);
+    }
+    return true;
+  }
+
+  /**
+   * Token update that switches a placed token to new art, sized like a dropped token
+   * Size-linked systems get flags that keep them from resizing the token
+   * @param {Object} dropData - Drop data {filename, url, tokenSize?}
+   * @param {number} gridType - Grid type of the token's scene
+   * @returns {Promise<Object>} Token update data
+   * @private
+   */
+  static async _getPlacedTokenArtUpdate(dropData, gridType) {
+    const { ActorFactory } = await import('./actor-factory.js');
+    const tokenSize = ActorFactory._getPlacedTokenSize(
+      { filename: dropData.filename, tokenSize: dropData.tokenSize || parseTokenSize(dropData.filename) },
+      gridType
+    );
+    const update = TokenDragDropManager._getTokenArtUpdate(dropData.url, tokenSize);
+    const sizeLinkFlags = ActorFactory._getSizeLinkFlags(tokenSize.scale);
+    if (sizeLinkFlags) {
+      update.flags = sizeLinkFlags;
+    }
+    return update;
+  }
+
+  /**
+   * Token update that switches a token (placed or prototype) to new art
+   * @param {string} tokenUrl - Local file path of the new image
+   * @param {Object} tokenSize - Token size info {gridWidth, gridHeight, scale, fit?}
+   * @returns {Object} Token update data
+   * @private
+   */
+  static _getTokenArtUpdate(tokenUrl, tokenSize) {
+    return {
+      texture: {
+        src: tokenUrl,
+        scaleX: tokenSize.scale,
+        scaleY: tokenSize.scale,
+        ...(tokenSize.fit && { fit: tokenSize.fit })
+      },
+      width: tokenSize.gridWidth,
+      height: tokenSize.gridHeight,
+      lockRotation: false, // Uncheck "Lock Artwork Rotation" since our tokens are top-down style
+      
+      // FIX: Disable Dynamic Rings and clear subject texture to prevent it from overriding the image path
+      // This addresses GitHub issue #1: Dynamic Rings subject texture overrides the image path if enabled
+      ring: {
+        enabled: false,    // Disable Dynamic Ring
+        subject: {
+          texture: null    // Clear subject texture so it doesn't override the new image path
+        }
+      }
+    };
+  }
+
   /**
    * Transform screen coordinates to world coordinates for token placement
    * @param {DragEvent} event - The drop event containing screen coordinates
@@ -1835,35 +2271,33 @@ export class TokenDragDropManager {
    * @param {Object} worldCoords - World coordinates {x, y}
    * @param {Canvas} canvas - The Foundry VTT canvas
    * @param {Object} tokenSize - Token size info {gridWidth, gridHeight, scale}
-   * @returns {Object} Snapped coordinates {x, y}
+   * @returns {Object} Snapped token center {x, y}
    */
   static applyGridSnapping(worldCoords, canvas, tokenSize = { gridWidth: 1, gridHeight: 1, scale: 1 }) {
-    // Check if grid snapping is enabled and we have a grid
-    if (!canvas.grid || !canvas.scene) {
+    // Gridless scenes place the token where it was dropped
+    if (!canvas.grid || !canvas.scene || canvas.grid.isGridless) {
       return worldCoords;
     }
     
     try {
-      const gridSize = canvas.scene.grid.size;
-      const { gridWidth, gridHeight } = tokenSize;
-      
-      let snapX, snapY;
+      const gridType = canvas.scene.grid.type;
+      const { gridWidth, gridHeight } = getGridFootprint(tokenSize, gridType);
       
-      if (gridWidth % 2 === 0) {
-        // Even-sized tokens (2x2, 4x4) snap to grid intersections
-        // Use Math.round to snap to nearest intersection
-        snapX = Math.round(worldCoords.x / gridSize) * gridSize;
-        snapY = Math.round(worldCoords.y / gridSize) * gridSize;
-      } else {
-        // Odd-sized tokens (1x1, 3x3) snap to grid centers
-        // Use Math.floor to stay in current grid square, then add center offset
-        snapX = Math.floor(worldCoords.x / gridSize) * gridSize + (gridSize / 2);
-        snapY = Math.floor(worldCoords.y / gridSize) * gridSize + (gridSize / 2);
+      if (isHexGrid(gridType)) {
+        // Hex tokens an odd number of hexes across are centered on a hex, even ones on a hex vertex
+        const mode = gridWidth % 2 === 0 ? CONST.GRID_SNAPPING_MODES.VERTEX : CONST.GRID_SNAPPING_MODES.CENTER;
+        return canvas.grid.getSnappedPoint(worldCoords, { mode });
       }
       
-      const snapped = { x: snapX, y: snapY };
+      const gridSize = canvas.scene.grid.size;
+      
+      // Even-sized sides (2x2, 4x4) snap to the nearest grid line, odd-sized sides (1x1, 3x3)
+      // to the center of the grid square under the cursor
+      const snapAxis = (value, cells) => cells % 2 === 0
+        ? Math.round(value / gridSize) * gridSize
+        : Math.floor(value / gridSize) * gridSize + (gridSize / 2);
       
-      return snapped;
+      return { x: snapAxis(worldCoords.x, gridWidth), y: snapAxis(worldCoords.y, gridHeight) };
     } catch (error) {
       console.warn('fa-token-browser | Grid Snapping: Error applying grid snap, using raw coordinates:', error);
       return worldCoords;
@@ -2226,24 +2660,8 @@ export class TokenDragDropManager {
     
     // Start with base prototype token update data
     const prototypeTokenUpdate = {
-      texture: {
-        src: tokenUrl,
-        scaleX: tokenSize.scale,
-        scaleY: tokenSize.scale
-      },
-      width: tokenSize.gridWidth,
-      height: tokenSize.gridHeight,
-      lockRotation: false, // Uncheck "Lock Artwork Rotation" since our tokens are top-down style
-      randomImg: dropData._useWildcard || false, // Enable "Randomize Wildcard Images" when using wildcards
-      
-      // FIX: Disable Dynamic Rings and clear subject texture to prevent it from overriding the image path
-      // This addresses GitHub issue #1: Dynamic Rings subject texture overrides the image path if enabled
-      ring: {
-        enabled: false,    // Disable Dynamic Ring
-        subject: {
-          texture: null    // Clear subject texture so it doesn't override the new image path
-        }
-      }
+      ...TokenDragDropManager._getTokenArtUpdate(tokenUrl, tokenSize),
+      randomImg: dropData._useWildcard || false // Enable "Randomize Wildcard Images" when using wildcards
     };
     
     // Apply system-specific sizing logic
@@ -2740,6 +3158,7 @@ export class TokenDragDropManager {
             const uiToken = parentApp._allImages?.find(token => token.filename === variant.filename);
             if (uiToken) {
               uiToken.isCached = true;
+              parentApp.searchManager?.reindexToken(uiToken);
             }
             
             // Use a longer timeout to ensure the cache has been fully updated
@@ -0,0 +1,281 @@
+/**
+ * Token Grouping for FA Token Browser
+ * Splits the token grid into collapsible sections (creature type, size, folder, cloud folder)
+ */
+
+/**
+ * Group-by modes offered by the group selector
+ */
+export const GROUP_BY_MODES = {
+  none: 'No Grouping',
+  type: 'Group by Type',
+  size: 'Group by Size',
+  folder: 'Group by Folder',
+  cloudFolder: 'Group by Cloud Folder'
+};
+
+// Creature sizes in ascending order, groups follow this order instead of alphabetical
+const SIZE_ORDER = ['tiny', 'small', 'medium', 'large', 'huge', 'gargantuan'];
+
+// Labels for tokens that have no value for the grouping field (always listed last)
+const UNGROUPED_LABELS = {
+  type: 'No Creature Type',
+  size: 'No Size',
+  folder: 'No Folder',
+  cloudFolder: 'Local Tokens'
+};
+
+/**
+ * Get the group a token belongs to
+ * @param {Object} imageData - UI token object
+ * @param {string} groupBy - Group-by mode
+ * @returns {string} Group key ('' for tokens without a value)
+ */
+export function getTokenGroupKey(imageData, groupBy) {
+  switch (groupBy) {
+    case 'type':
+      return imageData.creatureType || '';
+    case 'size':
+      return (imageData.size || '').toLowerCase();
+    case 'folder': {
+      const path = imageData.path || '';
+      const lastSlash = path.lastIndexOf('/');
+      return lastSlash > 0 ? path.slice(0, lastSlash) : '';
+    }
+    case 'cloudFolder':
+      // Cloud token paths start with their top-level catalogue folder
+      return imageData.source === 'cloud' ? (imageData.path || '').split('/')[0] : '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Manages the group-by view of the token grid
+ */
+export class TokenGroupingManager {
+  constructor(app) {
+    this.app = app; // Reference to the main application
+
+    // Groups of the last grouped list, in display order, with their full token counts
+    this._groupOrder = [];
+    this._groupCounts = new Map();
+    this._groupKeys = new WeakMap(); // image -> group key for the current mode
+
+    // Index into _groupOrder of the next header to render
+    this._nextHeaderIndex = 0;
+  }
+
+  /**
+   * Get the current group-by mode
+   * @returns {string}
+   */
+  get groupBy() {
+    const groupBy = game.settings.get('fa-token-browser', 'groupBy') || 'none';
+    return GROUP_BY_MODES[groupBy] ? groupBy : 'none';
+  }
+
+  /**
+   * Check if grouping is active
+   * @returns {boolean}
+   */
+  get isActive() {
+    return this.groupBy !== 'none';
+  }
+
+  /**
+   * Number of groups in the last grouped list (including collapsed ones)
+   * @returns {number}
+   */
+  get groupCount() {
+    return this._groupOrder.length;
+  }
+
+  /**
+   * Get the collapsed group keys for the current mode
+   * @returns {Set<string>}
+   */
+  getCollapsedGroups() {
+    const stored = game.settings.get('fa-token-browser', 'collapsedGroups') || {};
+    const keys = stored[this.groupBy];
+    return new Set(Array.isArray(keys) ? keys : []);
+  }
+
+  /**
+   * Collapse or expand a group (persisted per group-by mode)
+   * @param {string} key - Group key
+   * @returns {Promise<boolean>} New collapsed state
+   */
+  async toggleGroup(key) {
+    const stored = { ...(game.settings.get('fa-token-browser', 'collapsedGroups') || {}) };
+    const collapsed = this.getCollapsedGroups();
+    const isCollapsed = !collapsed.has(key);
+    if (isCollapsed) {
+      collapsed.add(key);
+    } else {
+      collapsed.delete(key);
+    }
+    stored[this.groupBy] = [...collapsed];
+    await game.settings.set('fa-token-browser', 'collapsedGroups', stored);
+    return isCollapsed;
+  }
+
+  /**
+   * Order images by group and drop the images of collapsed groups
+   * The incoming order (search relevance or chosen sort) is kept within each group
+   * @param {Array} images - Filtered and sorted UI token objects
+   * @returns {Array} Images to lazy load, grouped
+   */
+  groupImages(images) {
+    const groupBy = this.groupBy;
+    this._groupCounts = new Map();
+    this._groupKeys = new WeakMap();
+
+    if (groupBy === 'none') {
+      this._groupOrder = [];
+      return images;
+    }
+
+    const buckets = new Map();
+    images.forEach(image => {
+      const key = getTokenGroupKey(image, groupBy);
+      this._groupKeys.set(image, key);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(image);
+    });
+
+    this._groupOrder = [...buckets.keys()].sort((a, b) => this._compareGroups(a, b, groupBy));
+    this._groupOrder.forEach(key => this._groupCounts.set(key, buckets.get(key).length));
+
+    const collapsed = this.getCollapsedGroups();
+    return this._groupOrder
+      .filter(key => !collapsed.has(key))
+      .flatMap(key => buckets.get(key));
+  }
+
+  /**
+   * Start rendering a fresh grid (headers are emitted from the first group again)
+   */
+  resetRendering() {
+    this._nextHeaderIndex = 0;
+  }
+
+  /**
+   * Append the headers that belong before a token (its own group and any collapsed groups in between)
+   * @param {HTMLElement} grid - The token grid
+   * @param {Object} imageData - UI token object about to be appended
+   */
+  appendHeadersBefore(grid, imageData) {
+    if (!this._groupOrder.length) return;
+
+    const key = this._groupKeys.get(imageData) ?? getTokenGroupKey(imageData, this.groupBy);
+    const targetIndex = this._groupOrder.indexOf(key);
+    while (this._nextHeaderIndex <= targetIndex) {
+      grid.appendChild(this._createHeader(this._groupOrder[this._nextHeaderIndex]));
+      this._nextHeaderIndex++;
+    }
+  }
+
+  /**
+   * Append the headers of trailing groups once every token has been loaded
+   * @param {HTMLElement} grid - The token grid
+   */
+  appendRemainingHeaders(grid) {
+    while (this._nextHeaderIndex < this._groupOrder.length) {
+      grid.appendChild(this._createHeader(this._groupOrder[this._nextHeaderIndex]));
+      this._nextHeaderIndex++;
+    }
+  }
+
+  /**
+   * Activate the group selector and collapsible headers
+   */
+  activateGrouping() {
+    const groupSelect = this.app.element.querySelector('#group-by-select');
+    const grid = this.app.element.querySelector('.token-grid');
+
+    if (groupSelect) {
+      groupSelect.value = this.groupBy;
+
+      const selectHandler = async (event) => {
+        await game.settings.set('fa-token-browser', 'groupBy', event.target.value);
+        this.app.searchManager.regenerateGrid();
+        console.log(`fa-token-browser | Grouping changed to: ${event.target.value}`);
+      };
+      this.app.eventManager.registerGroupBySelectHandler(groupSelect, selectHandler);
+    }
+
+    if (grid) {
+      const headerHandler = async (event) => {
+        const header = event.target.closest('.token-group-header');
+        if (!header) return;
+
+        event.preventDefault();
+        const key = header.dataset.groupKey;
+        await this.toggleGroup(key);
+        this.app.searchManager.regenerateGrid();
+
+        // Keep the toggled section in view after the grid is rebuilt
+        const toggled = [...grid.querySelectorAll('.token-group-header')].find(element => element.dataset.groupKey === key);
+        toggled?.scrollIntoView({ block: 'nearest' });
+      };
+      this.app.eventManager.registerGroupHeaderHandler(grid, headerHandler);
+
+      // The template renders a flat list, rebuild it with section headers
+      if (this.isActive) {
+        this.app.searchManager.regenerateGrid();
+      }
+    }
+  }
+
+  /**
+   * Order group keys for display
+   * @private
+   */
+  _compareGroups(a, b, groupBy) {
+    // Tokens without a value go last
+    if (!a || !b) return a === b ? 0 : (a ? -1 : 1);
+
+    if (groupBy === 'size') {
+      const rankA = SIZE_ORDER.indexOf(a);
+      const rankB = SIZE_ORDER.indexOf(b);
+      if (rankA !== rankB) {
+        return (rankA === -1 ? SIZE_ORDER.length : rankA) - (rankB === -1 ? SIZE_ORDER.length : rankB);
+      }
+    }
+    return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+  }
+
+  /**
+   * Build a section header element
+   * @param {string} key - Group key
+   * @returns {HTMLElement}
+   * @private
+   */
+  _createHeader(key) {
+    const collapsed = this.getCollapsedGroups().has(key);
+    const label = key
+      ? (this.groupBy === 'size' ? key.charAt(0).toUpperCase() + key.slice(1) : key)
+      : UNGROUPED_LABELS[this.groupBy];
+
+    const header = document.createElement('div');
+    header.className = `token-group-header${collapsed ? ' collapsed' : ''}`;
+    header.dataset.groupKey = key;
+    header.title = collapsed ? 'Expand section' : 'Collapse section';
+    header.innerHTML = `
+      <i class="fas ${collapsed ? 'fa-chevron-right' : 'fa-chevron-down'}"></i>
+      <span class="token-group-label">${foundry.utils.escapeHTML(label)}</span>
+      <span class="token-group-count">${this._groupCounts.get(key) || 0}</span>
+    `;
+    return header;
+  }
+
+  /**
+   * Destroy the grouping manager and clean up
+   */
+  destroy() {
+    this._groupOrder = [];
+    this._groupCounts.clear();
+    this.app = null;
+  }
+}
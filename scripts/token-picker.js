@@ -0,0 +1,259 @@
+/**
+ * Token Picker for FA Token Browser
+ * "Browse FA Tokens" buttons on Token Config and actor sheets, and the picker mode they open
+ */
+
+import { TokenDragDropManager } from './token-dragdrop-manager.js';
+import { OFFLINE_TOKEN_MESSAGE } from './cloud-token-service.js';
+
+// Mouse travel (px) between mousedown and click above which the click is treated as a drag
+const CLICK_MOVE_TOLERANCE = 5;
+
+/**
+ * Manages picker mode of the token browser: clicking a token applies it to the target actor
+ */
+export class TokenPickerManager {
+  constructor(app) {
+    this.app = app; // Reference to the main application
+
+    // Actor being picked for, with the placed token and sheet that opened the picker
+    this._target = null; // { actor, tokenDocument, sourceApp }
+    this._applying = false;
+    this._mouseDownPosition = null;
+  }
+
+  /**
+   * Register the "Browse FA Tokens" buttons on Token Config and actor sheets
+   */
+  static registerSheetButtons() {
+    const injectTokenConfigButton = (app, html) => {
+      const element = html instanceof HTMLElement ? html : html?.[0];
+      const target = TokenPickerManager._getTokenConfigTarget(app);
+      if (!element || !target || element.querySelector('.fa-token-picker-btn')) return;
+
+      const texturePicker = element.querySelector('file-picker[name="texture.src"]') ||
+        element.querySelector('[name="texture.src"]');
+      if (!texturePicker) return;
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'fa-token-picker-btn';
+      button.innerHTML = '<i class="fas fa-dragon"></i> Browse FA Tokens';
+      button.addEventListener('click', (event) => {
+        event.preventDefault();
+        TokenPickerManager.openPicker({ ...target, sourceApp: app });
+      });
+      texturePicker.after(button);
+    };
+
+    Hooks.on('renderTokenConfig', injectTokenConfigButton);
+    Hooks.on('renderPrototypeTokenConfig', injectTokenConfigButton);
+
+    // Actor sheets: header control on ApplicationV2 sheets, header button on legacy sheets
+    Hooks.on('getHeaderControlsActorSheetV2', (app, controls) => {
+      if (!app.document?.isOwner) return;
+      controls.push({
+        icon: 'fas fa-dragon',
+        label: 'Browse FA Tokens',
+        action: 'faTokenBrowserPick',
+        onClick: () => TokenPickerManager.openPicker({ actor: app.document, sourceApp: app })
+      });
+    });
+
+    Hooks.on('getActorSheetHeaderButtons', (app, buttons) => {
+      if (!app.actor?.isOwner) return;
+      buttons.unshift({
+        label: 'Browse FA Tokens',
+        class: 'fa-token-picker',
+        icon: 'fas fa-dragon',
+        onclick: () => TokenPickerManager.openPicker({ actor: app.actor, sourceApp: app })
+      });
+    });
+  }
+
+  /**
+   * Open the token browser in picker mode
+   * @param {Object} target - { actor, tokenDocument?, sourceApp? }
+   */
+  static async openPicker(target) {
+    if (!target?.actor) return;
+    if (!target.actor.canUserModify(game.user, 'update')) {
+      ui.notifications.warn(`You do not have permission to modify actor "${target.actor.name}"`);
+      return;
+    }
+
+    await window.faTokenBrowser.openTokenBrowser();
+    const app = foundry.applications.instances.get('token-browser-app');
+    app?.pickerManager?.start(target);
+  }
+
+  /**
+   * Get the picker target of a Token Config or Prototype Token Config sheet
+   * @param {Application} app - The config sheet
+   * @returns {Object|null} { actor, tokenDocument } or null if the token has no actor
+   * @private
+   */
+  static _getTokenConfigTarget(app) {
+    // Placed tokens update their base actor's prototype and the token itself
+    const tokenDocument = app.document?.documentName === 'Token' ? app.document : null;
+    const actor = tokenDocument ? (tokenDocument.baseActor || tokenDocument.actor) : (app.actor || app.token?.parent);
+    if (!actor?.isOwner) return null;
+    return { actor, tokenDocument };
+  }
+
+  /**
+   * Check if picker mode is on
+   * @returns {boolean}
+   */
+  get isActive() {
+    return !!this._target;
+  }
+
+  /**
+   * Enter picker mode for an actor
+   * @param {Object} target - { actor, tokenDocument?, sourceApp? }
+   */
+  start(target) {
+    this._target = target;
+    this.app.selectionManager?.clear();
+    this.app.detailPanelManager?.hide();
+    this.refresh();
+    console.log(`fa-token-browser | Picker mode started for ${target.actor.name}`);
+  }
+
+  /**
+   * Leave picker mode
+   */
+  stop() {
+    if (!this._target) return;
+    this._target = null;
+    this.refresh();
+  }
+
+  /**
+   * Activate token clicks and the picker bar
+   */
+  activatePicker() {
+    const grid = this.app.element.querySelector('.token-grid');
+    const bar = this.app.element.querySelector('.token-picker-bar');
+    if (!grid || !bar) return;
+
+    const mouseDownHandler = (event) => {
+      this._mouseDownPosition = { x: event.clientX, y: event.clientY };
+    };
+
+    const clickHandler = async (event) => {
+      if (!this.isActive || event.button !== 0) return;
+      if (event.target.closest('.token-quick-action')) return;
+
+      const tokenItem = event.target.closest('.token-item');
+      if (!tokenItem) return;
+
+      // Cloud tokens start a queued drag when the mouse moves after mousedown
+      const start = this._mouseDownPosition;
+      if (start && (Math.abs(event.clientX - start.x) > CLICK_MOVE_TOLERANCE ||
+                    Math.abs(event.clientY - start.y) > CLICK_MOVE_TOLERANCE)) {
+        return;
+      }
+
+      const source = tokenItem.dataset.source || 'local';
+      const imageData = this.app._allImages?.find(image =>
+        image.path === tokenItem.dataset.path && (image.source || 'local') === source);
+      if (imageData) {
+        await this._applyToken(imageData, event);
+      }
+    };
+
+    const barHandler = (event) => {
+      if (event.target.closest('[data-action="cancel"]')) {
+        event.preventDefault();
+        this.stop();
+      }
+    };
+
+    this.app.eventManager.registerPickerHandlers(grid, bar, { mouseDown: mouseDownHandler, click: clickHandler }, barHandler);
+    this.refresh();
+  }
+
+  /**
+   * Update the picker bar and picker mode class
+   */
+  refresh() {
+    const element = this.app?.element;
+    if (!element) return;
+
+    element.classList.toggle('picker-mode', this.isActive);
+
+    const bar = element.querySelector('.token-picker-bar');
+    if (!bar) return;
+
+    bar.classList.toggle('hidden', !this.isActive);
+    if (!this.isActive) {
+      bar.innerHTML = '';
+      return;
+    }
+
+    const actorName = foundry.utils.escapeHTML(this._target.actor.name);
+    bar.innerHTML = `
+      <i class="fas ${this._applying ? 'fa-spinner fa-spin' : 'fa-crosshairs'}"></i>
+      <span class="token-picker-label">Click a token to use it for <strong>${actorName}</strong></span>
+      <button type="button" data-action="cancel">
+        <i class="fas fa-times"></i> Cancel
+      </button>`;
+  }
+
+  /**
+   * Apply a token to the target actor through the actor update dialog
+   * @param {Object} imageData - UI token object
+   * @param {MouseEvent} event - The click, used to position the dialog
+   * @private
+   */
+  async _applyToken(imageData, event) {
+    if (this._applying) return;
+
+    const tokenData = this.app.tokenDataService.getTokenDataFromUIObject(imageData);
+    if (!this.app.dragDropManager._isTokenDraggable(tokenData)) {
+      ui.notifications.info(tokenData.offline ? OFFLINE_TOKEN_MESSAGE : '🔒 Premium token! Connect your Patreon account to use it.');
+      return;
+    }
+
+    const { actor, tokenDocument, sourceApp } = this._target;
+    this._applying = true;
+    this.refresh();
+    try {
+      const dropData = await this.app.dragDropManager.buildDropData(imageData);
+
+      // Same options (actor portrait, wildcard variants) as dropping onto the actor
+      const confirmed = await TokenDragDropManager._showActorUpdateConfirmation(actor, dropData, event);
+      if (!confirmed) return;
+
+      await TokenDragDropManager._updateActorPrototypeToken(actor, dropData);
+
+      // A placed token's config also gets the new art on that token (the chosen image, not a wildcard),
+      // sized like the same image dropped onto it
+      if (tokenDocument) {
+        await tokenDocument.update(await TokenDragDropManager._getPlacedTokenArtUpdate(dropData, tokenDocument.parent?.grid?.type));
+      }
+
+      ui.notifications.info(`Updated prototype token for "${actor.name}"`);
+      this._target = null;
+
+      // Show the new art in the sheet that opened the picker
+      if (sourceApp?.rendered) sourceApp.render();
+    } catch (error) {
+      console.error('fa-token-browser | Picker: Failed to apply token:', error);
+      ui.notifications.error(`Failed to update actor token: ${error.message}`);
+    } finally {
+      this._applying = false;
+      this.refresh();
+    }
+  }
+
+  /**
+   * Destroy the picker manager and clean up
+   */
+  destroy() {
+    this._target = null;
+    this.app = null;
+  }
+}
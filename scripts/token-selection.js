@@ -0,0 +1,341 @@
+/**
+ * Token Selection for FA Token Browser
+ * Ctrl/Shift-click multi-select in the token grid and the bulk action bar
+ */
+
+import { SearchIndex } from './search-engine.js';
+import { ActorFactory } from './actor-factory.js';
+
+/**
+ * Manages the multi-selection of grid tokens and the bulk actions on them
+ */
+export class TokenSelectionManager {
+  constructor(app) {
+    this.app = app; // Reference to the main application
+
+    // Selected tokens by key, kept by identity so the selection survives grid rebuilds and token reloads
+    this._selected = new Map(); // token key -> { path, source }
+    this._anchorKey = null; // Last Ctrl/plain clicked token, start of Shift-click ranges
+
+    // Bulk action currently running (one at a time)
+    this._busyAction = null;
+  }
+
+  /**
+   * Number of selected tokens
+   * @returns {number}
+   */
+  get size() {
+    return this._selected.size;
+  }
+
+  /**
+   * Check if a token is selected
+   * @param {Object} imageData - UI token object
+   * @returns {boolean}
+   */
+  isSelected(imageData) {
+    return !!imageData && this._selected.has(SearchIndex.getKey(imageData));
+  }
+
+  /**
+   * Get the selected tokens that are still loaded
+   * @returns {Array<Object>} UI token objects
+   */
+  getSelectedImages() {
+    if (!this._selected.size) return [];
+    return (this.app._allImages || []).filter(image => this._selected.has(SearchIndex.getKey(image)));
+  }
+
+  /**
+   * Add or remove a token from the selection
+   * @param {Object} imageData - UI token object
+   * @param {boolean} [selected] - Force the state instead of toggling
+   */
+  toggle(imageData, selected = !this.isSelected(imageData)) {
+    const key = SearchIndex.getKey(imageData);
+    if (selected) {
+      this._selected.set(key, { path: imageData.path, source: imageData.source || 'local' });
+    } else {
+      this._selected.delete(key);
+    }
+    this._anchorKey = key;
+    this.refresh();
+  }
+
+  /**
+   * Select every loaded token between the anchor and a token, in grid order
+   * @param {Object} imageData - UI token object that was Shift-clicked
+   */
+  selectRange(imageData) {
+    const displayed = this.app._displayedImages || [];
+    const targetIndex = displayed.indexOf(imageData);
+    const anchorIndex = this._anchorKey ? displayed.findIndex(image => SearchIndex.getKey(image) === this._anchorKey) : -1;
+
+    if (targetIndex === -1 || anchorIndex === -1) {
+      this.toggle(imageData, true);
+      return;
+    }
+
+    const [start, end] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+    displayed.slice(start, end + 1).forEach(image => {
+      this._selected.set(SearchIndex.getKey(image), { path: image.path, source: image.source || 'local' });
+    });
+    this.refresh();
+  }
+
+  /**
+   * Clear the selection
+   */
+  clear() {
+    if (!this._selected.size) return;
+    this._selected.clear();
+    this._anchorKey = null;
+    this.refresh();
+  }
+
+  /**
+   * Activate Ctrl/Shift-click selection on the grid and the bulk action bar
+   */
+  activateSelection() {
+    const grid = this.app.element.querySelector('.token-grid');
+    const bar = this.app.element.querySelector('.token-selection-bar');
+    if (!grid || !bar) return;
+
+    const clickHandler = (event) => {
+      if (event.button !== 0) return;
+      if (event.target.closest('.token-quick-action')) return;
+      if (this.app.pickerManager?.isActive) return;
+
+      const tokenItem = event.target.closest('.token-item');
+      if (!tokenItem) return;
+
+      const imageData = this._findImage(tokenItem.dataset.path, tokenItem.dataset.source || 'local');
+      if (!imageData) return;
+
+      if (event.shiftKey) {
+        event.preventDefault();
+        this.selectRange(imageData);
+      } else if (event.ctrlKey || event.metaKey) {
+        event.preventDefault();
+        this.toggle(imageData);
+      } else {
+        // A plain click starts over from this token (and opens its details)
+        this.clear();
+        this._anchorKey = SearchIndex.getKey(imageData);
+      }
+    };
+
+    // Shift-clicking would otherwise select the text between the clicked tokens
+    const mouseDownHandler = (event) => {
+      if (event.shiftKey && event.target.closest('.token-item')) {
+        event.preventDefault();
+      }
+    };
+
+    const barHandler = async (event) => {
+      const actionElement = event.target.closest('[data-action]');
+      if (!actionElement || actionElement.disabled) return;
+
+      event.preventDefault();
+      await this._handleAction(actionElement.dataset.action);
+    };
+
+    this.app.eventManager.registerSelectionHandlers(grid, bar, { mouseDown: mouseDownHandler, click: clickHandler }, barHandler);
+
+    // Template-rendered items don't carry the selection state
+    this.refresh();
+  }
+
+  /**
+   * Apply the selection to rendered token items and update the action bar
+   */
+  refresh() {
+    const element = this.app?.element;
+    if (!element) return;
+
+    // Drop tokens that are no longer loaded (e.g. after a folder configuration change)
+    const loadedKeys = new Set(this.getSelectedImages().map(image => SearchIndex.getKey(image)));
+    [...this._selected.keys()].forEach(key => {
+      if (!loadedKeys.has(key)) this._selected.delete(key);
+    });
+
+    element.querySelectorAll('.token-grid .token-item').forEach(tokenItem => {
+      const key = `${tokenItem.dataset.source || 'local'}:${tokenItem.dataset.path}`;
+      tokenItem.classList.toggle('selected', this._selected.has(key));
+    });
+
+    const bar = element.querySelector('.token-selection-bar');
+    if (bar) {
+      bar.classList.toggle('hidden', !this._selected.size);
+      this._renderBar(bar);
+    }
+  }
+
+  /**
+   * Find a loaded token by path and source
+   * @private
+   */
+  _findImage(path, source) {
+    return this.app._allImages?.find(image => image.path === path && (image.source || 'local') === source) || null;
+  }
+
+  /**
+   * Render the bulk action bar
+   * @private
+   */
+  _renderBar(bar) {
+    const count = this._selected.size;
+    const button = (action, icon, label) => `
+      <button type="button" data-action="${action}" ${this._busyAction ? 'disabled' : ''}>
+        <i class="fas ${this._busyAction === action ? 'fa-spinner fa-spin' : icon}"></i> ${label}
+      </button>`;
+
+    bar.innerHTML = `
+      <span class="token-selection-count">${count} selected</span>
+      ${button('create-actors', 'fa-user-plus', 'Create Actors')}
+      ${button('add-to-collection', 'fa-folder-plus', 'Add to Collection')}
+      ${button('download', 'fa-download', 'Download')}
+      ${button('copy-paths', 'fa-copy', 'Copy Paths')}
+      <button type="button" class="token-selection-clear" data-action="clear" title="Clear selection">
+        <i class="fas fa-times"></i>
+      </button>`;
+  }
+
+  /**
+   * Run a bulk action on the selected tokens
+   * @param {string} action - Action name
+   * @private
+   */
+  async _handleAction(action) {
+    if (action === 'clear') {
+      this.clear();
+      return;
+    }
+    if (this._busyAction) return;
+
+    const images = this.getSelectedImages();
+    if (!images.length) return;
+
+    this._busyAction = action;
+    this.refresh();
+    try {
+      switch (action) {
+        case 'create-actors':
+          await this._createActors(images);
+          break;
+        case 'add-to-collection':
+          if (await this.app.collectionsManager.promptAddTokensToCollection(images)) {
+            ui.notifications.info(`Added ${images.length} tokens to the collection.`);
+          }
+          break;
+        case 'download':
+          this._downloadTokens(images);
+          break;
+        case 'copy-paths':
+          await this._copyPaths(images);
+          break;
+      }
+    } catch (error) {
+      console.error(`fa-token-browser | Bulk action "${action}" failed:`, error);
+      ui.notifications.error(`Bulk action failed: ${error.message}`);
+    } finally {
+      this._busyAction = null;
+      this.refresh();
+    }
+  }
+
+  /**
+   * Split tokens into those the user may use and locked premium tokens
+   * @private
+   */
+  _partitionAccessible(images) {
+    const accessible = [];
+    const locked = [];
+    images.forEach(image => {
+      const tokenData = this.app.tokenDataService.getTokenDataFromUIObject(image);
+      (this.app.dragDropManager._isTokenDraggable(tokenData) ? accessible : locked).push(image);
+    });
+    return { accessible, locked };
+  }
+
+  /**
+   * Create one actor per selected token
+   * @private
+   */
+  async _createActors(images) {
+    const { accessible, locked } = this._partitionAccessible(images);
+    let created = 0;
+    let failed = 0;
+
+    for (const image of accessible) {
+      try {
+        const dropData = await this.app.dragDropManager.buildDropData(image);
+        await ActorFactory.createActorFromTokenData(dropData);
+        created++;
+      } catch (error) {
+        console.warn(`fa-token-browser | Failed to create actor for ${image.filename}:`, error);
+        failed++;
+      }
+    }
+
+    this._notifyResult(`Created ${created} actor${created === 1 ? '' : 's'}`, failed, locked.length);
+  }
+
+  /**
+   * Queue the selected cloud tokens that are not cached yet for download
+   * @private
+   */
+  _downloadTokens(images) {
+    const { queued, locked, offline } = this.app.bulkDownloadManager.enqueue(images);
+    if (offline) return;
+    if (!queued) {
+      ui.notifications.info(locked
+        ? `Nothing to download (${locked} premium tokens need Patreon access).`
+        : 'All selected tokens are already available locally or queued.');
+      return;
+    }
+    this._notifyResult(`Queued ${queued} token${queued === 1 ? '' : 's'} for download`, 0, locked);
+  }
+
+  /**
+   * Copy the paths of the selected tokens, one per line
+   * @private
+   */
+  async _copyPaths(images) {
+    const paths = images.map(image => {
+      if (image.source !== 'cloud') return image.path;
+      const tokenData = this.app.tokenDataService.getTokenDataFromUIObject(image);
+      return this.app.tokenDataService.cacheManager.getCachedFilePath(tokenData) || image.path;
+    });
+
+    await game.clipboard.copyPlainText(paths.join('\n'));
+    ui.notifications.info(`Copied ${paths.length} paths to the clipboard.`);
+  }
+
+  /**
+   * Report the outcome of a bulk action
+   * @private
+   */
+  _notifyResult(message, failed, locked) {
+    const notes = [];
+    if (failed) notes.push(`${failed} failed`);
+    if (locked) notes.push(`${locked} premium skipped`);
+
+    const text = notes.length ? `${message} (${notes.join(', ')}).` : `${message}.`;
+    if (failed) {
+      ui.notifications.warn(text);
+    } else {
+      ui.notifications.info(text);
+    }
+  }
+
+  /**
+   * Destroy the selection manager and clean up
+   */
+  destroy() {
+    this._selected.clear();
+    this._anchorKey = null;
+    this.app = null;
+  }
+}
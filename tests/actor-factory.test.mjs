@@ -0,0 +1,118 @@
+// Tests for placing tokens of reused actors in ActorFactory
+// Run with: node --test tests/
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GRID_TYPES } from '../scripts/geometry.js';
+import { ActorFactory } from '../scripts/actor-factory.js';
+
+let settings;
+let created; // Token data passed to createEmbeddedDocuments
+
+/**
+ * Minimal mergeObject: recursive merge of plain objects, overwriting values
+ * @param {Object} original
+ * @param {Object} other
+ * @returns {Object}
+ */
+function mergeObject(original, other) {
+  Object.entries(other).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    original[key] = isObject && original[key] && typeof original[key] === 'object'
+      ? mergeObject(original[key], value)
+      : value;
+  });
+  return original;
+}
+
+/**
+ * World actor with a prototype token sized for its own art
+ * @param {Object} prototype - Prototype token data
+ * @returns {Object}
+ */
+function createActor(prototype) {
+  return {
+    id: 'goblin',
+    name: 'Goblin',
+    img: 'tokens/Goblin_Medium.webp',
+    isOwner: true,
+    folder: null,
+    prototypeToken: { ...prototype, toObject: () => structuredClone(prototype) }
+  };
+}
+
+beforeEach(() => {
+  created = null;
+  settings = new Map([['actorDropPolicy', 'name'], ['actorNameTemplate', ''], ['actorFolder', '']]);
+
+  globalThis.Hooks = { callAll: () => {} };
+  globalThis.game = {
+    system: { id: 'dnd5e' },
+    settings: { get: (module, key) => settings.get(key) },
+    actors: []
+  };
+  globalThis.foundry = { utils: { mergeObject } };
+  globalThis.canvas = {
+    scene: {
+      grid: { type: GRID_TYPES.SQUARE },
+      tokens: [],
+      createEmbeddedDocuments: async (type, [data]) => {
+        created = data;
+        return [data];
+      }
+    },
+    grid: { size: 100 }
+  };
+});
+
+const drop = (filename, tokenSize) => ActorFactory.createActorFromDragData(
+  { filename, url: `tokens/${filename}`, tokenSize },
+  { screen: { x: 0, y: 0 }, world: { x: 500, y: 500 } }
+);
+
+test('a reused actor places the dropped art sized for the dropped file', async () => {
+  const actor = createActor({
+    width: 1,
+    height: 1,
+    actorLink: true,
+    disposition: -1,
+    texture: { src: 'tokens/Goblin_Medium.webp', scaleX: 1, scaleY: 1, fit: 'contain' }
+  });
+  game.actors.push(actor);
+
+  const result = await drop('Goblin_Large.webp', { gridWidth: 2, gridHeight: 2, scale: 1.2 });
+
+  assert.equal(result.actor, actor);
+  assert.equal(created.texture.src, 'tokens/Goblin_Large.webp');
+  assert.equal(created.width, 2);
+  assert.equal(created.height, 2);
+  assert.equal(created.texture.scaleX, 1.2);
+  assert.equal(created.texture.scaleY, 1.2);
+  assert.equal(created.x, 400);
+  assert.equal(created.y, 400);
+  assert.equal(created.actorLink, false);
+
+  // Everything else still comes from the prototype
+  assert.equal(created.disposition, -1);
+  assert.equal(created.flags, undefined);
+});
+
+test('a reused actor in a size-linked system keeps the dropped size', async () => {
+  game.system.id = 'pf2e';
+  game.actors.push(createActor({
+    width: 1,
+    height: 1,
+    flags: { pf2e: { linkToActorSize: true }, other: { kept: true } },
+    texture: { src: 'tokens/Goblin_Medium.webp', scaleX: 1, scaleY: 1, fit: 'contain' }
+  }));
+
+  await drop('Goblin_Gargantuan_38x33.webp', { gridWidth: 38, gridHeight: 33, scale: 1 });
+
+  assert.equal(created.width, 11);
+  assert.equal(created.height, 11);
+  assert.equal(created.texture.scaleX, 3);
+  assert.equal(created.texture.fit, 'height');
+  assert.equal(created.flags.pf2e.linkToActorSize, false);
+  assert.equal(created.flags.other.kept, true);
+});
@@ -0,0 +1,172 @@
+// Tests for the offline cloud catalogue of CloudTokenService
+// Run with: node --test tests/
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CloudTokenService } from '../scripts/cloud-token-service.js';
+import { TokenCacheManager } from '../scripts/token-cache-manager.js';
+
+const CACHE_DIR = 'fa-token-browser-cache';
+const SNAPSHOT_PATH = `${CACHE_DIR}/cloud-catalogue.json`;
+
+const BROWSE_RESPONSE = {
+  tokens: [
+    { token_path: 'Dragons/Red_Dragon_Huge.webp', tier: 'premium', file_size: 2048, last_modified: '2025-01-01T00:00:00Z' },
+    { token_path: 'Humanoids/Goblin.webp', tier: 'free', file_size: 512, last_modified: '2025-01-01T00:00:00Z' }
+  ]
+};
+
+let files; // Path -> uploaded file text
+let settings; // Setting key -> value
+
+beforeEach(() => {
+  files = new Map();
+  settings = new Map([['cacheDirectory', CACHE_DIR]]);
+
+  globalThis.window = { location: { hostname: 'localhost' } };
+  globalThis.game = {
+    user: { isGM: true },
+    settings: {
+      get: (module, key) => settings.get(key),
+      set: async (module, key, value) => settings.set(key, value)
+    }
+  };
+  globalThis.fetch = async (url) => files.has(url)
+    ? { ok: true, json: async () => JSON.parse(files.get(url)) }
+    : { ok: false, status: 404, statusText: 'Not Found' };
+  globalThis.foundry = {
+    applications: {
+      apps: {
+        FilePicker: {
+          implementation: {
+            browse: async (source, target) => ({
+              files: [...files.keys()].filter(path => path.startsWith(`${target}/`) && !path.slice(target.length + 1).includes('/')),
+              dirs: []
+            }),
+            createDirectory: async () => {},
+            upload: async (source, directory, file, bucketOptions, { filename }) => {
+              files.set(`${directory}/${filename}`, await file.text());
+            }
+          }
+        }
+      }
+    }
+  };
+});
+
+/**
+ * Cloud service whose browse endpoint returns the given response, or fails when it is an Error
+ * @param {Object|Error} response
+ * @returns {CloudTokenService}
+ */
+function createService(response) {
+  const service = new CloudTokenService(new TokenCacheManager());
+  service._getAvailableTokens = async () => {
+    if (response instanceof Error) throw response;
+    return response;
+  };
+  return service;
+}
+
+// The snapshot is saved in the background
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test('a successful browse saves the catalogue to the cache directory', async () => {
+  const tokens = await createService(BROWSE_RESPONSE).fetchAvailableTokens();
+  await settle();
+
+  assert.equal(tokens.length, 2);
+  assert.deepEqual(JSON.parse(files.get(SNAPSHOT_PATH)).tokens.map(token => token.token_path),
+    ['Dragons/Red_Dragon_Huge.webp', 'Humanoids/Goblin.webp']);
+
+  // The setting only records when and how much was saved
+  const { savedAt, tokenCount, ...rest } = settings.get('cloudCatalogueSnapshot');
+  assert.equal(tokenCount, 2);
+  assert.ok(Date.now() - savedAt < 1000);
+  assert.deepEqual(rest, {});
+});
+
+test('the catalogue is not saved again while the token count is unchanged', async () => {
+  await createService(BROWSE_RESPONSE).fetchAvailableTokens();
+  await settle();
+  files.set(SNAPSHOT_PATH, 'untouched');
+
+  await createService(BROWSE_RESPONSE).fetchAvailableTokens();
+  await settle();
+  assert.equal(files.get(SNAPSHOT_PATH), 'untouched');
+
+  await createService({ tokens: BROWSE_RESPONSE.tokens.slice(1) }).fetchAvailableTokens();
+  await settle();
+  assert.equal(JSON.parse(files.get(SNAPSHOT_PATH)).tokens.length, 1);
+});
+
+test('the catalogue is saved again when its file is gone', async () => {
+  await createService(BROWSE_RESPONSE).fetchAvailableTokens();
+  await settle();
+  files.delete(SNAPSHOT_PATH);
+
+  await createService(BROWSE_RESPONSE).fetchAvailableTokens();
+  await settle();
+  assert.equal(JSON.parse(files.get(SNAPSHOT_PATH)).tokens.length, 2);
+});
+
+test('free tokens loaded after a failed premium browse do not replace the saved catalogue', async () => {
+  await createService(BROWSE_RESPONSE).fetchAvailableTokens();
+  await settle();
+  const saved = files.get(SNAPSHOT_PATH);
+
+  const service = new CloudTokenService(new TokenCacheManager());
+  service.isAuthenticated = () => true;
+  service._browseTokens = async () => { throw new Error('Server error'); };
+  service._browseFreeTokens = async () => ({ tokens: BROWSE_RESPONSE.tokens.filter(token => token.tier === 'free') });
+
+  const tokens = await service.fetchAvailableTokens();
+  await settle();
+
+  assert.deepEqual(tokens.map(token => token.path), ['Humanoids/Goblin.webp']);
+  assert.equal(files.get(SNAPSHOT_PATH), saved);
+  assert.equal(settings.get('cloudCatalogueSnapshot').tokenCount, 2);
+});
+
+test('players do not save the catalogue', async () => {
+  game.user.isGM = false;
+  await createService(BROWSE_RESPONSE).fetchAvailableTokens();
+  await settle();
+
+  assert.equal(files.has(SNAPSHOT_PATH), false);
+  assert.equal(settings.has('cloudCatalogueSnapshot'), false);
+});
+
+for (const [description, response] of [
+  ['the cloud is unreachable', new Error('Network error')],
+  ['the browse response is malformed', { error: 'Bad gateway' }]
+]) {
+  test(`the saved catalogue is used when ${description}`, async () => {
+    await createService(BROWSE_RESPONSE).fetchAvailableTokens();
+    await settle();
+
+    const service = createService(response);
+    const tokens = await service.fetchAvailableTokens();
+
+    assert.deepEqual(tokens.map(token => token.path), ['Dragons/Red_Dragon_Huge.webp', 'Humanoids/Goblin.webp']);
+    assert.ok(tokens.every(token => token.offline));
+    assert.equal(service.getOfflineStatus().tokenCount, 2);
+  });
+}
+
+test('without a saved catalogue an unreachable cloud has no tokens', async () => {
+  const service = createService(new Error('Network error'));
+  assert.deepEqual(await service.fetchAvailableTokens(), []);
+  assert.equal(service.getOfflineStatus(), null);
+});
+
+test('the catalogue file is not a cached token', async () => {
+  await createService(BROWSE_RESPONSE).fetchAvailableTokens();
+  await settle();
+  files.set(`${CACHE_DIR}/Goblin.webp`, 'image');
+
+  const manager = new TokenCacheManager();
+  await manager.initialize();
+  assert.deepEqual([...manager.cacheInventory.keys()], ['Goblin.webp']);
+});
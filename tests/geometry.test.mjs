@@ -0,0 +1,76 @@
+// Tests for the grid geometry helpers
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GRID_TYPES, calcDragPreviewPixelDims, getGridCellSize, getGridFootprint, isHexGrid } from '../scripts/geometry.js';
+
+const HEX_ROWS = [GRID_TYPES.HEXODDR, GRID_TYPES.HEXEVENR];
+const HEX_COLUMNS = [GRID_TYPES.HEXODDQ, GRID_TYPES.HEXEVENQ];
+
+// Point-to-point size of a hex with 100px between its flat sides
+const HEX_LONG_SIDE = 100 * 2 / Math.sqrt(3);
+
+test('isHexGrid is true for the hex row and hex column types only', () => {
+  assert.equal(isHexGrid(GRID_TYPES.GRIDLESS), false);
+  assert.equal(isHexGrid(GRID_TYPES.SQUARE), false);
+  [...HEX_ROWS, ...HEX_COLUMNS].forEach(gridType => assert.equal(isHexGrid(gridType), true, `grid type ${gridType}`));
+  assert.equal(isHexGrid(undefined), false);
+});
+
+test('square and gridless cells are grid size on both axes', () => {
+  assert.deepEqual(getGridCellSize(100, GRID_TYPES.SQUARE), { sizeX: 100, sizeY: 100 });
+  assert.deepEqual(getGridCellSize(100, GRID_TYPES.GRIDLESS), { sizeX: 100, sizeY: 100 });
+  assert.deepEqual(getGridCellSize(140), { sizeX: 140, sizeY: 140 });
+});
+
+test('hex rows are taller than the grid size', () => {
+  HEX_ROWS.forEach(gridType => {
+    const { sizeX, sizeY } = getGridCellSize(100, gridType);
+    assert.equal(sizeX, 100, `grid type ${gridType}`);
+    assert.ok(Math.abs(sizeY - HEX_LONG_SIDE) < 1e-9, `grid type ${gridType}: ${sizeY}`);
+  });
+});
+
+test('hex columns are wider than the grid size', () => {
+  HEX_COLUMNS.forEach(gridType => {
+    const { sizeX, sizeY } = getGridCellSize(100, gridType);
+    assert.ok(Math.abs(sizeX - HEX_LONG_SIDE) < 1e-9, `grid type ${gridType}: ${sizeX}`);
+    assert.equal(sizeY, 100, `grid type ${gridType}`);
+  });
+});
+
+test('footprints keep their sides on square and gridless scenes', () => {
+  assert.deepEqual(getGridFootprint({ gridWidth: 2, gridHeight: 3 }, GRID_TYPES.SQUARE), { gridWidth: 2, gridHeight: 3 });
+  assert.deepEqual(getGridFootprint({ gridWidth: 2, gridHeight: 3 }, GRID_TYPES.GRIDLESS), { gridWidth: 2, gridHeight: 3 });
+  assert.deepEqual(getGridFootprint(null), { gridWidth: 1, gridHeight: 1 });
+});
+
+test('hex footprints use the larger side in both directions', () => {
+  [...HEX_ROWS, ...HEX_COLUMNS].forEach(gridType => {
+    assert.deepEqual(getGridFootprint({ gridWidth: 2, gridHeight: 3 }, gridType), { gridWidth: 3, gridHeight: 3 });
+    assert.deepEqual(getGridFootprint({ gridWidth: 2, gridHeight: 2 }, gridType), { gridWidth: 2, gridHeight: 2 });
+  });
+});
+
+test('drag previews on square and gridless scenes scale with footprint, scale and zoom', () => {
+  const large = { gridWidth: 2, gridHeight: 2, scale: 1.5 };
+  assert.deepEqual(calcDragPreviewPixelDims(large, 100, 0.5, GRID_TYPES.SQUARE), { width: 150, height: 150 });
+  assert.deepEqual(calcDragPreviewPixelDims(large, 100, 0.5, GRID_TYPES.GRIDLESS), { width: 150, height: 150 });
+  assert.deepEqual(calcDragPreviewPixelDims({ gridWidth: 2, gridHeight: 1, scale: 1 }, 100, 1), { width: 200, height: 100 });
+});
+
+test('drag previews on hex rows stretch the height', () => {
+  HEX_ROWS.forEach(gridType => {
+    assert.deepEqual(calcDragPreviewPixelDims({ gridWidth: 1, gridHeight: 1, scale: 1 }, 100, 1, gridType), { width: 100, height: 115 });
+    assert.deepEqual(calcDragPreviewPixelDims({ gridWidth: 2, gridHeight: 1, scale: 1 }, 100, 2, gridType), { width: 400, height: 462 });
+  });
+});
+
+test('drag previews on hex columns stretch the width', () => {
+  HEX_COLUMNS.forEach(gridType => {
+    assert.deepEqual(calcDragPreviewPixelDims({ gridWidth: 1, gridHeight: 1, scale: 1 }, 100, 1, gridType), { width: 115, height: 100 });
+    assert.deepEqual(calcDragPreviewPixelDims({ gridWidth: 2, gridHeight: 1, scale: 1 }, 100, 2, gridType), { width: 462, height: 400 });
+  });
+});
@@ -0,0 +1,128 @@
+// Tests for the search query parser and matcher
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SearchIndex, matchesSearchQuery, parseSearchQuery } from '../scripts/search-engine.js';
+
+const TOKENS = [
+  { filename: 'Red_Dragon_Huge.webp', path: 'tokens/red_dragon.webp', displayName: 'Red Dragon', source: 'local' },
+  { filename: 'Blue_Dragon_Huge.webp', path: 'tokens/blue_dragon.webp', displayName: 'Blue Dragon', source: 'local' },
+  { filename: 'Red_Blue_Wyrm.webp', path: 'tokens/red_blue_wyrm.webp', displayName: 'Red Blue Wyrm', source: 'local' },
+  { filename: 'Green_Goblin.webp', path: 'tokens/green_goblin.webp', displayName: 'Green Goblin', source: 'local' }
+];
+
+/**
+ * Names of the fixture tokens matching a query
+ * @param {string} query
+ * @returns {Array<string>}
+ */
+function search(query) {
+  return TOKENS.filter(image => matchesSearchQuery(image, query)).map(image => image.displayName);
+}
+
+test('plain terms are combined with an implicit AND', () => {
+  assert.deepEqual(search('red'), ['Red Dragon', 'Red Blue Wyrm']);
+  assert.deepEqual(search('red dragon'), ['Red Dragon']);
+  assert.deepEqual(search('DRAGON'), ['Red Dragon', 'Blue Dragon']);
+});
+
+test('OR matches either term and binds tighter than AND', () => {
+  assert.deepEqual(search('red OR blue'), ['Red Dragon', 'Blue Dragon', 'Red Blue Wyrm']);
+  assert.deepEqual(search('red or goblin'), ['Red Dragon', 'Red Blue Wyrm', 'Green Goblin']);
+  assert.deepEqual(search('red OR blue wyrm'), ['Red Blue Wyrm']);
+  assert.deepEqual(search('wyrm red OR blue'), ['Red Blue Wyrm']);
+  assert.deepEqual(search('goblin OR wyrm OR blue'), ['Blue Dragon', 'Red Blue Wyrm', 'Green Goblin']);
+});
+
+test('NOT excludes the following term', () => {
+  assert.deepEqual(search('NOT red'), ['Blue Dragon', 'Green Goblin']);
+  assert.deepEqual(search('dragon NOT red'), ['Blue Dragon']);
+  assert.deepEqual(search('dragon not red'), ['Blue Dragon']);
+  assert.deepEqual(search('NOT red NOT goblin'), ['Blue Dragon']);
+  assert.deepEqual(search('dragon OR goblin NOT blue'), ['Red Dragon', 'Green Goblin']);
+});
+
+test('NOT closes an OR group', () => {
+  // NOT red AND blue
+  assert.deepEqual(search('NOT red OR blue'), ['Blue Dragon']);
+  // red AND NOT blue
+  assert.deepEqual(search('red OR NOT blue'), ['Red Dragon']);
+  assert.deepEqual(search('-red OR blue'), ['Blue Dragon']);
+  assert.deepEqual(search('red OR -blue'), ['Red Dragon']);
+});
+
+test('parentheses can OR a negation', () => {
+  assert.deepEqual(search('(NOT red) OR blue'), ['Blue Dragon', 'Red Blue Wyrm', 'Green Goblin']);
+  assert.deepEqual(search('NOT (red OR blue)'), ['Green Goblin']);
+  assert.deepEqual(search('(goblin OR wyrm) -blue'), ['Green Goblin']);
+});
+
+test('dangling operators are ignored', () => {
+  assert.deepEqual(search('red OR'), ['Red Dragon', 'Red Blue Wyrm']);
+  assert.deepEqual(search('OR red'), ['Red Dragon', 'Red Blue Wyrm']);
+  assert.deepEqual(search('NOT'), TOKENS.map(image => image.displayName));
+  assert.deepEqual(search(''), TOKENS.map(image => image.displayName));
+});
+
+test('quoted phrases match as one term', () => {
+  assert.deepEqual(search('"red dragon"'), ['Red Dragon']);
+  assert.deepEqual(search('"blue wyrm"'), ['Red Blue Wyrm']);
+});
+
+test('malformed queries report an error and match nothing', () => {
+  assert.equal(parseSearchQuery('(red OR blue').error, 'Missing closing parenthesis');
+  assert.equal(parseSearchQuery('red)').error, 'Unexpected closing parenthesis');
+  assert.equal(parseSearchQuery('()').error, 'Empty parentheses');
+  assert.deepEqual(search('(red'), []);
+});
+
+test('an unbalanced quote is a literal character', () => {
+  const tokens = [...TOKENS, { filename: 'Statue_12"_Huge.webp', path: 'tokens/statue.webp', displayName: 'Statue 12"', source: 'local' }];
+  const names = (query) => tokens.filter(image => matchesSearchQuery(image, query)).map(image => image.displayName);
+
+  assert.equal(parseSearchQuery('"red dragon').error, null);
+  assert.deepEqual(names('12"'), ['Statue 12"']);
+  assert.deepEqual(names('statue 12"'), ['Statue 12"']);
+  assert.deepEqual(names('"red dragon" 12"'), []);
+  assert.deepEqual(names('"huge" 12"'), ['Statue 12"']);
+  assert.deepEqual(names('"dragon'), []);
+});
+
+test('a dash only negates at the start of a term', () => {
+  const tokens = [...TOKENS, { filename: 'Orc-Goblin_Boss.webp', path: 'tokens/orc-goblin.webp', displayName: 'Orc-Goblin Boss', source: 'local' }];
+  const names = (query) => tokens.filter(image => matchesSearchQuery(image, query)).map(image => image.displayName);
+
+  assert.deepEqual(names('orc-goblin'), ['Orc-Goblin Boss']);
+  assert.deepEqual(names('"orc"-goblin'), ['Orc-Goblin Boss']);
+  assert.deepEqual(names('(orc)-goblin'), ['Orc-Goblin Boss']);
+  assert.deepEqual(names('goblin -orc'), ['Green Goblin']);
+  assert.deepEqual(names('goblin (-orc)'), ['Green Goblin']);
+  assert.deepEqual(names('-orc goblin'), ['Green Goblin']);
+});
+
+test('the search index returns the same tokens as a linear scan', () => {
+  const index = new SearchIndex();
+  index.sync(TOKENS);
+
+  ['red', 'red dragon', 'NOT red OR blue', 'red OR NOT blue', '(NOT red) OR blue', '"blue wyrm"', 'wyr', 'drgon'].forEach(query => {
+    const parsed = parseSearchQuery(query);
+    [false, true].forEach(fuzzy => {
+      assert.deepEqual(index.search(parsed, { fuzzy }), TOKENS.filter(image => matchesSearchQuery(image, parsed, { fuzzy })), query);
+    });
+  });
+});
+
+test('syncing reloaded tokens only re-indexes changed ones', () => {
+  const index = new SearchIndex();
+  assert.deepEqual(index.sync(TOKENS), { added: 4, removed: 0, updated: 0 });
+
+  const reloaded = TOKENS.map(image => ({ ...image }));
+  assert.deepEqual(index.sync(reloaded), { added: 0, removed: 0, updated: 0 });
+  assert.equal(index.search(parseSearchQuery('goblin'))[0], reloaded[3]);
+
+  reloaded[3] = { ...reloaded[3], isCached: true };
+  assert.deepEqual(index.sync(reloaded.slice(1)), { added: 0, removed: 1, updated: 1 });
+  assert.deepEqual(index.search(parseSearchQuery('downloaded')), [reloaded[3]]);
+});
@@ -0,0 +1,140 @@
+// Benchmark of SearchIndex against a full linear scan of the token list
+// Run with: node tests/search-index.bench.mjs [tokenCount]
+// Fails if the index and the linear scan disagree on any query
+
+import assert from 'node:assert/strict';
+
+import { SearchIndex, matchesSearchQuery, parseSearchQuery } from '../scripts/search-engine.js';
+
+const TOKEN_COUNT = Number(process.argv[2]) || 20000;
+const ROUNDS = 5;
+
+const CREATURES = [
+  ['Goblin', 'Humanoid'], ['Goblin_Archer', 'Humanoid'], ['Bandit', 'Humanoid'], ['Bandit_Captain', 'Humanoid'],
+  ['Kobold', 'Humanoid'], ['Orc', 'Humanoid'], ['Orc_Warchief', 'Humanoid'], ['Ogre', 'Giant'], ['Hill_Giant', 'Giant'],
+  ['Red_Dragon', 'Dragon'], ['Blue_Dragon', 'Dragon'], ['Green_Dragon', 'Dragon'], ['Dragon_Turtle', 'Dragon'],
+  ['Skeleton', 'Undead'], ['Zombie', 'Undead'], ['Vampire_Spawn', 'Undead'], ['Lich', 'Undead'], ['Sea_Hag', 'Fey'],
+  ['Dryad', 'Fey'], ['Owlbear', 'Monstrosity'], ['Bulette', 'Monstrosity'], ['Wolf', 'Beast'], ['Dire_Wolf', 'Beast'],
+  ['Giant_Spider', 'Beast'], ['Imp', 'Fiend'], ['Pit_Fiend', 'Fiend'], ['Air_Elemental', 'Elemental'], ['Mimic', 'Monstrosity']
+];
+const SIZES = [['Tiny', '1x1'], ['Small', '1x1'], ['Medium', '1x1'], ['Large', '2x2'], ['Huge', '3x3'], ['Gargantuan', '4x4']];
+const SCALES = ['', 'Scale125', 'Scale150', 'Scale200'];
+const FOLDERS = ['Humanoids', 'Monsters', 'Undead', 'Dragons', 'Beasts', 'NPCs/Town', 'NPCs/Wilderness'];
+
+/**
+ * Deterministic pseudo-random numbers, so every run searches the same catalogue
+ * @param {number} seed
+ * @returns {function(): number}
+ */
+function random(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+}
+
+/**
+ * Build UI token objects like TokenDataService.convertTokenDataForUI does
+ * @param {number} count
+ * @returns {Array<Object>}
+ */
+function buildCatalogue(count) {
+  const next = random(42);
+  const pick = (list) => list[Math.floor(next() * list.length)];
+
+  return Array.from({ length: count }, (_, index) => {
+    const [creature, creatureType] = pick(CREATURES);
+    const [size, footprint] = pick(SIZES);
+    const scale = pick(SCALES);
+    const variant = String(Math.floor(next() * 12) + 1).padStart(2, '0');
+    const source = index % 6 === 0 ? 'local' : 'cloud';
+    const tier = source === 'cloud' ? (next() < 0.7 ? 'premium' : 'free') : null;
+    const filename = [creature, `A${index}`, size, footprint, scale, variant].filter(Boolean).join('_') + '.webp';
+    const folder = pick(FOLDERS);
+
+    return {
+      filename,
+      path: source === 'local' ? `tokens/${folder}/${filename}` : `${folder}/${filename}`,
+      displayName: creature.replace(/_/g, ' '),
+      variant,
+      size: size.toLowerCase(),
+      scale: scale ? `${parseInt(scale.slice(5)) / 100}x` : '',
+      creatureType,
+      source,
+      tier,
+      isCached: source === 'cloud' && next() < 0.1
+    };
+  });
+}
+
+const QUERIES = [
+  ['dragon'],
+  ['red dragon'],
+  ['goblin OR kobold'],
+  ['huge NOT red'],
+  ['bandit -captain'],
+  ['(orc OR ogre) large'],
+  ['"sea hag"'],
+  ['size:large undead'],
+  ['type:dragon tier:free'],
+  ['cached:yes'],
+  ['scale:>1.5 wolf'],
+  ['drgon', { fuzzy: true }],
+  ['goblin archr', { fuzzy: true }]
+];
+
+/**
+ * Average time of a function over several rounds
+ * @param {function(): *} fn
+ * @returns {{ms: number, result: *}}
+ */
+function time(fn) {
+  let result;
+  const start = process.hrtime.bigint();
+  for (let round = 0; round < ROUNDS; round++) {
+    result = fn();
+  }
+  return { ms: Number(process.hrtime.bigint() - start) / 1e6 / ROUNDS, result };
+}
+
+const images = buildCatalogue(TOKEN_COUNT);
+const index = new SearchIndex();
+
+const build = time(() => {
+  index.clear();
+  return index.sync(images);
+});
+
+// Reloading the browser creates new token objects for the same tokens
+const reloaded = images.map(image => ({ ...image }));
+const resync = time(() => index.sync(reloaded));
+assert.deepEqual(resync.result, { added: 0, removed: 0, updated: 0 });
+
+console.log(`${TOKEN_COUNT} tokens, average of ${ROUNDS} rounds`);
+console.log(`Build index: ${build.ms.toFixed(1)} ms, re-sync unchanged tokens: ${resync.ms.toFixed(1)} ms\n`);
+
+const rows = QUERIES.map(([query, options = {}]) => {
+  const parsed = parseSearchQuery(query);
+  assert.equal(parsed.error, null, `${query}: ${parsed.error}`);
+
+  // The search before the index: every token checked against the query
+  const scan = time(() => reloaded.filter(image => matchesSearchQuery(image, parsed, options)));
+  const indexed = time(() => {
+    // Every search after a token list change starts with empty term lookups
+    index._invalidate();
+    return index.search(parsed, options);
+  });
+
+  assert.deepEqual(indexed.result, scan.result, `Index and linear scan disagree on "${query}"`);
+  assert.ok(indexed.result.every((image, i) => image === scan.result[i]), `"${query}" returned different token objects`);
+
+  return {
+    query: options.fuzzy ? `${query} (fuzzy)` : query,
+    matches: scan.result.length,
+    'scan ms': scan.ms.toFixed(2),
+    'index ms': indexed.ms.toFixed(2),
+    speedup: `${(scan.ms / indexed.ms).toFixed(1)}x`
+  };
+});
+
+console.table(rows);
@@ -0,0 +1,175 @@
+// Tests for re-downloading and evicting cached cloud tokens in TokenCacheManager
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TokenCacheManager } from '../scripts/token-cache-manager.js';
+import { forgeIntegration } from '../scripts/forge-integration.js';
+
+const CACHE_DIR = 'fa-token-browser-cache';
+
+/**
+ * Stub the Foundry globals used by the cache manager, with the given files in the cache directory
+ * @param {Object<string, Array<string>>} directories - Browsed directory -> file paths in it
+ * @returns {{uploads: Array<{directory: string, filename: string}>, created: Array<string>, settings: Array<string>}}
+ *   Recorded file operations and setting writes
+ */
+function stubFoundry(directories) {
+  const calls = { uploads: [], created: [], settings: [] };
+
+  globalThis.window = { location: { hostname: 'localhost' } };
+  globalThis.game = {
+    user: { isGM: false },
+    settings: {
+      get: (module, key) => (key === 'cacheDirectory' ? CACHE_DIR : undefined),
+      set: async (module, key) => {
+        calls.settings.push(key);
+      }
+    }
+  };
+  globalThis.fetch = async () => ({ ok: true, blob: async () => new Blob(['token'], { type: 'image/webp' }) });
+  globalThis.foundry = {
+    applications: {
+      apps: {
+        FilePicker: {
+          implementation: {
+            browse: async (source, target) => {
+              if (!directories[target]) throw new Error(`${target} does not exist`);
+              return { files: directories[target], dirs: [] };
+            },
+            createDirectory: async (source, target) => {
+              calls.created.push(target);
+            },
+            upload: async (source, directory, file, bucketOptions, { filename }) => {
+              calls.uploads.push({ directory, filename });
+            }
+          }
+        }
+      }
+    }
+  };
+  return calls;
+}
+
+const cloudToken = (path) => ({
+  filename: path.split('/').pop(),
+  path,
+  source: 'cloud',
+  cache: { isDownloaded: false, localPath: null, downloadedAt: null, lastAccessed: null }
+});
+
+test('re-downloading a re-keyed legacy file overwrites it at the cache root', async () => {
+  const calls = stubFoundry({ [CACHE_DIR]: [`${CACHE_DIR}/Dragon_Huge.webp`] });
+  const manager = new TokenCacheManager();
+  const tokenData = cloudToken('Dragons/Dragon_Huge.webp');
+
+  await manager.initialize();
+  assert.equal(manager.migrateLegacyCache([tokenData]), 1);
+  assert.equal(manager.cacheInventory.get('Dragons/Dragon_Huge.webp').localPath, `${CACHE_DIR}/Dragon_Huge.webp`);
+
+  const cachedPath = await manager.redownload(tokenData, 'https://example.com/Dragon_Huge.webp');
+
+  assert.equal(cachedPath, `${CACHE_DIR}/Dragon_Huge.webp`);
+  assert.deepEqual(calls.uploads, [{ directory: CACHE_DIR, filename: 'Dragon_Huge.webp' }]);
+  assert.deepEqual(calls.created, []);
+  assert.equal(manager.cacheInventory.get('Dragons/Dragon_Huge.webp').localPath, `${CACHE_DIR}/Dragon_Huge.webp`);
+  assert.equal(tokenData.cache.localPath, `${CACHE_DIR}/Dragon_Huge.webp`);
+});
+
+test('re-downloading a file in its cloud folder overwrites it there', async () => {
+  const calls = stubFoundry({
+    [CACHE_DIR]: [],
+    [`${CACHE_DIR}/Dragons`]: [`${CACHE_DIR}/Dragons/Dragon_Huge.webp`]
+  });
+  // The cache directory lists the cloud folder as a subdirectory
+  const { browse } = foundry.applications.apps.FilePicker.implementation;
+  foundry.applications.apps.FilePicker.implementation.browse = async (source, target, options) => {
+    const result = await browse(source, target, options);
+    return target === CACHE_DIR ? { ...result, dirs: [`${CACHE_DIR}/Dragons`] } : result;
+  };
+
+  const manager = new TokenCacheManager();
+  const tokenData = cloudToken('Dragons/Dragon_Huge.webp');
+
+  await manager.initialize();
+  const cachedPath = await manager.redownload(tokenData, 'https://example.com/Dragon_Huge.webp');
+
+  assert.equal(cachedPath, `${CACHE_DIR}/Dragons/Dragon_Huge.webp`);
+  assert.deepEqual(calls.uploads, [{ directory: `${CACHE_DIR}/Dragons`, filename: 'Dragon_Huge.webp' }]);
+  assert.equal(manager.cacheInventory.get('Dragons/Dragon_Huge.webp').localPath, `${CACHE_DIR}/Dragons/Dragon_Huge.webp`);
+});
+
+test('a failed re-download keeps the previous cache entry', async () => {
+  stubFoundry({ [CACHE_DIR]: [`${CACHE_DIR}/Dragon_Huge.webp`] });
+  const manager = new TokenCacheManager();
+  const tokenData = cloudToken('Dragons/Dragon_Huge.webp');
+
+  await manager.initialize();
+  manager.migrateLegacyCache([tokenData]);
+  const previous = manager.cacheInventory.get('Dragons/Dragon_Huge.webp');
+
+  globalThis.fetch = async () => ({ ok: false, status: 404, statusText: 'Not Found' });
+  await assert.rejects(manager.redownload(tokenData, 'https://example.com/Dragon_Huge.webp'), /404/);
+  assert.equal(manager.cacheInventory.get('Dragons/Dragon_Huge.webp'), previous);
+});
+
+/**
+ * Cache manager with one cached token, whose access time is reset
+ * @param {Object} options
+ * @param {boolean} options.isGM
+ * @param {boolean} options.onForge
+ * @returns {Promise<{manager: TokenCacheManager, tokenData: Object, calls: Object}>} Manager, token and recorded calls
+ */
+async function createCachedToken({ isGM, onForge }) {
+  const calls = stubFoundry({ [CACHE_DIR]: [`${CACHE_DIR}/Goblin.webp`] });
+  game.user.isGM = isGM;
+  forgeIntegration.isForgeDetected = false;
+
+  const manager = new TokenCacheManager();
+  await manager.initialize();
+  // Only eviction looks at the host: the scan itself uses local storage
+  forgeIntegration.isForgeDetected = onForge;
+  manager.cacheInventory.get('Goblin.webp').lastAccessed = 0;
+  return { manager, tokenData: cloudToken('Goblin.webp'), calls };
+}
+
+test('cache hits record access times only where files can be evicted', async (t) => {
+  // Forge asset URLs need the account ID
+  forgeIntegration.optimizeCacheURL = (path) => path;
+  t.after(() => {
+    forgeIntegration.isForgeDetected = null;
+    delete forgeIntegration.optimizeCacheURL;
+  });
+
+  for (const [isGM, onForge] of [[false, false], [false, true], [true, false]]) {
+    const { manager, tokenData } = await createCachedToken({ isGM, onForge });
+    assert.equal(manager.getCachedFilePath(tokenData), `${CACHE_DIR}/Goblin.webp`);
+    assert.equal(manager.cacheInventory.get('Goblin.webp').lastAccessed, 0, `GM ${isGM}, Forge ${onForge}`);
+    assert.equal(manager._metadataSaveTimeout, null, `GM ${isGM}, Forge ${onForge}`);
+  }
+
+  const { manager, tokenData } = await createCachedToken({ isGM: true, onForge: true });
+  manager.getCachedFilePath(tokenData);
+  assert.ok(manager.cacheInventory.get('Goblin.webp').lastAccessed > 0);
+  assert.notEqual(manager._metadataSaveTimeout, null);
+  clearTimeout(manager._metadataSaveTimeout);
+});
+
+test('trimming the cache off The Forge is reported as unsupported', async (t) => {
+  t.after(() => {
+    forgeIntegration.isForgeDetected = null;
+  });
+
+  const { manager, calls } = await createCachedToken({ isGM: true, onForge: false });
+  let deleted = false;
+  forgeIntegration.deleteAssets = async () => {
+    deleted = true;
+  };
+  t.after(() => delete forgeIntegration.deleteAssets);
+
+  await assert.rejects(manager.trimCache(), /only supported on The Forge/);
+  assert.equal(deleted, false);
+  assert.ok(manager.cacheInventory.has('Goblin.webp'));
+  assert.deepEqual(calls.settings, []);
+});
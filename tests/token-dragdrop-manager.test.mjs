@@ -0,0 +1,153 @@
+// Tests for drop snapping and token art replacement in TokenDragDropManager
+// Run with: node --test tests/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GRID_TYPES } from '../scripts/geometry.js';
+import { TokenDragDropManager } from '../scripts/token-dragdrop-manager.js';
+import { TokenPickerManager } from '../scripts/token-picker.js';
+
+globalThis.CONST = { GRID_SNAPPING_MODES: { CENTER: 1, VERTEX: 16 } };
+const { CENTER, VERTEX } = CONST.GRID_SNAPPING_MODES;
+
+/**
+ * Minimal canvas for a scene with 100px grid spaces
+ * Hex snapping is Foundry's, so getSnappedPoint just reports the mode it was asked for
+ * @param {number} gridType
+ * @returns {Object}
+ */
+function createCanvas(gridType) {
+  return {
+    scene: { grid: { type: gridType, size: 100 } },
+    grid: {
+      isGridless: gridType === GRID_TYPES.GRIDLESS,
+      getSnappedPoint: (point, { mode }) => ({ ...point, mode })
+    }
+  };
+}
+
+const snap = (gridType, gridWidth, gridHeight = gridWidth) =>
+  TokenDragDropManager.applyGridSnapping({ x: 130, y: 260 }, createCanvas(gridType), { gridWidth, gridHeight, scale: 1 });
+
+test('odd-sized tokens on square grids snap to the center of the square under the cursor', () => {
+  assert.deepEqual(snap(GRID_TYPES.SQUARE, 1), { x: 150, y: 250 });
+  assert.deepEqual(snap(GRID_TYPES.SQUARE, 3), { x: 150, y: 250 });
+});
+
+test('even-sized tokens on square grids snap to the nearest grid intersection', () => {
+  assert.deepEqual(snap(GRID_TYPES.SQUARE, 2), { x: 100, y: 300 });
+  assert.deepEqual(snap(GRID_TYPES.SQUARE, 4), { x: 100, y: 300 });
+});
+
+test('non-square tokens on square grids snap each axis by its own side', () => {
+  assert.deepEqual(snap(GRID_TYPES.SQUARE, 2, 1), { x: 100, y: 250 });
+  assert.deepEqual(snap(GRID_TYPES.SQUARE, 1, 2), { x: 150, y: 300 });
+});
+
+test('hex tokens snap to a hex center when odd-sized and to a vertex when even-sized', () => {
+  [GRID_TYPES.HEXODDR, GRID_TYPES.HEXEVENR, GRID_TYPES.HEXODDQ, GRID_TYPES.HEXEVENQ].forEach(gridType => {
+    assert.equal(snap(gridType, 1).mode, CENTER, `1x1 on grid type ${gridType}`);
+    assert.equal(snap(gridType, 3).mode, CENTER, `3x3 on grid type ${gridType}`);
+    assert.equal(snap(gridType, 2).mode, VERTEX, `2x2 on grid type ${gridType}`);
+    assert.equal(snap(gridType, 4).mode, VERTEX, `4x4 on grid type ${gridType}`);
+    // As many hexes across as the larger side
+    assert.equal(snap(gridType, 1, 2).mode, VERTEX, `1x2 on grid type ${gridType}`);
+  });
+});
+
+test('gridless drops pass through unchanged', () => {
+  const coords = { x: 130, y: 260 };
+  [1, 2, 3].forEach(size => {
+    const result = TokenDragDropManager.applyGridSnapping(coords, createCanvas(GRID_TYPES.GRIDLESS), { gridWidth: size, gridHeight: size, scale: 1 });
+    assert.equal(result, coords);
+  });
+});
+
+test('drops without a scene pass through unchanged', () => {
+  const coords = { x: 130, y: 260 };
+  assert.equal(TokenDragDropManager.applyGridSnapping(coords, { grid: null, scene: null }), coords);
+});
+
+test('replacing the art of all tokens in the scene skips tokens the user cannot modify', async () => {
+  let buttons;
+  let updates;
+  globalThis.game = { user: { id: 'player' }, system: { id: 'pf2e' } };
+  globalThis.ui = { notifications: { info: () => {}, error: () => {} } };
+  globalThis.foundry = {
+    utils: { escapeHTML: (text) => text },
+    applications: { api: { DialogV2: { wait: async (options) => { buttons = options.buttons.map(button => button.action); return 'scene'; } } } }
+  };
+
+  const scene = { grid: { type: GRID_TYPES.SQUARE }, tokens: [], updateEmbeddedDocuments: async (type, data) => { updates = data; } };
+  const [target, locked, other] = [true, false, true].map((canModify, index) => {
+    const token = { id: `token${index}`, actorId: 'goblin', name: 'Goblin', parent: scene, canUserModify: () => canModify };
+    scene.tokens.push(token);
+    return token;
+  });
+  target.actor = { name: 'Goblin', canUserModify: () => false };
+
+  const dropData = {
+    filename: 'Dragon_Gargantuan_38x33.webp',
+    url: 'tokens/Dragon_Gargantuan_38x33.webp',
+    tokenSize: { gridWidth: 38, gridHeight: 33, scale: 1 }
+  };
+  assert.equal(await TokenDragDropManager._handleTokenReplaceDrop(target, dropData), true);
+
+  assert.deepEqual(buttons, ['token', 'scene', 'place']);
+  assert.deepEqual(updates.map(update => update._id), [target.id, other.id]);
+  assert.ok(!updates.some(update => update._id === locked.id));
+
+  // Sized like a dropped token: gargantuan dimensions optimized, size link to the actor turned off
+  assert.equal(updates[0].width, 11);
+  assert.equal(updates[0].height, 11);
+  assert.equal(updates[0].texture.scaleX, 3);
+  assert.equal(updates[0].texture.fit, 'height');
+  assert.equal(updates[0].flags.pf2e.linkToActorSize, false);
+});
+
+test('picking art for a placed token updates it like dropping the same image onto it', async () => {
+  globalThis.game = { user: { id: 'gm' }, system: { id: 'pf2e' } };
+  globalThis.ui = { notifications: { info: () => {}, error: () => {} } };
+  globalThis.foundry = {
+    utils: { escapeHTML: (text) => text },
+    applications: { api: { DialogV2: { wait: async () => 'token' } } }
+  };
+
+  const dropData = {
+    filename: 'Dragon_Gargantuan_38x33.webp',
+    url: 'tokens/Dragon_Gargantuan_38x33.webp',
+    tokenSize: { gridWidth: 38, gridHeight: 33, scale: 1 }
+  };
+  const scene = { grid: { type: GRID_TYPES.HEXODDR }, tokens: [] };
+
+  // Dropped onto the token
+  let dropUpdate;
+  scene.updateEmbeddedDocuments = async (type, [{ _id, ...update }]) => { dropUpdate = update; };
+  const dropped = { id: 'dropped', name: 'Dragon', parent: scene, canUserModify: () => true };
+  await TokenDragDropManager._handleTokenReplaceDrop(dropped, { ...dropData });
+
+  // Picked from the token's Token Config
+  let pickUpdate;
+  const picked = { parent: scene, update: async (update) => { pickUpdate = update; } };
+  const actor = { name: 'Dragon' };
+  const picker = new TokenPickerManager({
+    element: null,
+    tokenDataService: { getTokenDataFromUIObject: (imageData) => imageData },
+    dragDropManager: { _isTokenDraggable: () => true, buildDropData: async () => ({ ...dropData }) }
+  });
+  picker._target = { actor, tokenDocument: picked, sourceApp: null };
+
+  const { _showActorUpdateConfirmation, _updateActorPrototypeToken } = TokenDragDropManager;
+  TokenDragDropManager._showActorUpdateConfirmation = async () => true;
+  TokenDragDropManager._updateActorPrototypeToken = async () => {};
+  try {
+    await picker._applyToken({}, null);
+  } finally {
+    Object.assign(TokenDragDropManager, { _showActorUpdateConfirmation, _updateActorPrototypeToken });
+  }
+
+  assert.deepEqual(pickUpdate, dropUpdate);
+  assert.equal(pickUpdate.texture.fit, 'height');
+  assert.equal(pickUpdate.flags.pf2e.linkToActorSize, false);
+});